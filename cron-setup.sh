@@ -3,8 +3,9 @@
 # Get absolute path of the script directory
 SCRIPT_DIR="$( cd "$( dirname "${BASH_SOURCE[0]}" )" && pwd )"
 
-# Create a cron job to run the script every 2 hours
-CRON_JOB="0 */2 * * * cd $SCRIPT_DIR && /usr/bin/node $SCRIPT_DIR/src/index.js >> $SCRIPT_DIR/logs/rss-feed.log 2>&1"
+# Create a cron job to run the script every 2 hours. The script writes and rotates its own log;
+# anything else on stdout/stderr (such as a crash) goes to cron-output.log
+CRON_JOB="0 */2 * * * cd $SCRIPT_DIR && /usr/bin/node $SCRIPT_DIR/src/index.js --log-file $SCRIPT_DIR/logs/rss-feed.log >> $SCRIPT_DIR/logs/cron-output.log 2>&1"
 
 # Create logs directory if it doesn't exist
 mkdir -p "$SCRIPT_DIR/logs"
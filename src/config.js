@@ -5,21 +5,88 @@ import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import fetch from 'node-fetch';
 
+import { assertValidFeedConfig } from './utils/configValidator.js';
+import { createEmptyFeedHealth } from './utils/feedHealthUtils.js';
+import { createEmptyLabelSyncState } from './utils/labelSyncUtils.js';
+import { configureLogger, logger } from './utils/logger.js';
+import { createEmptyPendingQueue } from './utils/scheduleUtils.js';
+import { markItemsSeen, pruneSeenItems, touchSeenItems } from './utils/seenUtils.js';
+
 // Get directory paths for local files
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const rootDir = path.resolve(__dirname, '..');
 const cursorFilePath = path.join(rootDir, 'cursor.json');
+const seenItemsFilePath = path.join(rootDir, 'seen-items.json');
+const feedConfigCachePath = path.join(rootDir, 'feed-config.cache.json');
+const feedCacheFilePath = path.join(rootDir, 'feed-cache.json');
+const outboxFilePath = path.join(rootDir, 'outbox.json');
+const pendingFilePath = path.join(rootDir, 'pending.json');
+const threadsFilePath = path.join(rootDir, 'threads.json');
+const feedHealthFilePath = path.join(rootDir, 'feed-health.json');
+const labelSyncFilePath = path.join(rootDir, 'label-sync.json');
+const runLogFilePath = path.join(rootDir, 'run-log.jsonl');
+const lockFilePath = path.join(rootDir, 'run.lock');
+const defaultFeedConfigPath = path.join(rootDir, 'feed-config.json');
+const defaultTemplatePath = path.join(rootDir, 'templates', 'default.html');
+
+// Default time between scheduled runs, and the largest random delay added to it
+const DEFAULT_CHECK_INTERVAL_HOURS = 2;
+const DEFAULT_CHECK_JITTER_MINUTES = 5;
+
+// Default number of days to remember an item after it last appeared in its feed
+const DEFAULT_SEEN_ITEMS_RETENTION_DAYS = 90;
+
+// Default limits for outgoing feed and article requests
+const DEFAULT_FETCH_CONCURRENCY = 5;
+const DEFAULT_FETCH_PER_HOST_CONCURRENCY = 1;
+const DEFAULT_FETCH_PER_HOST_DELAY_MS = 1000;
+
+// Default number of send attempts before an email in the outbox is given up
+const DEFAULT_OUTBOX_MAX_ATTEMPTS = 5;
+
+// Default line width of the plain-text part of emails
+const DEFAULT_TEXT_WRAP_WIDTH = 72;
+
+// Default size caps for images embedded as inline attachments
+const DEFAULT_EMBED_IMAGE_MAX_BYTES = 1024 * 1024;
+const DEFAULT_EMBED_EMAIL_MAX_BYTES = 10 * 1024 * 1024;
+
+// Defaults for when a feed counts as dead or stale in the feed health report
+const DEFAULT_FEED_DEAD_AFTER_FAILURES = 5;
+const DEFAULT_FEED_STALE_AFTER_DAYS = 90;
+
+// Default number of runs kept in the run log
+const DEFAULT_RUN_LOG_MAX_RUNS = 1000;
+
+// Retries of a Gmail API delivery the API asked to slow down, the first after this delay
+const DEFAULT_GMAIL_API_MAX_RETRIES = 5;
+const DEFAULT_GMAIL_API_RETRY_DELAY_MS = 1000;
+
+// Default size of the log file before it is rotated, and number of rotated files kept
+const DEFAULT_LOG_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_LOG_MAX_FILES = 5;
+
+/**
+ * Kinds of places the feed configuration can be loaded from
+ */
+export const CONFIG_SOURCE_TYPES = {
+  LOCAL: 'local',
+  URL: 'url',
+  GITHUB: 'github',
+};
 
 // Load environment variables
 function loadEnvironmentVariables() {
   const result = dotenv.config({ path: path.join(rootDir, '.env') });
 
-  if (result.error) {
-    console.error('Error loading .env file:', result.error);
+  if (result.error?.code === 'ENOENT') {
+    logger.debug('No .env file found, using the environment only');
+  } else if (result.error) {
+    logger.warn('Error loading .env file', result.error);
+  } else {
+    logger.debug('Environment variables loaded');
   }
-
-  console.log('Environment variables loaded');
 }
 
 loadEnvironmentVariables();
@@ -29,116 +96,728 @@ export const config = {
   email: {
     recipient: process.env.EMAIL_RECIPIENT,
     from: process.env.EMAIL_FROM,
+    template: process.env.EMAIL_TEMPLATE || defaultTemplatePath,
+    locale: process.env.EMAIL_LOCALE || undefined,
+    timeZone: process.env.EMAIL_TIME_ZONE || undefined,
   },
   gmail: {
     clientId: process.env.CLIENT_ID,
     clientSecret: process.env.CLIENT_SECRET,
     refreshToken: process.env.REFRESH_TOKEN,
     accessToken: process.env.ACCESS_TOKEN,
+    stubFile: process.env.GMAIL_STUB_FILE ? path.resolve(rootDir, process.env.GMAIL_STUB_FILE) : null,
+  },
+  transport: {
+    type: (process.env.EMAIL_TRANSPORT || 'gmail').toLowerCase(),
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      requireTLS: process.env.SMTP_REQUIRE_TLS !== 'false',
+      rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+    sendmail: {
+      path: process.env.SENDMAIL_PATH || 'sendmail',
+    },
+    file: {
+      dir: path.resolve(rootDir, process.env.MAIL_OUTPUT_DIR || 'mail-output'),
+      format: (process.env.MAIL_OUTPUT_FORMAT || 'eml').toLowerCase(),
+    },
+    gmailApi: {
+      method: (process.env.GMAIL_API_METHOD || 'insert').toLowerCase(),
+      skipInbox: process.env.GMAIL_API_SKIP_INBOX === 'true',
+      fallback: process.env.GMAIL_API_FALLBACK !== 'false',
+      maxRetries: parseNonNegativeNumber(process.env.GMAIL_API_MAX_RETRIES, DEFAULT_GMAIL_API_MAX_RETRIES),
+      retryDelayMs: Number(process.env.GMAIL_API_RETRY_DELAY_MS) || DEFAULT_GMAIL_API_RETRY_DELAY_MS,
+    },
   },
   github: {
     feedConfigRepo: process.env.FEED_CONFIG_REPO,
-    feedConfigBranch: process.env.FEED_CONFIG_BRANCH,
+    feedConfigBranch: process.env.FEED_CONFIG_BRANCH || 'main',
+    feedConfigPath: process.env.FEED_CONFIG_PATH || 'feed-config.json',
   },
+  feedConfigSource: process.env.FEED_CONFIG_SOURCE,
   settings: {
-    checkIntervalHours: process.env.CHECK_INTERVAL_HOURS,
+    checkIntervalHours: Number(process.env.CHECK_INTERVAL_HOURS) || DEFAULT_CHECK_INTERVAL_HOURS,
+    checkJitterMinutes: parseNonNegativeNumber(process.env.CHECK_JITTER_MINUTES, DEFAULT_CHECK_JITTER_MINUTES),
+    seenItemsRetentionDays: Number(process.env.SEEN_ITEMS_RETENTION_DAYS) || DEFAULT_SEEN_ITEMS_RETENTION_DAYS,
+    fetchConcurrency: Number(process.env.FETCH_CONCURRENCY) || DEFAULT_FETCH_CONCURRENCY,
+    fetchPerHostConcurrency: Number(process.env.FETCH_PER_HOST_CONCURRENCY) || DEFAULT_FETCH_PER_HOST_CONCURRENCY,
+    fetchPerHostDelayMs: parseNonNegativeNumber(process.env.FETCH_PER_HOST_DELAY_MS, DEFAULT_FETCH_PER_HOST_DELAY_MS),
+    outboxMaxAttempts: Number(process.env.OUTBOX_MAX_ATTEMPTS) || DEFAULT_OUTBOX_MAX_ATTEMPTS,
+    embedImages: process.env.EMBED_IMAGES === 'true',
+    embedImageMaxBytes: Number(process.env.EMBED_IMAGE_MAX_BYTES) || DEFAULT_EMBED_IMAGE_MAX_BYTES,
+    embedEmailMaxBytes: Number(process.env.EMBED_EMAIL_MAX_BYTES) || DEFAULT_EMBED_EMAIL_MAX_BYTES,
+    textWrapWidth: parseNonNegativeNumber(process.env.TEXT_WRAP_WIDTH, DEFAULT_TEXT_WRAP_WIDTH),
+    threadEmails: process.env.THREAD_EMAILS === 'true',
+    feedDeadAfterFailures: Number(process.env.FEED_DEAD_AFTER_FAILURES) || DEFAULT_FEED_DEAD_AFTER_FAILURES,
+    feedStaleAfterDays: Number(process.env.FEED_STALE_AFTER_DAYS) || DEFAULT_FEED_STALE_AFTER_DAYS,
+    feedHealthReportDays: parseNonNegativeNumber(process.env.FEED_HEALTH_REPORT_DAYS, 0),
+    updateMovedFeeds: process.env.UPDATE_MOVED_FEEDS === 'true',
+    runLogMaxRuns: Number(process.env.RUN_LOG_MAX_RUNS) || DEFAULT_RUN_LOG_MAX_RUNS,
+    runSummaryFailureThreshold: parseNonNegativeNumber(process.env.RUN_SUMMARY_FAILURE_THRESHOLD, 0),
+  },
+  logging: {
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || 'text',
+    file: process.env.LOG_FILE ? path.resolve(rootDir, process.env.LOG_FILE) : null,
+    maxBytes: Number(process.env.LOG_MAX_BYTES) || DEFAULT_LOG_MAX_BYTES,
+    maxFiles: parseNonNegativeNumber(process.env.LOG_MAX_FILES, DEFAULT_LOG_MAX_FILES),
   },
   paths: {
     rootDir,
     cursorFilePath,
+    seenItemsFilePath,
+    feedConfigCachePath,
+    defaultFeedConfigPath,
+    feedCacheFilePath,
+    outboxFilePath,
+    pendingFilePath,
+    threadsFilePath,
+    feedHealthFilePath,
+    labelSyncFilePath,
+    runLogFilePath,
+    lockFilePath,
+    defaultTemplatePath,
   },
 };
 
+configureLogger(config.logging);
+
+/**
+ * Parse a numeric environment variable that may legitimately be zero
+ * @param {string|undefined} value - The raw value
+ * @param {number} defaultValue - Value to use if unset or invalid
+ * @returns {number} The parsed value
+ */
+function parseNonNegativeNumber(value, defaultValue) {
+  const number = Number(value);
+  return value !== undefined && value !== '' && number >= 0 ? number : defaultValue;
+}
+
+/**
+ * Work out where the feed configuration should be loaded from.
+ * FEED_CONFIG_SOURCE (a local path or HTTP(S) URL) takes precedence, then FEED_CONFIG_REPO,
+ * and finally a feed-config.json in the project root.
+ * @returns {Object} The source type and location
+ */
+export function getConfigSource() {
+  if (config.feedConfigSource) {
+    if (/^https?:\/\//i.test(config.feedConfigSource)) {
+      return { type: CONFIG_SOURCE_TYPES.URL, location: config.feedConfigSource };
+    }
+    return { type: CONFIG_SOURCE_TYPES.LOCAL, location: path.resolve(rootDir, config.feedConfigSource) };
+  }
+
+  if (config.github.feedConfigRepo) {
+    return { type: CONFIG_SOURCE_TYPES.GITHUB, location: getGitHubConfigUrl() };
+  }
+
+  return { type: CONFIG_SOURCE_TYPES.LOCAL, location: defaultFeedConfigPath };
+}
+
 /**
- * Get the URL for the feed configuration file
+ * Get the raw file URL for the feed configuration in a GitHub repository
  * @returns {string} The URL to the feed configuration file
  */
-function getConfigUrl() {
-  const repoPath = process.env.FEED_CONFIG_REPO.split('github.com/')[1];
-  return `https://raw.githubusercontent.com/${repoPath}/${process.env.FEED_CONFIG_BRANCH}/feed-config.json`;
+function getGitHubConfigUrl() {
+  // Accept "https://github.com/owner/repo", "github.com/owner/repo.git" or plain "owner/repo"
+  const repoPath = config.github.feedConfigRepo
+    .replace(/^(https?:\/\/)?(www\.)?github\.com\//i, '')
+    .replace(/\.git$/, '')
+    .replace(/\/+$/, '');
+
+  if (!/^[^/]+\/[^/]+$/.test(repoPath)) {
+    throw new Error(
+      `FEED_CONFIG_REPO must look like https://github.com/<owner>/<repo>, got "${config.github.feedConfigRepo}"`
+    );
+  }
+
+  const filePath = config.github.feedConfigPath.replace(/^\/+/, '');
+  return `https://raw.githubusercontent.com/${repoPath}/${config.github.feedConfigBranch}/${filePath}`;
 }
 
 /**
- * Fetch the feed configuration from GitHub and load local cursor
+ * Fetch the feed configuration and load local cursor
  * @returns {Promise<Object>} The feed configuration and cursor
  */
 export async function fetchFeedConfig() {
   try {
     // Fetch feed configuration
-    const feedConfig = await fetchFeedConfigFromGitHub();
+    const feedConfig = await loadFeedConfig(getConfigSource());
 
     // Load cursor
     const { cursor, exists } = await loadCursorFile();
 
     return { feedConfig, cursor, cursorExists: exists };
   } catch (error) {
-    console.error('Error fetching configuration:', error);
+    logger.error('Error fetching configuration', error);
+    throw error;
+  }
+}
+
+/**
+ * Load the feed configuration from a source
+ * @param {Object} source - The source from getConfigSource
+ * @returns {Promise<Object>} The feed configuration
+ */
+export async function loadFeedConfig(source) {
+  if (source.type === CONFIG_SOURCE_TYPES.LOCAL) {
+    return await loadLocalFeedConfig(source.location);
+  }
+
+  return await fetchRemoteFeedConfig(source.location);
+}
+
+/**
+ * Read the feed configuration from a local file
+ * @param {string} filePath - Path to the configuration file
+ * @returns {Promise<Object>} The feed configuration
+ */
+async function loadLocalFeedConfig(filePath) {
+  let data;
+  try {
+    data = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(
+        `Feed config not found at ${filePath}. Create it from config-examples/feed-config.json ` +
+          'or set FEED_CONFIG_SOURCE / FEED_CONFIG_REPO in .env'
+      );
+    }
     throw error;
   }
+
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    throw new Error(`Feed config at ${filePath} is not valid JSON: ${error.message}`);
+  }
 }
 
 /**
- * Fetch the feed configuration from GitHub
+ * Fetch the feed configuration from a URL, falling back to the last known good copy.
+ * Only a configuration that passes validation is cached as the known good copy.
+ * @param {string} url - The URL of the configuration file
  * @returns {Promise<Object>} The feed configuration
  */
-async function fetchFeedConfigFromGitHub() {
-  const FEED_CONFIG_URL = getConfigUrl();
-  const response = await fetch(FEED_CONFIG_URL);
+async function fetchRemoteFeedConfig(url) {
+  try {
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch feed config from ${url}: ${response.status} ${response.statusText}`);
+    }
+
+    const feedConfig = await response.json();
+    assertValidFeedConfig(feedConfig);
+    await saveFeedConfigCache(url, feedConfig);
+    return feedConfig;
+  } catch (error) {
+    const cached = await loadFeedConfigCache(url);
+    if (!cached) {
+      throw error;
+    }
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch feed config: ${response.statusText}`);
+    logger.warn(`${error.message}. Using cached feed config from ${cached.fetchedAt}`);
+    return cached.feedConfig;
   }
+}
 
-  return await response.json();
+/**
+ * Save a successfully fetched remote configuration as the last known good copy
+ * @param {string} url - The URL the configuration was fetched from
+ * @param {Object} feedConfig - The feed configuration
+ * @returns {Promise<void>}
+ */
+async function saveFeedConfigCache(url, feedConfig) {
+  try {
+    const cache = { url, fetchedAt: new Date().toISOString(), feedConfig };
+    await fs.writeFile(config.paths.feedConfigCachePath, JSON.stringify(cache, null, 2), 'utf8');
+  } catch (error) {
+    logger.warn('Could not write feed config cache', error);
+  }
+}
+
+/**
+ * Load the last known good copy of a remote configuration
+ * @param {string} url - The URL the configuration is fetched from
+ * @returns {Promise<Object|null>} The cached entry or null if there is none for this URL
+ */
+async function loadFeedConfigCache(url) {
+  try {
+    const cache = JSON.parse(await fs.readFile(config.paths.feedConfigCachePath, 'utf8'));
+    return cache.url === url ? cache : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Load the HTTP cache entries (ETag, Last-Modified, next fetch time) for all feeds
+ * @returns {Promise<Object>} Cache entries keyed by feed URL
+ */
+export async function loadFeedCache() {
+  try {
+    return JSON.parse(await fs.readFile(feedCacheFilePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Error reading feed cache, fetching all feeds in full', error);
+    }
+    return {};
+  }
+}
+
+/**
+ * Save the HTTP cache entries for all feeds
+ * @param {Object} feedCache - Cache entries keyed by feed URL
+ * @returns {Promise<void>}
+ */
+export async function saveFeedCache(feedCache) {
+  try {
+    await fs.writeFile(feedCacheFilePath, JSON.stringify(feedCache, null, 2), 'utf8');
+  } catch (error) {
+    logger.error('Error saving feed cache', error);
+  }
+}
+
+/**
+ * Load the outbox of emails that failed to send on earlier runs
+ * @returns {Promise<Object>} The outbox with its entries
+ */
+export async function loadOutbox() {
+  try {
+    const outbox = JSON.parse(await fs.readFile(outboxFilePath, 'utf8'));
+    return { entries: [], ...outbox };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Error reading outbox', error);
+    }
+    return { entries: [] };
+  }
+}
+
+/**
+ * Save the outbox
+ * @param {Object} outbox - The outbox with its entries
+ * @returns {Promise<void>}
+ */
+export async function saveOutbox(outbox) {
+  try {
+    await fs.writeFile(outboxFilePath, JSON.stringify(outbox, null, 2), 'utf8');
+  } catch (error) {
+    logger.error('Error saving outbox', error);
+  }
+}
+
+/**
+ * Load the queue of items held back until the delivery time of their group's schedule
+ * @returns {Promise<Object>} The pending queue with its entries
+ */
+export async function loadPendingQueue() {
+  try {
+    const pending = JSON.parse(await fs.readFile(pendingFilePath, 'utf8'));
+    return { ...createEmptyPendingQueue(), ...pending };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Error reading pending queue', error);
+    }
+    return createEmptyPendingQueue();
+  }
+}
+
+/**
+ * Save the pending queue
+ * @param {Object} pending - The pending queue with its entries
+ * @returns {Promise<void>}
+ */
+export async function savePendingQueue(pending) {
+  try {
+    await fs.writeFile(pendingFilePath, JSON.stringify(pending, null, 2), 'utf8');
+  } catch (error) {
+    logger.error('Error saving pending queue', error);
+  }
+}
+
+/**
+ * Load the conversation threads emails are added to
+ * @returns {Promise<Object>} Threads keyed by feed or digest group
+ */
+export async function loadThreads() {
+  try {
+    return JSON.parse(await fs.readFile(threadsFilePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Error reading threads', error);
+    }
+    return {};
+  }
 }
 
 /**
- * Load the cursor file from disk
+ * Save the conversation threads
+ * @param {Object} threads - Threads keyed by feed or digest group
+ * @returns {Promise<void>}
+ */
+export async function saveThreads(threads) {
+  try {
+    await fs.writeFile(threadsFilePath, JSON.stringify(threads, null, 2), 'utf8');
+  } catch (error) {
+    logger.error('Error saving threads', error);
+  }
+}
+
+/**
+ * Load what the last label sync recorded about the Gmail labels it manages
+ * @returns {Promise<Object>} The label sync state with labels keyed by label ID
+ */
+export async function loadLabelSyncState() {
+  try {
+    const state = JSON.parse(await fs.readFile(config.paths.labelSyncFilePath, 'utf8'));
+    return { ...createEmptyLabelSyncState(), ...state };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Error reading label sync state', error);
+    }
+    return createEmptyLabelSyncState();
+  }
+}
+
+/**
+ * Save the label sync state
+ * @param {Object} state - The label sync state with labels keyed by label ID
+ * @returns {Promise<void>}
+ */
+export async function saveLabelSyncState(state) {
+  try {
+    await fs.writeFile(config.paths.labelSyncFilePath, JSON.stringify(state, null, 2), 'utf8');
+  } catch (error) {
+    logger.error('Error saving label sync state', error);
+  }
+}
+
+/**
+ * Load the health record of every feed
+ * @returns {Promise<Object>} The feed health store
+ */
+export async function loadFeedHealth() {
+  try {
+    const health = JSON.parse(await fs.readFile(feedHealthFilePath, 'utf8'));
+    return { ...createEmptyFeedHealth(), ...health };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Error reading feed health', error);
+    }
+    return createEmptyFeedHealth();
+  }
+}
+
+/**
+ * Save the health record of every feed
+ * @param {Object} health - The feed health store
+ * @returns {Promise<void>}
+ */
+export async function saveFeedHealth(health) {
+  try {
+    await fs.writeFile(feedHealthFilePath, JSON.stringify(health, null, 2), 'utf8');
+  } catch (error) {
+    logger.error('Error saving feed health', error);
+  }
+}
+
+/**
+ * Load the most recent runs from the run log
+ * @param {number} limit - Number of runs to return
+ * @returns {Promise<Array>} The run records, oldest first
+ */
+export async function loadRunLog(limit = Infinity) {
+  let data;
+  try {
+    data = await fs.readFile(runLogFilePath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Error reading run log', error);
+    }
+    return [];
+  }
+
+  const runs = [];
+  for (const line of data.split('\n').filter(Boolean)) {
+    try {
+      runs.push(JSON.parse(line));
+    } catch (error) {
+      // A line cut short by a crash mid-write is skipped
+    }
+  }
+  return runs.slice(-limit);
+}
+
+/**
+ * Append a run to the run log, dropping the oldest runs beyond RUN_LOG_MAX_RUNS
+ * @param {Object} run - The finished run record
+ * @returns {Promise<void>}
+ */
+export async function appendRunLog(run) {
+  try {
+    await fs.appendFile(runLogFilePath, JSON.stringify(run) + '\n', 'utf8');
+
+    const runs = await loadRunLog();
+    if (runs.length > config.settings.runLogMaxRuns) {
+      const kept = runs.slice(-config.settings.runLogMaxRuns);
+      await fs.writeFile(runLogFilePath, kept.map((entry) => JSON.stringify(entry) + '\n').join(''), 'utf8');
+    }
+  } catch (error) {
+    logger.error('Error writing run log', error);
+  }
+}
+
+/**
+ * Take the lock that keeps two runs from working on the same state files at once.
+ * A lock left behind by a process that no longer exists is taken over.
+ * @returns {Promise<Object|null>} The lock, or null if another running process holds it
+ */
+export async function acquireRunLock() {
+  const lock = { pid: process.pid, acquiredAt: new Date().toISOString() };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await fs.writeFile(config.paths.lockFilePath, JSON.stringify(lock), { encoding: 'utf8', flag: 'wx' });
+      return lock;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const holder = await readRunLock();
+    if (holder && isProcessRunning(holder.pid)) {
+      logger.warn(`Another run (pid ${holder.pid}) has been in progress since ${holder.acquiredAt}`);
+      return null;
+    }
+
+    logger.warn(`Removing a stale lock left by pid ${holder?.pid ?? 'unknown'}`);
+    await fs.rm(config.paths.lockFilePath, { force: true });
+  }
+
+  return null;
+}
+
+/**
+ * Release a lock taken with acquireRunLock
+ * @param {Object} lock - The lock
+ * @returns {Promise<void>}
+ */
+export async function releaseRunLock(lock) {
+  const holder = await readRunLock();
+  if (holder?.pid === lock.pid && holder.acquiredAt === lock.acquiredAt) {
+    await fs.rm(config.paths.lockFilePath, { force: true });
+  }
+}
+
+/**
+ * Run an operation while holding the run lock. The operation is skipped while another
+ * running process holds the lock, so two runs never overlap.
+ * @param {Function} operation - Async function to run
+ * @returns {Promise<any>} The result of the operation, or undefined if it was skipped
+ */
+export async function withRunLock(operation) {
+  const lock = await acquireRunLock();
+  if (!lock) {
+    logger.warn('Skipping this run so it does not overlap with the one in progress');
+    return undefined;
+  }
+
+  try {
+    return await operation();
+  } finally {
+    await releaseRunLock(lock);
+  }
+}
+
+/**
+ * Read the lock file
+ * @returns {Promise<Object|null>} The lock, or null if there is none or it cannot be read
+ */
+async function readRunLock() {
+  try {
+    return JSON.parse(await fs.readFile(config.paths.lockFilePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a process exists
+ * @param {number} pid - The process ID
+ * @returns {boolean} True if the process exists
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Move the stored state of a feed to its new URL: seen items, HTTP cache, outbox and pending
+ * items and conversation thread. Without this, every item of a moved feed would be sent again.
+ * @param {string} oldUrl - The URL the feed was configured with
+ * @param {string} newUrl - The URL the feed moved to
+ * @returns {Promise<void>}
+ */
+export async function renameFeedState(oldUrl, newUrl) {
+  const { cursor, exists } = await loadCursorFile();
+  if (exists && cursor.feeds[oldUrl]) {
+    cursor.feeds[newUrl] = { ...cursor.feeds[oldUrl], ...cursor.feeds[newUrl] };
+    delete cursor.feeds[oldUrl];
+    await fs.writeFile(config.paths.seenItemsFilePath, JSON.stringify(cursor, null, 2), 'utf8');
+  }
+
+  const feedCache = await loadFeedCache();
+  if (feedCache[oldUrl]) {
+    // The validators belong to the old URL, so only the schedule is kept
+    feedCache[newUrl] = { title: feedCache[oldUrl].title, nextFetchAfter: feedCache[oldUrl].nextFetchAfter };
+    delete feedCache[oldUrl];
+    await saveFeedCache(feedCache);
+  }
+
+  const outbox = await loadOutbox();
+  const queuedItems = outbox.entries.flatMap((entry) => entry.items).filter((item) => item.feedUrl === oldUrl);
+  if (queuedItems.length > 0) {
+    queuedItems.forEach((item) => {
+      item.feedUrl = newUrl;
+    });
+    await saveOutbox(outbox);
+  }
+
+  const pending = await loadPendingQueue();
+  const pendingItems = pending.entries.flatMap((entry) => entry.items).filter((item) => item.feedUrl === oldUrl);
+  if (pendingItems.length > 0) {
+    pendingItems.forEach((item) => {
+      item.feedUrl = newUrl;
+    });
+    await savePendingQueue(pending);
+  }
+
+  // Threads of emails to other recipients have the recipients after a "#"
+  const threads = await loadThreads();
+  const threadKeys = Object.keys(threads).filter(
+    (key) => key === `feed:${oldUrl}` || key.startsWith(`feed:${oldUrl}#`)
+  );
+  if (threadKeys.length > 0) {
+    threadKeys.forEach((key) => {
+      threads[`feed:${newUrl}${key.slice(`feed:${oldUrl}`.length)}`] = threads[key];
+      delete threads[key];
+    });
+    await saveThreads(threads);
+  }
+
+  // The next label sync then renames the feed's label instead of replacing it
+  const labelSync = await loadLabelSyncState();
+  const syncedLabels = Object.values(labelSync.labels).filter((label) => label.feedUrls.includes(oldUrl));
+  if (syncedLabels.length > 0) {
+    syncedLabels.forEach((label) => {
+      label.feedUrls = label.feedUrls.map((url) => (url === oldUrl ? newUrl : url));
+    });
+    await saveLabelSyncState(labelSync);
+  }
+}
+
+/**
+ * Load the seen-item store from disk, migrating a legacy cursor file if needed
  * @returns {Promise<Object>} The cursor and whether it exists
  */
 async function loadCursorFile() {
   try {
-    const cursorData = await fs.readFile(cursorFilePath, 'utf8');
+    const cursorData = await fs.readFile(config.paths.seenItemsFilePath, 'utf8');
     const cursor = JSON.parse(cursorData);
-    console.log('Cursor file loaded successfully');
-    return { cursor, exists: true };
+    logger.debug('Seen-item store loaded successfully');
+    return { cursor: { feeds: {}, ...cursor }, exists: true };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Error reading seen-item store', error);
+      return { cursor: createEmptyCursor(), exists: false };
+    }
+  }
+
+  return await migrateLegacyCursorFile();
+}
+
+/**
+ * Convert a legacy timestamp cursor into a seen-item store.
+ * The timestamps are kept per feed and used for date comparison until each feed
+ * has been fetched once, so no items are resent during the migration.
+ * @returns {Promise<Object>} The cursor and whether it exists
+ */
+async function migrateLegacyCursorFile() {
+  try {
+    const cursorData = await fs.readFile(config.paths.cursorFilePath, 'utf8');
+    const legacyCursor = JSON.parse(cursorData);
+    logger.info('Legacy cursor file found. It will be migrated to the seen-item store after processing feeds.');
+    return { cursor: { ...createEmptyCursor(), legacy: legacyCursor }, exists: true };
   } catch (error) {
     if (error.code === 'ENOENT') {
-      console.log('No cursor file found. Will create one after processing feeds.');
-      return { cursor: {}, exists: false };
+      logger.info('No seen-item store found. Will create one after processing feeds.');
     } else {
-      console.error('Error reading cursor file:', error);
-      return { cursor: {}, exists: false };
+      logger.error('Error reading legacy cursor file', error);
     }
+    return { cursor: createEmptyCursor(), exists: false };
   }
 }
 
 /**
- * Update the cursor file with the latest feed items
+ * Create an empty seen-item store
+ * @returns {Object} The empty cursor
+ */
+function createEmptyCursor() {
+  return { version: 2, feeds: {}, legacy: {} };
+}
+
+/**
+ * Record items as seen and prune expired entries.
+ * Filtered items are always recorded. New items are recorded only if they are in
+ * `processedItems` (delivered or given up), or all of them when it is not given.
+ * Expired entries are pruned only for feeds whose result is `parsed`.
  * @param {Object} feedResults - The feed results
+ * @param {Array|null} processedItems - Items whose processing is finished, from any feed
  * @returns {Promise<Object>} The updated cursor
  */
-export async function updateCursor(feedResults) {
+export async function updateCursor(feedResults, processedItems = null) {
   try {
-    // Try to read existing cursor file
+    // Try to read existing seen-item store
     const { cursor } = await loadCursorFile();
+    const now = new Date();
+    const timestamp = now.toISOString();
 
-    // Update cursor with latest feed items
+    // Mark filtered (and, without processedItems, new) items as seen and refresh items still present in each feed
     for (const [feedUrl, result] of Object.entries(feedResults)) {
-      if (result.items && result.items.length > 0) {
-        // Use the latest item's date
-        const latestItem = result.items[0];
-        cursor[feedUrl] = latestItem.isoDate || new Date().toISOString();
-      }
+      const newItems = processedItems ? [] : result.items || [];
+      markItemsSeen(cursor, feedUrl, [...newItems, ...(result.filteredItems || [])], timestamp);
+      touchSeenItems(cursor, feedUrl, result.seenKeys || [], timestamp);
+    }
+
+    // Processed items can come from the outbox, for feeds that were not fetched this run
+    for (const item of processedItems || []) {
+      markItemsSeen(cursor, item.feedUrl, [item], timestamp);
+    }
+
+    // Only parsed feeds refreshed their entries; the others keep theirs until they are parsed again
+    const parsedFeeds = Object.keys(feedResults).filter((feedUrl) => feedResults[feedUrl].parsed);
+    const removed = pruneSeenItems(cursor, config.settings.seenItemsRetentionDays, now, parsedFeeds);
+    if (removed > 0) {
+      logger.info(`Pruned ${removed} expired entries from the seen-item store`);
     }
 
-    // Write updated cursor to local file
-    await fs.writeFile(cursorFilePath, JSON.stringify(cursor, null, 2), 'utf8');
-    console.log('Cursor file updated successfully');
+    // Write updated store to local file
+    await fs.writeFile(config.paths.seenItemsFilePath, JSON.stringify(cursor, null, 2), 'utf8');
+    logger.debug('Seen-item store updated successfully');
 
     return cursor;
   } catch (error) {
-    console.error('Error updating cursor:', error);
+    logger.error('Error updating cursor', error);
     throw error;
   }
 }
@@ -0,0 +1,187 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import { config, fetchFeedConfig, updateCursor } from './config.js';
+import { fetchFeeds } from './feedFetcher.js';
+import { configureLogger } from './utils/logger.js';
+
+configureLogger({ level: 'error' });
+
+const feedA = 'https://example.com/a.xml';
+const feedB = 'https://example.com/b.xml';
+
+describe('legacy cursor migration', () => {
+  let tempDir;
+  let savedConfig;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rss-feed-mail-'));
+    savedConfig = { feedConfigSource: config.feedConfigSource, paths: { ...config.paths } };
+    config.feedConfigSource = path.join(tempDir, 'feed-config.json');
+    config.paths.cursorFilePath = path.join(tempDir, 'cursor.json');
+    config.paths.seenItemsFilePath = path.join(tempDir, 'seen-items.json');
+
+    await fs.writeFile(config.feedConfigSource, JSON.stringify({ groups: [] }), 'utf8');
+    await fs.writeFile(
+      config.paths.cursorFilePath,
+      JSON.stringify({ [feedA]: '2024-01-01T00:00:00.000Z', [feedB]: '2024-01-01T00:00:00.000Z' }),
+      'utf8'
+    );
+  });
+
+  afterEach(async () => {
+    config.feedConfigSource = savedConfig.feedConfigSource;
+    Object.assign(config.paths, savedConfig.paths);
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('loads a legacy cursor file as the timestamps of a new seen-item store', async () => {
+    const { cursor, cursorExists } = await fetchFeedConfig();
+
+    assert.equal(cursorExists, true);
+    assert.deepEqual(cursor, {
+      version: 2,
+      feeds: {},
+      legacy: { [feedA]: '2024-01-01T00:00:00.000Z', [feedB]: '2024-01-01T00:00:00.000Z' },
+    });
+  });
+
+  it('keeps the timestamps of feeds that have no seen items yet', async () => {
+    await updateCursor({ [feedA]: { items: [{ guid: 'a1', feedUrl: feedA }], seenKeys: [] } });
+
+    const cursor = JSON.parse(await fs.readFile(config.paths.seenItemsFilePath, 'utf8'));
+    assert.deepEqual(Object.keys(cursor.feeds), [feedA]);
+    assert.ok('guid:a1' in cursor.feeds[feedA]);
+    assert.deepEqual(cursor.legacy, { [feedB]: '2024-01-01T00:00:00.000Z' });
+
+    // From now on the seen-item store is read and the legacy file is left alone
+    const { cursor: reloaded } = await fetchFeedConfig();
+    assert.deepEqual(reloaded, cursor);
+  });
+});
+
+describe('seen-item retention', () => {
+  let tempDir;
+  let savedConfig;
+  let server;
+  let feedXml;
+
+  /**
+   * Build an RSS document with one item per guid
+   * @param {Array<string>} guids - The item guids
+   * @returns {string} - The feed XML
+   */
+  function buildFeed(guids) {
+    const items = guids.map((guid) => `<item><guid>${guid}</guid><title>${guid}</title></item>`).join('');
+    return `<?xml version="1.0"?><rss version="2.0"><channel><title>Feed</title>${items}</channel></rss>`;
+  }
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rss-feed-mail-'));
+    savedConfig = { feedConfigSource: config.feedConfigSource, paths: { ...config.paths } };
+    config.paths.cursorFilePath = path.join(tempDir, 'cursor.json');
+    config.paths.seenItemsFilePath = path.join(tempDir, 'seen-items.json');
+
+    // Answers 304 while the client has the current version
+    feedXml = buildFeed(['a1']);
+    server = http.createServer((request, response) => {
+      const etag = `"${feedXml.length}"`;
+      if (request.headers['if-none-match'] === etag) {
+        response.writeHead(304).end();
+      } else {
+        response.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: etag }).end(feedXml);
+      }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(async () => {
+    config.feedConfigSource = savedConfig.feedConfigSource;
+    Object.assign(config.paths, savedConfig.paths);
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('keeps the seen items of a feed that has not changed for longer than the retention window', async () => {
+    const feedUrl = `http://127.0.0.1:${server.address().port}/feed.xml`;
+    const lastSeen = new Date(Date.now() - (config.settings.seenItemsRetentionDays + 30) * 86400000).toISOString();
+    config.feedConfigSource = path.join(tempDir, 'feed-config.json');
+    await fs.writeFile(
+      config.feedConfigSource,
+      JSON.stringify({ groups: [{ name: 'News', feeds: [{ url: feedUrl }] }] })
+    );
+    await fs.writeFile(
+      config.paths.seenItemsFilePath,
+      JSON.stringify({ version: 2, feeds: { [feedUrl]: { 'guid:a1': lastSeen } }, legacy: {} })
+    );
+    const feedCache = { [feedUrl]: { etag: `"${feedXml.length}"` } };
+
+    const { feedConfig, cursor } = await fetchFeedConfig();
+    const unchanged = await fetchFeeds(feedConfig, cursor, feedCache);
+    assert.equal(unchanged[feedUrl].parsed, false);
+    await updateCursor(unchanged, []);
+
+    feedXml = buildFeed(['a1', 'a2']);
+    const { cursor: kept } = await fetchFeedConfig();
+    assert.deepEqual(Object.keys(kept.feeds[feedUrl]), ['guid:a1']);
+
+    const changed = await fetchFeeds(feedConfig, kept, feedCache);
+    assert.deepEqual(
+      changed[feedUrl].items.map((item) => item.guid),
+      ['a2']
+    );
+  });
+});
+
+describe('remote feed config', () => {
+  const validConfig = { groups: [{ name: 'News', feeds: [{ url: 'https://example.com/feed.xml' }] }] };
+  let tempDir;
+  let savedConfig;
+  let server;
+  let body;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rss-feed-mail-'));
+    savedConfig = { feedConfigSource: config.feedConfigSource, paths: { ...config.paths } };
+    config.paths.feedConfigCachePath = path.join(tempDir, 'feed-config.cache.json');
+    config.paths.seenItemsFilePath = path.join(tempDir, 'seen-items.json');
+    config.paths.cursorFilePath = path.join(tempDir, 'cursor.json');
+
+    server = http.createServer((request, response) => {
+      response.writeHead(200, { 'Content-Type': 'application/json' }).end(body);
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    config.feedConfigSource = `http://127.0.0.1:${server.address().port}/feed-config.json`;
+  });
+
+  afterEach(async () => {
+    config.feedConfigSource = savedConfig.feedConfigSource;
+    Object.assign(config.paths, savedConfig.paths);
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('falls back to the last valid config instead of caching an invalid one', async () => {
+    body = JSON.stringify(validConfig);
+    assert.deepEqual((await fetchFeedConfig()).feedConfig, validConfig);
+
+    for (const invalid of ['[]', '"groups"', JSON.stringify({ groups: [{ feeds: [] }] })]) {
+      body = invalid;
+      assert.deepEqual((await fetchFeedConfig()).feedConfig, validConfig);
+    }
+
+    const cache = JSON.parse(await fs.readFile(config.paths.feedConfigCachePath, 'utf8'));
+    assert.deepEqual(cache.feedConfig, validConfig);
+  });
+
+  it('fails on an invalid config when there is no valid one to fall back to', async () => {
+    body = JSON.stringify({ groups: [{ feeds: [] }] });
+
+    await assert.rejects(fetchFeedConfig(), /Invalid feed configuration:\n {2}- groups\[0\]\.name: is required/);
+    await assert.rejects(fs.access(config.paths.feedConfigCachePath), { code: 'ENOENT' });
+  });
+});
@@ -1,32 +1,70 @@
-import { google } from 'googleapis';
-import nodemailer from 'nodemailer';
+import fs from 'fs';
+import path from 'path';
 
 import { config } from './config.js';
+import { requestLimiter } from './feedFetcher.js';
+import { createTransport } from './transports.js';
 import { MAIL_LABELS } from './utils/feedUtils.js';
+import { escapeHtml, sanitizeHtml, sanitizeUrl } from './utils/htmlUtils.js';
+import { embedImages, getMediaImageUrls } from './utils/imageUtils.js';
+import { LABEL_KINDS } from './utils/labelSyncUtils.js';
+import { logger } from './utils/logger.js';
+import { createDefaultRecipients, getMailboxAddress, getRecipientAddresses } from './utils/recipientUtils.js';
 import { retryOperation, isTemporaryEmailError } from './utils/retryUtils.js';
+import { formatDate, renderTemplate } from './utils/templateUtils.js';
+import { htmlToText } from './utils/textUtils.js';
+
+// Template sources by absolute path, read once per process
+const templateCache = new Map();
 
 /**
  * Send an email with RSS feed items
  * @param {Array} items - The feed items to include
  * @param {string} subject - The email subject
  * @param {string} labelPath - The Gmail label path
+ * @param {Object} format - Template, locale and time zone of the email
+ * @param {Object} threading - Message-ID, In-Reply-To and References of a threaded email, and its Gmail thread ID
+ * @param {Object|null} recipients - To, cc and bcc addresses, or null for EMAIL_RECIPIENT
+ * @param {string|null} feedLabel - Feed title of the label below the label path, for the emails of a single feed
+ * @param {Object} delivered - Copies of the email already delivered, updated in place as copies go out
+ * @param {Function} getTransport - Async function returning the transport, shared by the emails of a run
  * @returns {Promise<Object>} - The send mail result
  */
-export async function sendEmail(items, subject, labelPath) {
-  try {
-    const transport = await createEmailTransport();
-    const htmlContent = formatEmailContent(items);
-    const labelString = buildLabelString(labelPath);
+export async function sendEmail(
+  items,
+  subject,
+  labelPath,
+  format = {},
+  threading = {},
+  recipients = null,
+  feedLabel = null,
+  delivered = {},
+  getTransport = createTransport
+) {
+  const message = await buildMessage(items, subject, labelPath, format, threading, recipients, feedLabel);
+  return sendMessage(message, labelPath, delivered, getTransport);
+}
 
-    const mailOptions = createMailOptions(subject, htmlContent, labelString);
+/**
+ * Render an email without sending it, for previews
+ * @param {Array} items - The feed items to include
+ * @param {string} subject - The email subject
+ * @param {string} labelPath - The Gmail label path
+ * @param {Object} format - Template, locale and time zone of the email
+ * @param {Object|null} recipients - To, cc and bcc addresses, or null for EMAIL_RECIPIENT
+ * @param {string|null} feedLabel - Feed title of the label below the label path, for the emails of a single feed
+ * @returns {Object} - The subject, recipients, Gmail labels, HTML and plain text the email would have
+ */
+export function renderEmail(items, subject, labelPath, format = {}, recipients = null, feedLabel = null) {
+  const html = renderTemplate(loadTemplate(format.template), buildTemplateData(items, subject, labelPath, format));
 
-    const result = await transport.sendMail(mailOptions);
-    console.log(`Email sent for ${labelPath}: ${result.messageId}`);
-    return result;
-  } catch (error) {
-    console.error('Error sending email:', error);
-    throw error;
-  }
+  return {
+    subject,
+    ...(recipients || createDefaultRecipients(config.email.recipient)),
+    labels: buildLabelNames(labelPath, feedLabel),
+    html,
+    text: htmlToText(html, config.settings.textWrapWidth),
+  };
 }
 
 /**
@@ -36,131 +74,358 @@ export async function sendEmail(items, subject, labelPath) {
  * @param {string} labelPath - Gmail label path
  * @param {number} maxRetries - Max retry attempts
  * @param {number} retryDelay - Initial retry delay in ms
+ * @param {Object} format - Template, locale and time zone of the email
+ * @param {Object} threading - Message-ID, In-Reply-To and References of a threaded email, and its Gmail thread ID
+ * @param {Object|null} recipients - To, cc and bcc addresses, or null for EMAIL_RECIPIENT
+ * @param {string|null} feedLabel - Feed title of the label below the label path, for the emails of a single feed
+ * @param {Object} delivered - Copies of the email already delivered; kept across retries so they go out once
+ * @param {Function} getTransport - Async function returning the transport, shared by the emails of a run
  * @returns {Promise<Object>} - Send result
  */
-export async function sendEmailWithRetry(items, subject, labelPath, maxRetries = 3, retryDelay = 5000) {
-  return retryOperation(() => sendEmail(items, subject, labelPath), maxRetries, retryDelay, isTemporaryEmailError);
+export async function sendEmailWithRetry(
+  items,
+  subject,
+  labelPath,
+  maxRetries = 3,
+  retryDelay = 5000,
+  format = {},
+  threading = {},
+  recipients = null,
+  feedLabel = null,
+  delivered = {},
+  getTransport = createTransport
+) {
+  // Rendered once, so a retry does not download the embedded images again
+  const message = await buildMessage(items, subject, labelPath, format, threading, recipients, feedLabel);
+  return retryOperation(
+    () => sendMessage(message, labelPath, delivered, getTransport),
+    maxRetries,
+    retryDelay,
+    isTemporaryEmailError
+  );
 }
 
 /**
- * Create a configured email transport
- * @returns {Promise<Object>} - The nodemailer transport
+ * Send an email that is not about feed items, such as a report
+ * @param {string} subject - The email subject
+ * @param {string} htmlContent - The email HTML
+ * @param {string} labelPath - The Gmail label path
+ * @param {Function} getTransport - Async function returning the transport, shared by the emails of a run
+ * @returns {Promise<Object>} - The send mail result
  */
-async function createEmailTransport() {
-  // Configure Gmail OAuth2
-  const oAuth2Client = new google.auth.OAuth2(
-    config.gmail.clientId,
-    config.gmail.clientSecret,
-    'https://developers.google.com/oauthplayground'
+export async function sendNotificationEmail(subject, htmlContent, labelPath, getTransport = createTransport) {
+  const transport = await getTransport();
+  const textContent = htmlToText(htmlContent, config.settings.textWrapWidth);
+  const recipients = createDefaultRecipients(config.email.recipient);
+
+  const result = await deliverMail(
+    transport,
+    createMailOptions(subject, htmlContent, textContent, recipients),
+    buildLabels(labelPath),
+    recipients
   );
+  logger.info(`Email sent for ${labelPath}: ${result.messageId}`);
+  return result;
+}
 
-  oAuth2Client.setCredentials({
-    refresh_token: config.gmail.refreshToken,
-    access_token: config.gmail.accessToken,
-  });
+/**
+ * Render an email with RSS feed items, embedding the images of items that ask for it
+ * @param {Array} items - The feed items to include
+ * @param {string} subject - The email subject
+ * @param {string} labelPath - The Gmail label path
+ * @param {Object} format - Template, locale and time zone of the email
+ * @param {Object} threading - Message-ID, In-Reply-To and References of a threaded email, and its Gmail thread ID
+ * @param {Object|null} recipients - To, cc and bcc addresses, or null for EMAIL_RECIPIENT
+ * @param {string|null} feedLabel - Feed title of the label below the label path, for the emails of a single feed
+ * @returns {Promise<Object>} - The mail options, Gmail labels and recipients of the email
+ */
+async function buildMessage(items, subject, labelPath, format, threading, recipients, feedLabel) {
+  try {
+    const data = buildTemplateData(items, subject, labelPath, format);
+    const attachments = await embedItemImages(data, items);
 
-  // Get a fresh access token
-  const tokens = await oAuth2Client.refreshAccessToken();
-  const accessToken = tokens.credentials.access_token;
-
-  // Create email transport
-  return nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      type: 'OAuth2',
-      user: config.email.recipient,
-      clientId: config.gmail.clientId,
-      clientSecret: config.gmail.clientSecret,
-      refreshToken: config.gmail.refreshToken,
-      accessToken,
-    },
-  });
+    const htmlContent = renderTemplate(loadTemplate(format.template), data);
+    const textContent = htmlToText(htmlContent, config.settings.textWrapWidth);
+    const mailRecipients = recipients || createDefaultRecipients(config.email.recipient);
+
+    return {
+      mailOptions: {
+        ...createMailOptions(subject, htmlContent, textContent, mailRecipients, attachments),
+        ...threading,
+      },
+      labels: buildLabels(labelPath, feedLabel, [...new Set(items.map((item) => item.feedUrl))]),
+      recipients: mailRecipients,
+    };
+  } catch (error) {
+    logger.error('Error rendering email', error);
+    throw error;
+  }
+}
+
+/**
+ * Send an email rendered by buildMessage
+ * @param {Object} message - The mail options, Gmail labels and recipients of the email
+ * @param {string} labelPath - The Gmail label path, for the log
+ * @param {Object} delivered - Copies of the email already delivered, updated in place as copies go out
+ * @param {Function} getTransport - Async function returning the transport, shared by the emails of a run
+ * @returns {Promise<Object>} - The send mail result
+ */
+async function sendMessage(message, labelPath, delivered, getTransport) {
+  try {
+    const transport = await getTransport();
+    const result = await deliverMail(transport, message.mailOptions, message.labels, message.recipients, delivered);
+    logger.info(`Email sent for ${labelPath}: ${result.messageId}`);
+    return result;
+  } catch (error) {
+    logger.error('Error sending email', error);
+    throw error;
+  }
 }
 
 /**
  * Create mail options for nodemailer
  * @param {string} subject - Email subject
  * @param {string} htmlContent - Email HTML content
- * @param {string} labelString - Gmail labels string
+ * @param {string} textContent - Plain-text alternative of the HTML content
+ * @param {Object} recipients - To, cc and bcc addresses
+ * @param {Array} attachments - Inline image attachments
  * @returns {Object} - Mail options
  */
-function createMailOptions(subject, htmlContent, labelString) {
+function createMailOptions(subject, htmlContent, textContent, recipients, attachments = []) {
   return {
     from: config.email.from,
-    to: config.email.recipient,
+    to: recipients.to,
+    cc: recipients.cc,
+    bcc: recipients.bcc,
     subject: subject,
+    text: textContent,
     html: htmlContent,
-    headers: {
-      'X-GM-LABELS': labelString,
-    },
+    attachments,
+    headers: {},
   };
 }
 
 /**
- * Format the email content from feed items
- * @param {Array} items - The feed items
- * @returns {string} - Formatted HTML content
- */
-function formatEmailContent(items) {
-  let content = `<!DOCTYPE html>
-<html>
-<head>
-  <style>
-    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 800px; margin: 0 auto; }
-    h1 { color: #444; border-bottom: 1px solid #ddd; padding-bottom: 10px; }
-    h2 { color: #666; margin-top: 25px; }
-    .item { margin-bottom: 30px; border-bottom: 1px solid #eee; padding-bottom: 20px; }
-    .meta { font-size: 0.8em; color: #888; }
-    a { color: #0366d6; text-decoration: none; }
-    a:hover { text-decoration: underline; }
-    .content { margin-top: 10px; }
-  </style>
-</head>
-<body>
-  <h1>RSS Feed Updates</h1>`;
-
-  for (const item of items) {
-    content += formatEmailItem(item);
+ * Send a message through a transport. Gmail labels belong to the mailbox of EMAIL_RECIPIENT,
+ * so only the copy delivered there gets the labels, as the X-GM-LABELS header and as the
+ * `labels` list the Gmail API transport applies by ID. Other addresses get a second copy
+ * with the same Message-ID and the same To and Cc, but without the labels. Each copy that
+ * goes out is recorded in `delivered`, so a retry after the other copy failed skips it.
+ * @param {Object} transport - The transport from createTransport
+ * @param {Object} mailOptions - The mail options
+ * @param {Array<Object>} labels - The Gmail labels of the message, from buildLabels
+ * @param {Object} recipients - To, cc and bcc addresses of the message
+ * @param {Object} delivered - Message-IDs of the copies already delivered, by copy, updated in place
+ * @returns {Promise<Object>} - The send mail result of the first copy
+ */
+async function deliverMail(transport, mailOptions, labels, recipients, delivered = {}) {
+  const addresses = getRecipientAddresses(recipients).map((address) => getMailboxAddress(address));
+  const labelAddress = config.email.recipient ? getMailboxAddress(config.email.recipient).toLowerCase() : null;
+
+  // Only Gmail understands the label header, and only for its own mailbox
+  if (!transport.supportsGmailLabels || !addresses.some((address) => address.toLowerCase() === labelAddress)) {
+    return transport.sendMail(mailOptions);
+  }
+
+  const labelledOptions = {
+    ...mailOptions,
+    labels,
+    headers: { ...mailOptions.headers, 'X-GM-LABELS': labels.map((label) => label.name).join(',') },
+  };
+  const otherAddresses = addresses.filter((address) => address.toLowerCase() !== labelAddress);
+  if (otherAddresses.length === 0) {
+    return transport.sendMail(labelledOptions);
   }
 
-  content += `
-</body>
-</html>`;
+  const envelopeFrom = getMailboxAddress(config.email.from);
+  let result = { messageId: delivered.mailbox, threadId: delivered.threadId };
+  if (!delivered.mailbox) {
+    result = await transport.sendMail({
+      ...labelledOptions,
+      envelope: { from: envelopeFrom, to: [getMailboxAddress(config.email.recipient)] },
+    });
+    delivered.mailbox = result.messageId;
+    // Kept for the thread, in case the other copy fails and the email is retried
+    if (result.threadId) {
+      delivered.threadId = result.threadId;
+    }
+  }
 
-  return content;
+  if (!delivered.others) {
+    await transport.sendMail({
+      ...mailOptions,
+      messageId: result.messageId,
+      envelope: { from: envelopeFrom, to: otherAddresses },
+    });
+    delivered.others = result.messageId;
+  }
+  return result;
+}
+
+/**
+ * Load an email template, falling back to EMAIL_TEMPLATE and then the bundled default
+ * @param {string|undefined} templatePath - Template path, relative to the project directory
+ * @returns {string} - The template source
+ */
+function loadTemplate(templatePath) {
+  const resolved = path.resolve(config.paths.rootDir, templatePath || config.email.template);
+
+  if (!templateCache.has(resolved)) {
+    try {
+      templateCache.set(resolved, fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read email template ${resolved}: ${error.message}`);
+    }
+  }
+
+  return templateCache.get(resolved);
+}
+
+/**
+ * Build the variables an email template is rendered with
+ * @param {Array} items - The feed items
+ * @param {string} subject - The email subject
+ * @param {string} labelPath - The group path of the email
+ * @param {Object} format - Locale and time zone for dates
+ * @returns {Object} - The template variables
+ */
+function buildTemplateData(items, subject, labelPath, format) {
+  const dateOptions = {
+    locale: format.locale || config.email.locale,
+    timeZone: format.timeZone || config.email.timeZone,
+  };
+
+  return {
+    subject,
+    groupPath: labelPath,
+    groupName: labelPath.split('/').pop(),
+    itemCount: items.length,
+    isDigest: items.length > 1,
+    generatedAt: formatDate(new Date(), dateOptions),
+    items: items.map((item, index) => buildItemData(item, index, dateOptions)),
+  };
+}
+
+/**
+ * Build the template variables of a single feed item
+ * @param {Object} item - The feed item
+ * @param {number} index - Position of the item in the email, used as its anchor
+ * @param {Object} dateOptions - Locale and time zone for dates
+ * @returns {Object} - The item variables
+ */
+function buildItemData(item, index, dateOptions) {
+  const link = sanitizeUrl(item.link);
+
+  return {
+    index,
+    number: index + 1,
+    title: item.title || 'Untitled',
+    link,
+    feedTitle: item.feedTitle,
+    feedUrl: item.feedUrl,
+    author: item.creator || item.author || null,
+    date: formatDate(item.isoDate, dateOptions),
+    isoDate: item.isoDate || null,
+    summary: item.contentSnippet || null,
+    content: formatItemContent(item, link),
+    categories: (item.categories || []).map((category) => (typeof category === 'object' ? category._ : category)),
+    enclosures: getEnclosures(item),
+  };
+}
+
+/**
+ * Format the body of a feed item, preferring the full article over the feed content.
+ * Images from media:content that the content does not show already are put above it.
+ * @param {Object} item - The feed item
+ * @param {string|null} link - The sanitized item link, used to resolve relative URLs
+ * @returns {string} - Sanitized HTML content
+ */
+function formatItemContent(item, link) {
+  const content = sanitizeHtml(item.fullContent || item.content, link);
+
+  const mediaImages = getMediaImageUrls(item)
+    .map((url) => sanitizeUrl(url, link, ['http:', 'https:']))
+    .filter((url) => url && !content.includes(escapeHtml(url)))
+    .map((url) => `<p><img src="${escapeHtml(url)}" alt=""></p>`)
+    .join('');
+
+  return mediaImages + (content || escapeHtml(item.contentSnippet) || 'No content available');
 }
 
 /**
- * Format a single feed item for the email
+ * Get the enclosures (podcast episodes, attached files) of a feed item
  * @param {Object} item - The feed item
- * @returns {string} - Formatted HTML for the item
+ * @returns {Array<Object>} - Enclosures with url, name, type and length
+ */
+function getEnclosures(item) {
+  return [item.enclosure]
+    .filter((enclosure) => sanitizeUrl(enclosure?.url))
+    .map((enclosure) => {
+      const url = sanitizeUrl(enclosure.url);
+      return {
+        url,
+        name: new URL(url).pathname.split('/').pop() || url,
+        type: enclosure.type || null,
+        length: Number(enclosure.length) || null,
+      };
+    });
+}
+
+/**
+ * Replace the images of items that ask for it with inline attachments
+ * @param {Object} data - The template variables, whose item content is updated in place
+ * @param {Array} items - The feed items, in the same order as data.items
+ * @returns {Promise<Array>} - The nodemailer attachments
+ */
+async function embedItemImages(data, items) {
+  const embedded = data.items.filter((itemData, index) => items[index].embedImages);
+  if (embedded.length === 0) return [];
+
+  const { fragments, attachments } = await embedImages(
+    embedded.map((itemData) => ({ html: itemData.content, referer: itemData.link })),
+    {
+      maxImageBytes: config.settings.embedImageMaxBytes,
+      maxEmailBytes: config.settings.embedEmailMaxBytes,
+      limiter: requestLimiter,
+    }
+  );
+
+  embedded.forEach((itemData, index) => {
+    itemData.content = fragments[index];
+  });
+  return attachments;
+}
+
+/**
+ * Build the Gmail labels of an email, with the kind and feeds a label sync would record for them
+ * @param {string} labelPath - The label path
+ * @param {string|null} feedLabel - The feed title of the feed label, if any
+ * @param {Array<string>} feedUrls - URLs of the feeds the email has items of
+ * @returns {Array<Object>} - The labels with name, kind and feedUrls
  */
-function formatEmailItem(item) {
-  return `
-  <div class="item">
-    <h2><a href="${item.link}">${item.title}</a></h2>
-    <div class="meta">
-      <span>From: ${item.feedTitle}</span>
-      ${item.isoDate ? `<span> • ${new Date(item.isoDate).toLocaleString()}</span>` : ''}
-      ${item.creator ? `<span> • By ${item.creator}</span>` : ''}
-    </div>
-    <div class="content">
-      ${item.fullContent || item.content || item.contentSnippet || 'No content available'}
-    </div>
-  </div>`;
+function buildLabels(labelPath, feedLabel = null, feedUrls = []) {
+  const names = buildLabelNames(labelPath, feedLabel);
+
+  return names.map((name, index) => {
+    if (index === 0) return { name, kind: LABEL_KINDS.ROOT, feedUrls };
+    const kind = feedLabel && index === names.length - 1 ? LABEL_KINDS.FEED : LABEL_KINDS.GROUP;
+    return { name, kind, feedUrls };
+  });
 }
 
 /**
- * Build the Gmail label string for the X-GM-LABELS header
+ * Build the names of the Gmail labels of an email: the root label, every level of the label path
+ * and, for the emails of a single feed, the feed label below it
  * @param {string} labelPath - The label path
- * @returns {string} - Comma-separated label string
+ * @param {string|null} feedLabel - The feed title of the feed label, if any
+ * @returns {Array<string>} - The label names
  */
-function buildLabelString(labelPath) {
+function buildLabelNames(labelPath, feedLabel = null) {
   // Base label is always from MAIL_LABELS.RSS_FEED
   let labels = [MAIL_LABELS.RSS_FEED];
 
   // Add path components
-  const pathComponents = labelPath.split('/');
+  const pathComponents = feedLabel ? [...labelPath.split('/'), feedLabel] : labelPath.split('/');
   let currentPath = MAIL_LABELS.RSS_FEED;
 
   for (const component of pathComponents) {
@@ -168,5 +433,5 @@ function buildLabelString(labelPath) {
     labels.push(currentPath);
   }
 
-  return labels.join(',');
+  return labels;
 }
@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import { config } from './config.js';
+import { sendEmailWithRetry } from './emailer.js';
+import { configureLogger } from './utils/logger.js';
+
+configureLogger({ level: 'error' });
+
+describe('sendEmailWithRetry', () => {
+  let savedEmail;
+  let server;
+  let imageRequests;
+
+  beforeEach(async () => {
+    savedEmail = { ...config.email };
+    config.email.recipient = 'reader@example.com';
+    config.email.from = '"RSS Feed Reader" <feeds@example.com>';
+
+    imageRequests = 0;
+    server = http.createServer((request, response) => {
+      imageRequests++;
+      response.writeHead(200, { 'Content-Type': 'image/png' }).end(Buffer.from('not really a png'));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(async () => {
+    Object.assign(config.email, savedEmail);
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('embeds the images once and only retries the delivery', async () => {
+    const sent = [];
+    const transport = {
+      type: 'smtp',
+      supportsGmailLabels: false,
+      sendMail: async (mailOptions) => {
+        sent.push(mailOptions);
+        if (sent.length === 1) {
+          throw Object.assign(new Error('Try again later'), { responseCode: 421 });
+        }
+        return { messageId: '<sent@example.com>' };
+      },
+    };
+    const item = {
+      title: 'Post',
+      link: 'https://example.com/post',
+      content: `<p><img src="http://127.0.0.1:${server.address().port}/photo.png" alt="Photo"></p>`,
+      feedTitle: 'Example Feed',
+      feedUrl: 'https://example.com/feed.xml',
+      embedImages: true,
+    };
+
+    const result = await sendEmailWithRetry(
+      [item],
+      'Digest',
+      'Tech',
+      2,
+      0,
+      {},
+      {},
+      null,
+      null,
+      {},
+      async () => transport
+    );
+
+    assert.equal(result.messageId, '<sent@example.com>');
+    assert.equal(sent.length, 2);
+    assert.equal(imageRequests, 1);
+    assert.equal(sent[1].attachments.length, 1);
+    assert.match(sent[1].html, new RegExp(`cid:${sent[1].attachments[0].cid}`));
+  });
+});
@@ -1,29 +1,73 @@
-import * as cheerio from 'cheerio';
 import fetch from 'node-fetch';
 
-import { extractFeeds } from './utils/feedUtils.js';
+import { config } from './config.js';
+import { createRequestLimiter } from './utils/concurrencyUtils.js';
+import { extractMainContent } from './utils/contentUtils.js';
+import { createEmptyFeedHealth, recordFeedFailure, recordFeedSuccess } from './utils/feedHealthUtils.js';
+import { extractFeeds, findFeedContext } from './utils/feedUtils.js';
+import { applyFilters, getFeedFilters } from './utils/filterUtils.js';
+import { isFetchDue } from './utils/httpCacheUtils.js';
+import { logger } from './utils/logger.js';
 import { getFeedItems } from './utils/rssUtils.js';
 
 /**
- * Fetch all feeds from the configuration that have updates since the cursor
+ * Limiter shared by feed fetches, full-content article fetches and embedded image downloads,
+ * so they all respect the same limits
+ */
+export const requestLimiter = createRequestLimiter({
+  concurrency: config.settings.fetchConcurrency,
+  perHostConcurrency: config.settings.fetchPerHostConcurrency,
+  perHostDelayMs: config.settings.fetchPerHostDelayMs,
+});
+
+/**
+ * Fetch all feeds from the configuration and find the items not seen before
+ * that pass the feed's filter rules.
+ * Feeds that asked to be fetched less often are skipped until they are due, and
+ * the feed cache is updated in place with the new validators and schedule, and the
+ * feed health store with the outcome of every fetch.
  * @param {Object} feedConfig - The feed configuration
- * @param {Object} cursor - The cursor with the last fetch dates
- * @returns {Promise<Object>} - Feed results with new items
+ * @param {Object} cursor - The seen-item store
+ * @param {Object} feedCache - HTTP cache entries keyed by feed URL
+ * @param {Object} feedHealth - Feed health store, updated in place
+ * @returns {Promise<Object>} - Feed results for every feed that could be fetched, with new items
  */
-export async function fetchFeeds(feedConfig, cursor) {
+export async function fetchFeeds(feedConfig, cursor, feedCache = {}, feedHealth = createEmptyFeedHealth()) {
   const results = {};
-  const feedsToFetch = extractFeeds(feedConfig);
+  const now = new Date();
+  const allFeeds = extractFeeds(feedConfig);
+  const feedsToFetch = allFeeds.filter((feed) => isFetchDue(feedCache[feed.url], now));
+
+  const skipped = allFeeds.length - feedsToFetch.length;
+  if (skipped > 0) {
+    logger.debug(`Skipping ${skipped} feeds that are not due to be fetched yet`);
+  }
 
-  // Process feeds in parallel with a limit to avoid overloading
-  const fetchPromises = feedsToFetch.map((feed) => fetchFeedWithRetry(feed, cursor));
+  // Process feeds in parallel, limited overall and per host to avoid overloading
+  const fetchPromises = feedsToFetch.map((feed) =>
+    requestLimiter.schedule(feed.url, () => fetchFeedWithRetry(feed, cursor, feedCache, feedHealth))
+  );
   const fetchResults = await Promise.all(fetchPromises);
 
-  // Combine results
+  // Combine results, dropping items that the feed's filter rules reject
   fetchResults.forEach((result) => {
-    if (result && result.items && result.items.length > 0) {
+    if (result) {
+      const rules = getFeedFilters(findFeedContext(result.url, feedConfig));
+      const { items, filteredItems } = applyFilters(result.items, rules);
+
+      if (filteredItems.length > 0) {
+        logger.info(`Filtered out ${filteredItems.length} of ${result.items.length} new items`, {
+          feedUrl: result.url,
+        });
+      }
+
       results[result.url] = {
         title: result.title,
-        items: result.items,
+        items,
+        filteredItems,
+        seenKeys: result.seenKeys,
+        // A 304 response leaves the seen items of the feed unchecked
+        parsed: !result.notModified,
       };
     }
   });
@@ -34,18 +78,30 @@ export async function fetchFeeds(feedConfig, cursor) {
 /**
  * Fetch a single feed with retry logic
  * @param {Object} feed - The feed to fetch
- * @param {Object} cursor - The cursor with last fetch dates
+ * @param {Object} cursor - The seen-item store
+ * @param {Object} feedCache - HTTP cache entries keyed by feed URL
+ * @param {Object} feedHealth - Feed health store, updated in place
  * @returns {Promise<Object|null>} - The feed result or null on error
  */
-async function fetchFeedWithRetry(feed, cursor) {
+async function fetchFeedWithRetry(feed, cursor, feedCache, feedHealth) {
   try {
-    const sinceDate = cursor[feed.url] || null;
-    return await getFeedItems(feed.url, sinceDate, feed.title);
+    const result = await getFeedItems(feed.url, cursor, feed.title, feedCache[feed.url]);
+    feedCache[feed.url] = result.cache;
+    recordFeedSuccess(feedHealth, feed.url, result);
+    return result;
   } catch (error) {
-    // Don't log for common HTTP errors as they're already logged in rssUtils
-    if (!error.message?.includes('Status code 403') && !error.message?.includes('Status code 404')) {
-      console.error(`Error fetching feed ${feed.url}:`, error);
+    const entry = recordFeedFailure(feedHealth, feed.url, error);
+
+    // Respect a server asking us to back off
+    if (error.retryAfter) {
+      feedCache[feed.url] = { ...feedCache[feed.url], nextFetchAfter: error.retryAfter };
     }
+
+    // The error itself is already logged in rssUtils
+    logger.debug(`Feed failed ${entry.consecutiveFailures} times in a row`, {
+      feedUrl: feed.url,
+      errorClass: entry.lastError.class,
+    });
     return null;
   }
 }
@@ -53,48 +109,18 @@ async function fetchFeedWithRetry(feed, cursor) {
 /**
  * Fetch the full content of an article from its URL
  * @param {string} url - The URL to fetch content from
+ * @param {Object} options - Full-content settings with selectors and removeSelectors
  * @returns {Promise<string|null>} - The HTML content or null on error
  */
-export async function fetchFullContent(url) {
+export async function fetchFullContent(url, options = {}) {
   try {
-    const response = await fetch(url);
-    const html = await response.text();
-    return extractMainContent(html);
+    const { html, pageUrl } = await requestLimiter.schedule(url, async () => {
+      const response = await fetch(url);
+      return { html: await response.text(), pageUrl: response.url || url };
+    });
+    return extractMainContent(html, pageUrl, options);
   } catch (error) {
-    console.error(`Error fetching content from ${url}:`, error);
+    logger.error('Error fetching full content', { url, error });
     return null;
   }
 }
-
-/**
- * Extract main content from HTML
- * @param {string} html - The HTML content
- * @returns {string} - The extracted main content
- */
-function extractMainContent(html) {
-  const $ = cheerio.load(html);
-
-  // Common content selectors
-  const contentSelectors = [
-    'article',
-    '.article',
-    '.post-content',
-    '.entry-content',
-    '.content',
-    '#content',
-    'main',
-    '.main',
-  ];
-
-  // Try each selector until we find content
-  for (const selector of contentSelectors) {
-    const element = $(selector);
-    if (element.length > 0) {
-      return element.html() || '';
-    }
-  }
-
-  // If we didn't find content with the selectors, clean up body
-  $('script, style, nav, header, footer, aside, .sidebar').remove();
-  return $('body').html() || '';
-}
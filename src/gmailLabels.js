@@ -1,9 +1,22 @@
 import { google } from 'googleapis';
 
-import { config } from './config.js';
-import { MAIL_LABELS } from './utils/feedUtils.js';
+import { config, loadLabelSyncState, saveLabelSyncState } from './config.js';
+import { extractFeeds, MAIL_LABELS } from './utils/feedUtils.js';
+import {
+  buildDesiredFilters,
+  buildDesiredLabels,
+  buildLabelSyncState,
+  planLabelSync,
+  recordCreatedLabels,
+} from './utils/labelSyncUtils.js';
+import { createLocalGmailClient } from './utils/localGmailClient.js';
+import { logger } from './utils/logger.js';
 import { getFeedTitle } from './utils/rssUtils.js';
 
+// Label IDs by label name per Gmail API client, filled on the first email a transport delivers,
+// so each run sees the labels as they are then
+const labelIdCaches = new WeakMap();
+
 /**
  * Create Gmail labels based on feed configuration
  * @param {Object} feedConfig - The feed configuration
@@ -23,19 +36,98 @@ export async function createLabels(feedConfig) {
     // Create filters for the labels
     await createFilters(gmail, labelMap);
 
-    console.log('Labels and filters created successfully');
+    logger.info('Labels and filters created successfully');
     return labelMap;
   } catch (error) {
-    console.error('Error creating Gmail labels:', error);
+    logger.error('Error creating Gmail labels', error);
     throw error;
   }
 }
 
 /**
- * Get a Gmail API client with fresh OAuth token
+ * Bring the tool's Gmail labels and filters in line with the feed configuration: create what is
+ * missing, rename labels of renamed groups and feeds so their messages keep them, and delete
+ * tool-owned labels and filters that are no longer needed
+ * @param {Object} feedConfig - The feed configuration
+ * @param {Function} confirm - Async function given the plan, resolving to true to apply it
+ * @returns {Promise<Object>} - { plan, applied }
+ */
+export async function syncLabels(feedConfig, confirm) {
+  const gmail = await getGmailClient();
+
+  // Feed labels are named after the feed's title, as in createLabels
+  const feedTitles = {};
+  for (const feed of extractFeeds(feedConfig)) {
+    feedTitles[feed.url] = await getFeedTitle(feed.url, feed.title);
+  }
+
+  const labels = buildDesiredLabels(feedConfig, feedTitles);
+  const desired = { labels, filters: buildDesiredFilters(labels, getFilterSender()) };
+
+  const [labelsResponse, filtersResponse] = await Promise.all([
+    gmail.users.labels.list({ userId: 'me' }),
+    gmail.users.settings.filters.list({ userId: 'me' }),
+  ]);
+  const existingLabels = labelsResponse.data.labels || [];
+  const existing = { labels: existingLabels, filters: filtersResponse.data.filter || [] };
+
+  const plan = planLabelSync(desired, existing, await loadLabelSyncState());
+  if (!(await confirm(plan))) {
+    return { plan, applied: false };
+  }
+
+  const labelIds = await applyLabelSyncPlan(gmail, plan, existingLabels);
+  await saveLabelSyncState(buildLabelSyncState(labels, labelIds));
+
+  return { plan, applied: true };
+}
+
+/**
+ * Get the IDs of labels by name, as createLabels maps them, creating labels that do not exist yet.
+ * Created labels are recorded in the label sync state, as a sync would record them.
+ * @param {Object} gmail - The Gmail API client
+ * @param {Array<Object>} labels - The labels with name, kind and the URLs of the feeds they are for
+ * @returns {Promise<Array<string>>} - The label IDs, in the same order
+ */
+export async function resolveLabelIds(gmail, labels) {
+  if (!labelIdCaches.has(gmail)) {
+    const response = await gmail.users.labels.list({ userId: 'me' });
+    labelIdCaches.set(gmail, new Map((response.data.labels || []).map((label) => [label.name, label.id])));
+  }
+
+  const labelIdCache = labelIdCaches.get(gmail);
+  const labelIds = [];
+  const created = [];
+  try {
+    for (const label of labels) {
+      if (!labelIdCache.has(label.name)) {
+        const { id } = await createLabel(gmail, label.name);
+        labelIdCache.set(label.name, id);
+        created.push({ ...label, id });
+        logger.info(`Created label "${label.name}"`);
+      }
+      labelIds.push(labelIdCache.get(label.name));
+    }
+  } finally {
+    // Labels created before a failure are recorded too
+    if (created.length > 0) {
+      await saveLabelSyncState(recordCreatedLabels(await loadLabelSyncState(), created));
+    }
+  }
+
+  return labelIds;
+}
+
+/**
+ * Get a Gmail API client with fresh OAuth token, or the local stand-in when GMAIL_STUB_FILE is set
  * @returns {Promise<Object>} - The Gmail API client
  */
-async function getGmailClient() {
+export async function getGmailClient() {
+  if (config.gmail.stubFile) {
+    logger.debug(`Using the local Gmail stand-in at ${config.gmail.stubFile}`);
+    return createLocalGmailClient(config.gmail.stubFile);
+  }
+
   // Configure Gmail OAuth2
   const oAuth2Client = new google.auth.OAuth2(
     config.gmail.clientId,
@@ -115,20 +207,91 @@ async function ensureLabel(gmail, labelPath) {
     }
 
     // If not, create it
-    const newLabel = await gmail.users.labels.create({
+    return await createLabel(gmail, labelPath);
+  } catch (error) {
+    logger.error(`Error ensuring label ${labelPath}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Create a label that is shown in the label list and on messages
+ * @param {Object} gmail - The Gmail API client
+ * @param {string} labelPath - The label path
+ * @returns {Promise<Object>} - The label object
+ */
+async function createLabel(gmail, labelPath) {
+  const newLabel = await gmail.users.labels.create({
+    userId: 'me',
+    requestBody: {
+      name: labelPath,
+      labelListVisibility: 'labelShow',
+      messageListVisibility: 'show',
+    },
+  });
+
+  return newLabel.data;
+}
+
+/**
+ * Apply a label sync plan. Labels are renamed and created before the filters that use them,
+ * and deleted last, children before parents.
+ * @param {Object} gmail - The Gmail API client
+ * @param {Object} plan - The plan from planLabelSync
+ * @param {Array<Object>} existingLabels - The labels as listed before the sync
+ * @returns {Promise<Map>} - Label IDs keyed by label name after the sync
+ */
+async function applyLabelSyncPlan(gmail, plan, existingLabels) {
+  const labelIds = new Map(existingLabels.map((label) => [label.name, label.id]));
+
+  for (const rename of plan.renameLabels) {
+    await gmail.users.labels.patch({ userId: 'me', id: rename.id, requestBody: { name: rename.to } });
+    labelIds.delete(rename.from);
+    labelIds.set(rename.to, rename.id);
+    logger.info(`Renamed label "${rename.from}" to "${rename.to}"`);
+  }
+
+  // Sorted by name, a parent label comes before its children
+  for (const name of [...plan.createLabels].sort()) {
+    const label = await createLabel(gmail, name);
+    labelIds.set(name, label.id);
+    logger.info(`Created label "${name}"`);
+  }
+
+  for (const filter of plan.deleteFilters) {
+    await gmail.users.settings.filters.delete({ userId: 'me', id: filter.id });
+    logger.info(`Deleted filter for ${filter.subject ? `subject "${filter.subject}"` : `sender "${filter.sender}"`}`);
+  }
+
+  for (const filter of plan.createFilters) {
+    await gmail.users.settings.filters.create({
       userId: 'me',
       requestBody: {
-        name: labelPath,
-        labelListVisibility: 'labelShow',
-        messageListVisibility: 'show',
+        criteria: filter.subject ? { subject: filter.subject, from: filter.sender } : { from: filter.sender },
+        action: {
+          addLabelIds: [labelIds.get(filter.labelName)],
+          ...(filter.skipInbox ? { removeLabelIds: ['INBOX'] } : {}),
+        },
       },
     });
+    logger.info(`Created filter to apply label "${filter.labelName}"${filter.skipInbox ? ' and skip inbox' : ''}`);
+  }
 
-    return newLabel.data;
-  } catch (error) {
-    console.error(`Error ensuring label ${labelPath}:`, error);
-    throw error;
+  for (const label of plan.deleteLabels) {
+    await gmail.users.labels.delete({ userId: 'me', id: label.id });
+    labelIds.delete(label.name);
+    logger.info(`Deleted label "${label.name}"`);
   }
+
+  return labelIds;
+}
+
+/**
+ * Get the sender the tool's filters match: the display name of EMAIL_FROM if it has one
+ * @returns {string} - The sender
+ */
+function getFilterSender() {
+  return config.email.from.replace(/^"([^"]*)".*$/, '$1');
 }
 
 /**
@@ -143,7 +306,7 @@ async function createFilters(gmail, labelMap) {
 
     await createLabelSpecificFilters(gmail, labelMap, existingFilters);
   } catch (error) {
-    console.error('Error creating Gmail filters:', error);
+    logger.error('Error creating Gmail filters', error);
     throw error;
   }
 }
@@ -209,7 +372,7 @@ async function createFeedFilters(gmail, labelMap, existingFilters) {
 
     // Skip if we already have a filter with this exact subject
     if (existingFilters.some((criteria) => criteria === subjectPattern)) {
-      console.log(`Filter for subject "${subjectPattern}" already exists, skipping`);
+      logger.debug(`Filter for subject "${subjectPattern}" already exists, skipping`);
       continue;
     }
 
@@ -219,7 +382,7 @@ async function createFeedFilters(gmail, labelMap, existingFilters) {
       requestBody: {
         criteria: {
           subject: subjectPattern,
-          from: config.email.from.replace(/^"([^"]*)".*$/, '$1'),
+          from: getFilterSender(),
         },
         action: {
           addLabelIds: [labelId],
@@ -228,7 +391,7 @@ async function createFeedFilters(gmail, labelMap, existingFilters) {
       },
     });
 
-    console.log(`Created filter for subject "${subjectPattern}" to apply label "${labelPath}" and skip inbox`);
+    logger.info(`Created filter for subject "${subjectPattern}" to apply label "${labelPath}" and skip inbox`);
   }
 }
 
@@ -264,7 +427,7 @@ async function createGroupFilters(gmail, labelMap, existingFilters) {
 
     // Skip if we already have a filter with this exact subject
     if (existingFilters.some((criteria) => criteria === subjectPattern)) {
-      console.log(`Group filter for subject "${subjectPattern}" already exists, skipping`);
+      logger.debug(`Group filter for subject "${subjectPattern}" already exists, skipping`);
       continue;
     }
 
@@ -274,7 +437,7 @@ async function createGroupFilters(gmail, labelMap, existingFilters) {
       requestBody: {
         criteria: {
           subject: subjectPattern,
-          from: config.email.from.replace(/^"([^"]*)".*$/, '$1'),
+          from: getFilterSender(),
         },
         action: {
           addLabelIds: [labelId],
@@ -282,7 +445,7 @@ async function createGroupFilters(gmail, labelMap, existingFilters) {
       },
     });
 
-    console.log(`Created group filter for subject "${subjectPattern}" to apply label "${groupPath}"`);
+    logger.info(`Created group filter for subject "${subjectPattern}" to apply label "${groupPath}"`);
   }
 }
 
@@ -294,18 +457,18 @@ async function createGroupFilters(gmail, labelMap, existingFilters) {
  * @returns {Promise<void>}
  */
 async function createGeneralSenderFilter(gmail, labelMap, existingFilters) {
-  const fromEmail = config.email.from.replace(/^"([^"]*)".*$/, '$1');
+  const fromEmail = getFilterSender();
 
   // Get the root label ID
   const rootLabelId = labelMap[MAIL_LABELS.RSS_FEED];
   if (!rootLabelId) {
-    console.log('Root RSS Feeds label ID not found, skipping root label application');
+    logger.info('Root RSS Feeds label ID not found, skipping root label application');
     return;
   }
 
   // Check if filter with exact sender criteria exists
   if (existingFilters.some((criteria) => criteria === fromEmail)) {
-    console.log(`General filter for sender "${fromEmail}" already exists, skipping`);
+    logger.debug(`General filter for sender "${fromEmail}" already exists, skipping`);
     return;
   }
 
@@ -323,5 +486,5 @@ async function createGeneralSenderFilter(gmail, labelMap, existingFilters) {
     },
   });
 
-  console.log(`Created general filter for sender "${fromEmail}" to apply "RSS Feeds" label and skip inbox`);
+  logger.info(`Created general filter for sender "${fromEmail}" to apply "RSS Feeds" label and skip inbox`);
 }
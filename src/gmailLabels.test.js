@@ -0,0 +1,211 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import { config } from './config.js';
+import { syncLabels } from './gmailLabels.js';
+import { countPlanChanges } from './utils/labelSyncUtils.js';
+import { configureLogger } from './utils/logger.js';
+
+configureLogger({ level: 'error' });
+
+// Nothing listens on the discard port, so feed titles fall back to the configured ones
+const feedA = { url: 'http://127.0.0.1:9/a.xml', title: 'Feed A' };
+const feedB = { url: 'http://127.0.0.1:9/b.xml', title: 'Feed B' };
+
+const DESIRED_LABELS = ['RSS Feeds', 'RSS Feeds/Tech', 'RSS Feeds/Tech/Feed A', 'RSS Feeds/Tech/Feed B'];
+
+/**
+ * Create a feed configuration with one group
+ * @param {string} groupName - Name of the group
+ * @param {Array<Object>} feeds - Feeds of the group
+ * @returns {Object} - The feed configuration
+ */
+function createFeedConfig(groupName = 'Tech', feeds = [feedA, feedB]) {
+  return { groups: [{ name: groupName, feeds }] };
+}
+
+/**
+ * Read the stand-in's mailbox
+ * @returns {Promise<Object>} - The mailbox
+ */
+async function readMailbox() {
+  return JSON.parse(await fs.readFile(config.gmail.stubFile, 'utf8'));
+}
+
+/**
+ * Write the stand-in's mailbox, with the system labels the tool relies on
+ * @param {Object} mailbox - Labels, filters and failures of the mailbox
+ * @returns {Promise<void>}
+ */
+async function writeMailbox({ labels = [], filters = [], failures = [] }) {
+  const systemLabels = ['INBOX', 'UNREAD'].map((name) => ({ id: name, name, type: 'system' }));
+  const mailbox = { labels: [...systemLabels, ...labels], filters, failures, messages: [], nextId: 1 };
+  await fs.writeFile(config.gmail.stubFile, JSON.stringify(mailbox), 'utf8');
+}
+
+/**
+ * Get the names of the user labels in the mailbox
+ * @param {Object} mailbox - The mailbox
+ * @returns {Array<string>} - The sorted label names
+ */
+function getUserLabelNames(mailbox) {
+  return mailbox.labels
+    .filter((label) => label.type === 'user')
+    .map((label) => label.name)
+    .sort();
+}
+
+describe('syncLabels', () => {
+  let tempDir;
+  let savedConfig;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rss-feed-mail-'));
+    savedConfig = { email: { ...config.email }, gmail: { ...config.gmail }, paths: { ...config.paths } };
+    config.email.from = '"RSS Feed Reader" <feeds@example.com>';
+    config.gmail.stubFile = path.join(tempDir, 'mailbox.json');
+    config.paths.labelSyncFilePath = path.join(tempDir, 'label-sync.json');
+    await writeMailbox({});
+  });
+
+  afterEach(async () => {
+    Object.assign(config.email, savedConfig.email);
+    Object.assign(config.gmail, savedConfig.gmail);
+    Object.assign(config.paths, savedConfig.paths);
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('only plans the changes when they are not confirmed', async () => {
+    const { plan, applied } = await syncLabels(createFeedConfig(), async () => false);
+
+    assert.equal(applied, false);
+    assert.deepEqual([...plan.createLabels].sort(), DESIRED_LABELS);
+    assert.equal(plan.createFilters.length, 4);
+    assert.deepEqual(getUserLabelNames(await readMailbox()), []);
+    await assert.rejects(fs.access(config.paths.labelSyncFilePath), { code: 'ENOENT' });
+  });
+
+  it('creates the labels and filters, after which nothing is left to change', async () => {
+    const { applied } = await syncLabels(createFeedConfig(), async () => true);
+
+    assert.equal(applied, true);
+    const mailbox = await readMailbox();
+    assert.deepEqual(getUserLabelNames(mailbox), DESIRED_LABELS);
+
+    const feedLabel = mailbox.labels.find((label) => label.name === 'RSS Feeds/Tech/Feed A');
+    const feedFilter = mailbox.filters.find((filter) => filter.criteria.subject === '[Tech]: Feed A');
+    assert.deepEqual(feedFilter.criteria, { subject: '[Tech]: Feed A', from: 'RSS Feed Reader' });
+    assert.deepEqual(feedFilter.action, { addLabelIds: [feedLabel.id], removeLabelIds: ['INBOX'] });
+    assert.equal(mailbox.filters.length, 4);
+
+    const state = JSON.parse(await fs.readFile(config.paths.labelSyncFilePath, 'utf8'));
+    assert.deepEqual(state.labels[feedLabel.id], { name: feedLabel.name, kind: 'feed', feedUrls: [feedA.url] });
+
+    const { plan } = await syncLabels(createFeedConfig(), async () => true);
+    assert.equal(countPlanChanges(plan), 0);
+  });
+
+  it('renames the labels of a renamed group and feed, matched by their feeds', async () => {
+    await syncLabels(createFeedConfig(), async () => true);
+    const before = await readMailbox();
+    const feedLabelId = before.labels.find((label) => label.name === 'RSS Feeds/Tech/Feed A').id;
+
+    const renamedFeed = { ...feedA, title: 'Feed A (new)' };
+    const { plan } = await syncLabels(createFeedConfig('Technology', [renamedFeed, feedB]), async () => true);
+
+    assert.deepEqual(plan.createLabels, []);
+    assert.deepEqual(plan.deleteLabels, []);
+    assert.deepEqual(
+      plan.renameLabels.map(({ from, to }) => [from, to]),
+      [
+        ['RSS Feeds/Tech', 'RSS Feeds/Technology'],
+        ['RSS Feeds/Tech/Feed A', 'RSS Feeds/Technology/Feed A (new)'],
+        ['RSS Feeds/Tech/Feed B', 'RSS Feeds/Technology/Feed B'],
+      ]
+    );
+
+    const after = await readMailbox();
+    assert.equal(after.labels.find((label) => label.id === feedLabelId).name, 'RSS Feeds/Technology/Feed A (new)');
+    assert.deepEqual(
+      after.filters.map((filter) => filter.criteria.subject || null).sort(),
+      [null, '[Technology]', '[Technology]: Feed A (new)', '[Technology]: Feed B'].sort()
+    );
+  });
+
+  it('deletes and recreates a renamed label when the last sync did not record it', async () => {
+    await syncLabels(createFeedConfig(), async () => true);
+    await fs.rm(config.paths.labelSyncFilePath);
+
+    const { plan } = await syncLabels(
+      createFeedConfig('Tech', [{ ...feedA, title: 'Feed A (new)' }, feedB]),
+      async () => false
+    );
+
+    assert.deepEqual(plan.renameLabels, []);
+    assert.deepEqual(plan.createLabels, ['RSS Feeds/Tech/Feed A (new)']);
+    assert.deepEqual(
+      plan.deleteLabels.map((label) => label.name),
+      ['RSS Feeds/Tech/Feed A']
+    );
+  });
+
+  it('deletes tool labels and filters that are no longer needed and leaves user labels alone', async () => {
+    await writeMailbox({
+      labels: [
+        { id: 'Label_old', name: 'RSS Feeds/Old', type: 'user' },
+        { id: 'Label_old_feed', name: 'RSS Feeds/Old/Gone', type: 'user' },
+        { id: 'Label_uncategorized', name: 'RSS Feeds/Uncategorized', type: 'user' },
+        { id: 'Label_receipts', name: 'Receipts', type: 'user' },
+      ],
+      filters: [
+        {
+          id: 'Filter_old',
+          criteria: { subject: '[Old]: Gone', from: 'RSS Feed Reader' },
+          action: { addLabelIds: ['Label_old_feed'], removeLabelIds: ['INBOX'] },
+        },
+        { id: 'Filter_receipts', criteria: { from: 'shop@example.com' }, action: { addLabelIds: ['Label_receipts'] } },
+      ],
+    });
+
+    const { plan } = await syncLabels(createFeedConfig(), async () => true);
+
+    assert.deepEqual(
+      plan.deleteLabels.map((label) => label.name),
+      ['RSS Feeds/Old/Gone', 'RSS Feeds/Old']
+    );
+    assert.deepEqual(
+      plan.deleteFilters.map((filter) => filter.id),
+      ['Filter_old']
+    );
+
+    const mailbox = await readMailbox();
+    assert.deepEqual(getUserLabelNames(mailbox), [...DESIRED_LABELS, 'RSS Feeds/Uncategorized', 'Receipts'].sort());
+    assert.ok(mailbox.filters.some((filter) => filter.id === 'Filter_receipts'));
+    assert.ok(!mailbox.filters.some((filter) => filter.id === 'Filter_old'));
+  });
+
+  it('stops at a failed call and finishes the changes on the next sync', async () => {
+    // The two list calls and the first label succeed, the second label fails
+    await writeMailbox({ failures: [null, null, null, { code: 500 }] });
+
+    await assert.rejects(
+      syncLabels(createFeedConfig(), async () => true),
+      { code: 500 }
+    );
+    const partial = await readMailbox();
+    assert.deepEqual(getUserLabelNames(partial), ['RSS Feeds']);
+    assert.deepEqual(partial.filters, []);
+    await assert.rejects(fs.access(config.paths.labelSyncFilePath), { code: 'ENOENT' });
+
+    const { plan, applied } = await syncLabels(createFeedConfig(), async () => true);
+    assert.equal(applied, true);
+    assert.deepEqual(plan.createLabels.sort(), DESIRED_LABELS.slice(1));
+
+    const mailbox = await readMailbox();
+    assert.deepEqual(getUserLabelNames(mailbox), DESIRED_LABELS);
+    assert.equal(mailbox.filters.length, 4);
+  });
+});
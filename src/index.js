@@ -1,50 +1,356 @@
-import { fetchFeedConfig, updateCursor } from './config.js';
-import { sendEmailWithRetry } from './emailer.js';
+import fs from 'fs/promises';
+import path from 'path';
+
+import {
+  appendRunLog,
+  config,
+  CONFIG_SOURCE_TYPES,
+  fetchFeedConfig,
+  getConfigSource,
+  loadFeedCache,
+  loadFeedConfig,
+  loadFeedHealth,
+  loadOutbox,
+  loadPendingQueue,
+  loadRunLog,
+  loadThreads,
+  renameFeedState,
+  saveFeedCache,
+  saveFeedHealth,
+  saveOutbox,
+  savePendingQueue,
+  saveThreads,
+  updateCursor,
+  withRunLock,
+} from './config.js';
+import { renderEmail, sendEmailWithRetry, sendNotificationEmail } from './emailer.js';
 import { fetchFeeds, fetchFullContent } from './feedFetcher.js';
-import { createLabels } from './gmailLabels.js';
-import { getArgValue, hasFlag, promptForConfirmation } from './utils/cliUtils.js';
-import { findGroupPathForFeed, formatGroupHierarchyForSubject } from './utils/feedUtils.js';
+import { createLabels, syncLabels } from './gmailLabels.js';
+import { runScheduler } from './scheduler.js';
+import { createSharedTransport } from './transports.js';
+import { getArgString, getArgValue, hasFlag, promptForConfirmation } from './utils/cliUtils.js';
+import { assertValidFeedConfig, formatValidationErrors, validateFeedConfig } from './utils/configValidator.js';
+import { resolveFullContentOptions, shouldFetchFullContent } from './utils/contentUtils.js';
+import {
+  buildFeedHealthReport,
+  formatFeedHealthReport,
+  formatFeedHealthReportHtml,
+  pruneFeedHealth,
+} from './utils/feedHealthUtils.js';
+import {
+  extractFeeds,
+  findDigestGroup,
+  findFeedContext,
+  formatGroupHierarchyForSubject,
+  MAIL_LABELS,
+  resolveEmailFormat,
+  resolveFeedSetting,
+  SUBJECT_PATTERNS,
+} from './utils/feedUtils.js';
+import { countPlanChanges, formatLabelSyncPlan } from './utils/labelSyncUtils.js';
+import { configureLogger, LOG_LEVELS, logger, setLogContext } from './utils/logger.js';
+import { buildOpml, mergeFeedConfigs, parseOpml } from './utils/opmlUtils.js';
+import { queueFailedEmail, removeQueuedItems } from './utils/outboxUtils.js';
+import {
+  createDefaultRecipients,
+  getRecipientAddresses,
+  getRecipientsKey,
+  isSameRecipients,
+  resolveRecipients,
+  splitDigestByRecipients,
+} from './utils/recipientUtils.js';
+import {
+  countRunFailures,
+  createRunRecord,
+  finishRunRecord,
+  formatRunRecord,
+  formatRunSummaryHtml,
+  recordFetchResults,
+  recordScheduledItems,
+  recordSendResults,
+  RUN_STATUSES,
+} from './utils/runLogUtils.js';
+import { getNextReleaseTime, holdScheduledItems, releaseDueItems } from './utils/scheduleUtils.js';
+import { getItemKey } from './utils/seenUtils.js';
+import { formatDate, renderSubject } from './utils/templateUtils.js';
+import { getDigestThreadKey, getFeedThreadKey, getThreadHeaders, recordThreadMessage } from './utils/threadUtils.js';
 
 /**
  * Main function to check RSS feeds and send emails
  */
 async function main() {
   try {
-    console.log('Starting RSS feed check...');
-
     // Parse command line arguments
     const args = process.argv.slice(2);
     const options = parseCommandLineOptions(args);
+    configureLogger({ level: options.logLevel, file: options.logFile });
+
+    logger.info('Starting RSS feed check...');
+
+    // Validate the feed configuration without doing anything else
+    if (options.validateConfig) {
+      await handleConfigValidation(options.validateConfigPath);
+      return;
+    }
+
+    // Convert between OPML and the feed configuration
+    if (options.importOpml) {
+      await handleOpmlImport(options.importOpml, options.outputPath);
+      return;
+    }
+
+    if (options.exportOpml) {
+      await handleOpmlExport(options.exportOpml);
+      return;
+    }
 
-    // Get feed configuration and cursor
-    const { feedConfig, cursor, cursorExists } = await fetchFeedConfig();
+    // Report on the feeds recorded as broken by earlier runs
+    if (options.feedHealth) {
+      await handleFeedHealthReport();
+      return;
+    }
 
-    // Fetch all feeds
-    const feedResults = await fetchFeeds(feedConfig, cursor);
+    if (options.showRuns) {
+      await handleShowRuns(options.showRunsCount);
+      return;
+    }
 
-    // Handle command line options
-    if (options.updateCursorOnly) {
-      await handleCursorOnlyUpdate(feedResults, cursorExists);
+    // Bring the Gmail labels and filters in line with the feed configuration
+    if (options.syncLabels) {
+      await handleLabelSync(options);
       return;
     }
 
-    // Create Gmail labels if needed
-    if (options.createLabels) {
-      await handleLabelCreation(feedConfig);
+    // Keep running and check the feeds every CHECK_INTERVAL_HOURS
+    if (options.daemon) {
+      await handleDaemon(options);
       return;
     }
 
-    // Process feeds and send emails
-    await processFeedsAndSendEmails(feedResults, feedConfig, options);
+    await runFeedCheck(options);
+  } catch (error) {
+    logger.error('Error in RSS feed processing', error);
+    // Let cron or a supervisor see that the run failed; the daemon handles the errors of its own runs
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Handle daemon mode: check the feeds every CHECK_INTERVAL_HOURS, plus up to CHECK_JITTER_MINUTES,
+ * until SIGTERM or SIGINT. The first run is due one interval after the last run in the run log.
+ * Runs also happen when items in the pending queue are due for delivery.
+ * @param {Object} options - Command line options
+ * @returns {Promise<void>}
+ */
+async function handleDaemon(options) {
+  if (options.dryRun || options.updateCursorOnly || options.createLabels) {
+    throw new Error('--daemon cannot be combined with --dry-run, --update-cursor-only or --create-labels');
+  }
+
+  const { checkIntervalHours, checkJitterMinutes } = config.settings;
+  const lastRun = (await loadRunLog(config.settings.runLogMaxRuns)).filter((run) => run.mode === 'send').pop();
+
+  logger.info(`Starting scheduler: a run every ${checkIntervalHours} hours, up to ${checkJitterMinutes} minutes late`);
+  await runScheduler(() => runFeedCheck(options), {
+    intervalMs: checkIntervalHours * 60 * 60 * 1000,
+    jitterMs: checkJitterMinutes * 60 * 1000,
+    lastRunAt: lastRun ? new Date(lastRun.startedAt) : null,
+    wakeAt: getNextReleaseTime(await loadPendingQueue()),
+  });
+}
+
+/**
+ * Do one run that fetches the feeds and record it in the run log. Runs other than dry runs
+ * hold the run lock, so a run is skipped while another one is still working.
+ * @param {Object} options - Command line options
+ * @returns {Promise<Date|null|undefined>} - When the next pending items are due, if the run sent emails
+ */
+async function runFeedCheck(options) {
+  return options.dryRun ? recordFeedCheck(options) : withRunLock(() => recordFeedCheck(options));
+}
+
+/**
+ * Fetch the feeds and record the run in the run log
+ * @param {Object} options - Command line options
+ * @returns {Promise<Date|null|undefined>} - When the next pending items are due, if the run sent emails
+ */
+async function recordFeedCheck(options) {
+  const run = createRunRecord(getRunMode(options));
+  const getTransport = createSharedTransport();
+  setLogContext({ runId: run.id });
+  try {
+    return await checkFeeds(options, run, getTransport);
+  } catch (error) {
+    run.error = error.message;
+    throw error;
+  } finally {
+    await finishRun(run, options, getTransport);
+  }
+}
+
+/**
+ * Fetch the feeds and, depending on the options, send the new items, preview them or mark them as seen
+ * @param {Object} options - Command line options
+ * @param {Object} run - The run record, updated with the counts of this run
+ * @param {Function} getTransport - Async function returning the transport of the run
+ * @returns {Promise<Date|null|undefined>} - When the next pending items are due, if the run sent emails
+ */
+async function checkFeeds(options, run, getTransport) {
+  // Get feed configuration and cursor
+  const { feedConfig, cursor, cursorExists } = await fetchFeedConfig();
+  assertValidFeedConfig(feedConfig);
+
+  // Fetch all feeds
+  const feedCache = await loadFeedCache();
+  const feedHealth = await loadFeedHealth();
+  const feedResults = await fetchFeeds(feedConfig, cursor, feedCache, feedHealth);
+  recordFetchResults(run, feedConfig, feedResults, feedHealth);
+
+  // A dry run leaves every state file alone
+  if (!options.dryRun) {
+    pruneFeedHealth(feedHealth, feedConfig);
+    await saveFeedHealth(feedHealth);
+  }
 
-    // Update cursor with the latest item dates
-    if (Object.keys(feedResults).length > 0) {
-      await updateCursor(feedResults);
+  // Handle command line options
+  if (options.updateCursorOnly) {
+    if (await handleCursorOnlyUpdate(feedResults, cursorExists)) {
+      await saveFeedCache(feedCache);
     }
+    return;
+  }
+
+  // Create Gmail labels if needed
+  if (options.createLabels) {
+    await handleLabelCreation(feedConfig);
+    return;
+  }
+
+  // Render the emails without sending them or touching the cursor and feed cache
+  if (options.dryRun) {
+    await handleDryRun(feedResults, feedConfig, options);
+    return;
+  }
+
+  // Items that already failed on an earlier run are retried from the outbox instead
+  const outbox = await loadOutbox();
+  const queuedCount = removeQueuedItems(feedResults, outbox);
+  if (queuedCount > 0) {
+    logger.info(`${queuedCount} new items are already waiting in the outbox`);
+  }
+
+  // Items of groups with a delivery schedule wait in the pending queue until it is their time
+  const pending = await loadPendingQueue();
+  const { heldItems, releasedCount } = applyDeliverySchedules(feedResults, feedConfig, pending);
+  recordScheduledItems(run, heldItems.length, releasedCount);
+
+  // Process feeds and send emails
+  const results = await processFeedsAndSendEmails(feedResults, feedConfig, options, outbox, getTransport);
+  await saveOutbox(outbox);
+  await savePendingQueue(pending);
+  recordSendResults(run, results, queuedCount);
+
+  // Record only the delivered (or given up) and held items in the seen-item store. The feed cache
+  // is saved only afterwards, so a 304 can never hide items that were not processed.
+  const processedItems = [...results.processedItems, ...heldItems];
+  if (Object.keys(feedResults).length > 0 || processedItems.length > 0) {
+    await updateCursor(feedResults, processedItems);
+  }
+  await saveFeedCache(feedCache);
+
+  if (config.settings.updateMovedFeeds) {
+    await updateMovedFeeds(feedConfig, feedHealth);
+  }
+  await sendFeedHealthReportIfDue(feedConfig, feedHealth, getTransport);
+
+  logger.info('RSS feed check completed successfully.');
+  return getNextReleaseTime(pending);
+}
+
+/**
+ * Hold back the new items of groups with a delivery schedule and release the pending items
+ * whose delivery time has come
+ * @param {Object} feedResults - The feed results, updated in place
+ * @param {Object} feedConfig - The feed configuration
+ * @param {Object} pending - The pending queue, updated in place
+ * @returns {Object} - { heldItems, releasedCount }
+ */
+function applyDeliverySchedules(feedResults, feedConfig, pending) {
+  const heldItems = holdScheduledItems(feedResults, feedConfig, pending, config.email.timeZone);
+  const releasedCount = releaseDueItems(feedResults, pending);
+
+  if (heldItems.length > 0 || releasedCount > 0) {
+    logger.info(`${heldItems.length} new items held for their delivery schedule, ${releasedCount} pending items due`);
+  }
+
+  return { heldItems, releasedCount };
+}
+
+/**
+ * Get what a run that fetches the feeds will do
+ * @param {Object} options - Command line options
+ * @returns {string} - The run mode recorded in the run log
+ */
+function getRunMode(options) {
+  if (options.updateCursorOnly) return 'update-cursor-only';
+  if (options.createLabels) return 'create-labels';
+  if (options.dryRun) return 'dry-run';
+  return 'send';
+}
+
+/**
+ * Finish a run: append it to the run log and send a summary email if it failed or
+ * its failures reached RUN_SUMMARY_FAILURE_THRESHOLD. A dry run is only logged, like
+ * every other state file the run log is left alone.
+ * @param {Object} run - The run record
+ * @param {Object} options - Command line options
+ * @param {Function} getTransport - Async function returning the transport of the run
+ * @returns {Promise<void>}
+ */
+async function finishRun(run, options, getTransport) {
+  finishRunRecord(run);
+  if (!options.dryRun) {
+    await appendRunLog(run);
+  }
+  logger.info(`Run ${run.id} finished: ${formatRunRecord(run)}`);
 
-    console.log('RSS feed check completed successfully.');
+  const threshold = config.settings.runSummaryFailureThreshold;
+  if (!threshold || options.dryRun) return;
+  if (run.status !== RUN_STATUSES.FAILED && countRunFailures(run) < threshold) return;
+
+  try {
+    const outcome = run.error
+      ? run.error.split('\n')[0]
+      : `${run.feeds.failed} feeds and ${run.emails.failed} emails failed`;
+    await sendNotificationEmail(
+      `[${MAIL_LABELS.RUN_SUMMARY}] Run ${run.status}: ${outcome}`,
+      formatRunSummaryHtml(run),
+      MAIL_LABELS.RUN_SUMMARY,
+      getTransport
+    );
   } catch (error) {
-    console.error('Error in RSS feed processing:', error);
+    logger.error('Error sending run summary', error);
+  }
+}
+
+/**
+ * Handle listing the most recent runs from the run log
+ * @param {number} count - Number of runs to show
+ * @returns {Promise<void>}
+ */
+async function handleShowRuns(count) {
+  const runs = await loadRunLog(count);
+
+  if (runs.length === 0) {
+    console.log('No runs recorded yet.');
+    return;
+  }
+
+  for (const run of runs) {
+    console.log(formatRunRecord(run));
+    for (const feed of run.failedFeeds) {
+      console.log(`    failed: ${feed.url} (${feed.errorClass}: ${feed.error})`);
+    }
   }
 }
 
@@ -56,37 +362,294 @@ async function main() {
 function parseCommandLineOptions(args) {
   return {
     createLabels: hasFlag(args, '--create-labels'),
+    syncLabels: hasFlag(args, '--sync-labels'),
+    yes: hasFlag(args, '--yes'),
+    validateConfig: hasFlag(args, '--validate-config'),
+    validateConfigPath: getArgString(args, '--validate-config'),
+    importOpml: getArgString(args, '--import-opml'),
+    exportOpml: getArgString(args, '--export-opml'),
+    outputPath: getArgString(args, '--output'),
+    dryRun: hasFlag(args, '--dry-run'),
+    previewDir: getArgString(args, '--preview-dir'),
     updateCursorOnly: hasFlag(args, '--update-cursor-only'),
+    feedHealth: hasFlag(args, '--feed-health'),
+    daemon: hasFlag(args, '--daemon'),
+    showRuns: hasFlag(args, '--show-runs'),
+    showRunsCount: getArgValue(args, '--show-runs', 10),
     fetchFullContent: hasFlag(args, '--try-load-full-content'),
     maxRetries: getArgValue(args, '--max-retries', 3),
     initialRetryDelay: getArgValue(args, '--retry-delay', 5000),
+    logLevel: getLogLevel(args),
+    logFile: getArgString(args, '--log-file')
+      ? path.resolve(process.cwd(), getArgString(args, '--log-file'))
+      : undefined,
+  };
+}
+
+/**
+ * Get the log level asked for on the command line
+ * @param {string[]} args - Command line arguments
+ * @returns {string|undefined} - The log level, or undefined to keep LOG_LEVEL
+ */
+function getLogLevel(args) {
+  if (hasFlag(args, '--verbose')) return LOG_LEVELS.DEBUG;
+  if (hasFlag(args, '--quiet')) return LOG_LEVELS.WARN;
+  return undefined;
+}
+
+/**
+ * Handle validation of the feed configuration, setting a non-zero exit code if it is invalid
+ * @param {string|null} configPath - Local config file to validate instead of the configured source
+ * @returns {Promise<void>}
+ */
+async function handleConfigValidation(configPath) {
+  const source = configPath
+    ? { type: CONFIG_SOURCE_TYPES.LOCAL, location: path.resolve(process.cwd(), configPath) }
+    : getConfigSource();
+
+  try {
+    const feedConfig = await loadFeedConfig(source);
+    const errors = validateFeedConfig(feedConfig);
+
+    if (errors.length > 0) {
+      console.error(`Feed configuration ${source.location} has ${errors.length} error(s):`);
+      console.error(formatValidationErrors(errors));
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`Feed configuration ${source.location} is valid.`);
+  } catch (error) {
+    console.error(`Could not load feed configuration: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Handle importing an OPML file, merging its feeds into a local feed configuration.
+ * The merge target is the --output file, or the configured source when it is a local file.
+ * @param {string} opmlPath - Path to the OPML file
+ * @param {string|null} outputPath - Feed config file to write instead of the configured local source
+ * @returns {Promise<void>}
+ */
+async function handleOpmlImport(opmlPath, outputPath) {
+  const source = getConfigSource();
+  if (!outputPath && source.type !== CONFIG_SOURCE_TYPES.LOCAL) {
+    throw new Error(`Feed config is loaded from ${source.location}; use --output <file> to choose where to write it`);
+  }
+
+  const targetPath = outputPath ? path.resolve(process.cwd(), outputPath) : source.location;
+  const baseConfig = await loadImportBaseConfig(targetPath, source);
+
+  const importedConfig = parseOpml(await fs.readFile(path.resolve(process.cwd(), opmlPath), 'utf8'));
+  const { feedConfig, added, skipped } = mergeFeedConfigs(baseConfig, importedConfig);
+
+  const errors = validateFeedConfig(feedConfig);
+  if (errors.length > 0) {
+    throw new Error(`Merged feed configuration is invalid:\n${formatValidationErrors(errors)}`);
+  }
+
+  await fs.writeFile(targetPath, JSON.stringify(feedConfig, null, 2) + '\n', 'utf8');
+  logger.info(`Imported ${added} feeds into ${targetPath} (${skipped} already present)`);
+}
+
+/**
+ * Load the configuration an OPML import is merged into
+ * @param {string} targetPath - The file the merged configuration will be written to
+ * @param {Object} source - The configured feed config source
+ * @returns {Promise<Object>} - The existing configuration, or an empty one
+ */
+async function loadImportBaseConfig(targetPath, source) {
+  try {
+    await fs.access(targetPath);
+    return await loadFeedConfig({ type: CONFIG_SOURCE_TYPES.LOCAL, location: targetPath });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  // Writing a remote config to a new local file starts from the remote copy
+  if (source.type !== CONFIG_SOURCE_TYPES.LOCAL) {
+    return await loadFeedConfig(source);
+  }
+
+  return { groups: [] };
+}
+
+/**
+ * Handle exporting the feed configuration to an OPML file
+ * @param {string} opmlPath - Path of the OPML file to write
+ * @returns {Promise<void>}
+ */
+async function handleOpmlExport(opmlPath) {
+  const feedConfig = await loadFeedConfig(getConfigSource());
+  assertValidFeedConfig(feedConfig);
+
+  const targetPath = path.resolve(process.cwd(), opmlPath);
+  await fs.writeFile(targetPath, buildOpml(feedConfig), 'utf8');
+  logger.info(`Exported feed configuration to ${targetPath}`);
+}
+
+/**
+ * Handle the feed health report: list the dead, moved, stale and invalid-format feeds
+ * recorded by earlier runs, without fetching anything
+ * @returns {Promise<void>}
+ */
+async function handleFeedHealthReport() {
+  const feedConfig = await loadFeedConfig(getConfigSource());
+  const report = buildFeedHealthReport(feedConfig, await loadFeedHealth(), getFeedHealthThresholds());
+
+  if (report.checked === 0) {
+    console.log('No feed health recorded yet. Run a feed check first.');
+    return;
+  }
+
+  console.log(formatFeedHealthReport(report));
+}
+
+/**
+ * Get the thresholds for dead and stale feeds from the settings
+ * @returns {Object} - { deadAfterFailures, staleAfterDays }
+ */
+function getFeedHealthThresholds() {
+  return {
+    deadAfterFailures: config.settings.feedDeadAfterFailures,
+    staleAfterDays: config.settings.feedStaleAfterDays,
   };
 }
 
+/**
+ * Email the feed health report when FEED_HEALTH_REPORT_DAYS have passed since the last one
+ * and some feeds need attention
+ * @param {Object} feedConfig - The feed configuration
+ * @param {Object} feedHealth - The feed health store, saved with the time of the report
+ * @param {Function} getTransport - Async function returning the transport of the run
+ * @returns {Promise<void>}
+ */
+async function sendFeedHealthReportIfDue(feedConfig, feedHealth, getTransport) {
+  const intervalDays = config.settings.feedHealthReportDays;
+  if (!intervalDays) return;
+
+  const now = new Date();
+  const lastReportAt = feedHealth.lastReportAt ? new Date(feedHealth.lastReportAt) : null;
+  if (lastReportAt && now - lastReportAt < intervalDays * 24 * 60 * 60 * 1000) return;
+
+  const report = buildFeedHealthReport(feedConfig, feedHealth, getFeedHealthThresholds(), now);
+  if (report.problems === 0) return;
+
+  try {
+    await sendNotificationEmail(
+      `[${MAIL_LABELS.FEED_HEALTH}] ${report.problems} feeds need attention`,
+      formatFeedHealthReportHtml(report),
+      MAIL_LABELS.FEED_HEALTH,
+      getTransport
+    );
+    feedHealth.lastReportAt = now.toISOString();
+    await saveFeedHealth(feedHealth);
+  } catch (error) {
+    // The report is tried again on the next run
+    logger.error('Error sending feed health report', error);
+  }
+}
+
+/**
+ * Write the new URLs of permanently moved feeds back to a local feed configuration,
+ * moving their seen items and other state along so nothing is sent twice
+ * @param {Object} feedConfig - The feed configuration, updated in place
+ * @param {Object} feedHealth - The feed health store, saved with the renamed entries
+ * @returns {Promise<void>}
+ */
+async function updateMovedFeeds(feedConfig, feedHealth) {
+  const feeds = extractFeeds(feedConfig);
+  const configuredUrls = new Set(feeds.map((feed) => feed.url));
+  const moves = feeds
+    .map((feed) => ({ from: feed.url, to: feedHealth.feeds[feed.url]?.movedTo }))
+    .filter(({ from, to }) => to && to !== from);
+  if (moves.length === 0) return;
+
+  const source = getConfigSource();
+  if (source.type !== CONFIG_SOURCE_TYPES.LOCAL) {
+    logger.warn(`${moves.length} feeds have moved, but the feed config at ${source.location} is not a local file`);
+    return;
+  }
+
+  let updated = 0;
+  for (const { from, to } of moves) {
+    if (configuredUrls.has(to)) {
+      logger.warn(`Feed ${from} moved to ${to}, which is already configured; remove one of them by hand`);
+      continue;
+    }
+
+    renameFeedUrl(feedConfig, from, to);
+    await renameFeedState(from, to);
+    feedHealth.feeds[to] = { ...feedHealth.feeds[from], movedTo: null };
+    delete feedHealth.feeds[from];
+    configuredUrls.add(to);
+    updated++;
+    logger.info(`Updated moved feed ${from} -> ${to}`);
+  }
+
+  if (updated > 0) {
+    await fs.writeFile(source.location, JSON.stringify(feedConfig, null, 2) + '\n', 'utf8');
+    await saveFeedHealth(feedHealth);
+  }
+}
+
+/**
+ * Change the URL of a feed wherever it appears in the configuration
+ * @param {Object} node - The feed configuration or a group, updated in place
+ * @param {string} oldUrl - The current URL
+ * @param {string} newUrl - The new URL
+ * @returns {void}
+ */
+function renameFeedUrl(node, oldUrl, newUrl) {
+  for (const feed of node.feeds || []) {
+    if (feed.url === oldUrl) feed.url = newUrl;
+  }
+  for (const group of node.groups || []) {
+    renameFeedUrl(group, oldUrl, newUrl);
+  }
+}
+
 /**
  * Handle cursor-only update operation
  * @param {Object} feedResults - The feed results
  * @param {boolean} cursorExists - Whether cursor file exists
- * @returns {Promise<void>}
+ * @returns {Promise<boolean>} - True if the cursor was updated
  */
 async function handleCursorOnlyUpdate(feedResults, cursorExists) {
-  if (Object.keys(feedResults).length > 0) {
+  const newItemCount = countNewItems(feedResults);
+
+  if (newItemCount > 0) {
     if (cursorExists) {
       const shouldContinue = await promptForConfirmation(
         'Existing cursor file found. This will update the cursor and may skip previously ' +
           'unprocessed items. Continue? (y/n): '
       );
       if (!shouldContinue) {
-        console.log('Operation cancelled by user.');
-        return;
+        logger.info('Operation cancelled by user.');
+        return false;
       }
     }
-    console.log('Updating cursor to latest entries without sending emails...');
+    logger.info(`Marking ${newItemCount} new items as seen without sending emails...`);
     await updateCursor(feedResults);
-    console.log('Cursor updated successfully.');
-  } else {
-    console.log('No new items found. Cursor remains unchanged.');
+    logger.info('Cursor updated successfully.');
+    return true;
   }
+
+  logger.info('No new items found. Cursor remains unchanged.');
+  return true;
+}
+
+/**
+ * Count the new items across all feed results, including those dropped by filters
+ * @param {Object} feedResults - The feed results
+ * @returns {number} - Number of new items
+ */
+function countNewItems(feedResults) {
+  return Object.values(feedResults).reduce(
+    (count, result) => count + (result.items?.length || 0) + (result.filteredItems?.length || 0),
+    0
+  );
 }
 
 /**
@@ -97,10 +660,110 @@ async function handleCursorOnlyUpdate(feedResults, cursorExists) {
 async function handleLabelCreation(feedConfig) {
   try {
     const labelMap = await createLabels(feedConfig);
-    console.log(`Labels and filters created for ${Object.keys(labelMap).length} feeds`);
+    logger.info(`Labels and filters created for ${Object.keys(labelMap).length} feeds`);
   } catch (error) {
-    console.warn('Warning: Error creating labels or filters:', error.message);
+    logger.warn('Error creating labels or filters', error);
+  }
+}
+
+/**
+ * Handle a label sync: print the changes needed to bring the Gmail labels and filters in line
+ * with the feed configuration, then apply them once confirmed. With --dry-run only the plan is
+ * printed, with --yes it is applied without asking.
+ * @param {Object} options - Command line options
+ * @returns {Promise<void>}
+ */
+async function handleLabelSync(options) {
+  const feedConfig = await loadFeedConfig(getConfigSource());
+  assertValidFeedConfig(feedConfig);
+
+  const { plan, applied } = await syncLabels(feedConfig, async (plan) => {
+    console.log(formatLabelSyncPlan(plan));
+
+    // With nothing to change, applying only records the labels for the next sync
+    if (countPlanChanges(plan) === 0) return !options.dryRun;
+    if (options.dryRun) return false;
+    return options.yes || (await promptForConfirmation('Apply these changes? (y/n): '));
+  });
+
+  if (applied) {
+    logger.info(`Label sync finished with ${countPlanChanges(plan)} changes`);
+  } else if (!options.dryRun) {
+    logger.info('Operation cancelled by user.');
+  }
+}
+
+/**
+ * Handle a dry run: build every email that would be sent now and write it to a preview
+ * directory (HTML files plus a JSON manifest) or print a summary. Delivery schedules are
+ * applied to a copy of the pending queue that is not saved.
+ * @param {Object} feedResults - The feed results
+ * @param {Object} feedConfig - The feed configuration
+ * @param {Object} options - Command line options
+ * @returns {Promise<void>}
+ */
+async function handleDryRun(feedResults, feedConfig, options) {
+  applyDeliverySchedules(feedResults, feedConfig, await loadPendingQueue());
+
+  const emails = await extractItemsFromFeeds(feedResults, feedConfig, options.fetchFullContent);
+  const previews = emails.map(({ items, subject, groupPath, format, recipients, feedLabel }) => ({
+    ...renderEmail(items, subject, groupPath, format, recipients, feedLabel),
+    itemCount: items.length,
+  }));
+
+  if (options.previewDir) {
+    await writePreviews(previews, path.resolve(process.cwd(), options.previewDir));
+  } else {
+    for (const preview of previews) {
+      console.log(
+        `- ${preview.subject} (${preview.itemCount} items, recipients: ${getRecipientAddresses(preview).join(', ')}, ` +
+          `labels: ${preview.labels.join(', ')})`
+      );
+    }
+  }
+
+  const addressCount = new Set(previews.flatMap((preview) => getRecipientAddresses(preview))).size;
+  logger.info(
+    `Dry run complete: ${previews.length} emails would be sent to ${addressCount} addresses. Nothing was sent.`
+  );
+}
+
+/**
+ * Write email previews as HTML files with a manifest.json describing them
+ * @param {Array} previews - The rendered emails
+ * @param {string} previewDir - Directory to write to
+ * @returns {Promise<void>}
+ */
+async function writePreviews(previews, previewDir) {
+  await fs.mkdir(previewDir, { recursive: true });
+
+  const manifest = [];
+  for (const [index, preview] of previews.entries()) {
+    const slug = preview.subject
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '')
+      .slice(0, 60);
+    const baseName = `${String(index + 1).padStart(3, '0')}-${slug || 'email'}`;
+    const file = `${baseName}.html`;
+    const textFile = `${baseName}.txt`;
+
+    await fs.writeFile(path.join(previewDir, file), preview.html, 'utf8');
+    await fs.writeFile(path.join(previewDir, textFile), preview.text, 'utf8');
+    manifest.push({
+      file,
+      textFile,
+      subject: preview.subject,
+      to: preview.to,
+      cc: preview.cc,
+      bcc: preview.bcc,
+      labels: preview.labels,
+      itemCount: preview.itemCount,
+    });
   }
+
+  await fs.writeFile(path.join(previewDir, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf8');
+  logger.info(`Wrote ${previews.length} email previews to ${previewDir}`);
 }
 
 /**
@@ -108,83 +771,249 @@ async function handleLabelCreation(feedConfig) {
  * @param {Object} feedResults - The feed results
  * @param {Object} feedConfig - The feed configuration
  * @param {Object} options - Command line options
+ * @param {Object} outbox - Emails that failed on earlier runs, updated in place
+ * @param {Function} getTransport - Async function returning the transport of the run
  * @returns {Promise<Object>} - Email sending results
  */
-async function processFeedsAndSendEmails(feedResults, feedConfig, options) {
-  // Extract items from feed results
-  const items = await extractItemsFromFeeds(feedResults, feedConfig, options.fetchFullContent);
+async function processFeedsAndSendEmails(feedResults, feedConfig, options, outbox, getTransport) {
+  // Extract emails from feed results
+  const emails = await extractItemsFromFeeds(feedResults, feedConfig, options.fetchFullContent);
 
-  if (items.length === 0) {
-    console.log('No new items to send');
-    return { sent: 0, failed: 0 };
+  if (emails.length === 0 && outbox.entries.length === 0) {
+    logger.info('No new items to send');
+    return { sent: 0, failed: 0, givenUp: 0, itemsSent: 0, itemsFailed: 0, failedItems: [], processedItems: [] };
   }
 
   // Send emails
-  return await sendEmails(items, options.maxRetries, options.initialRetryDelay);
+  return await sendEmails(emails, outbox, options.maxRetries, options.initialRetryDelay, getTransport);
 }
 
 /**
- * Extract items from feed results
+ * Extract items from feed results and arrange them into emails.
+ * Items from feeds in a digest group are collected into one email per group and recipient,
+ * all other items get an email of their own.
  * @param {Object} feedResults - The feed results
  * @param {Object} feedConfig - The feed configuration
- * @param {boolean} fetchFullContentFlag - Whether to fetch full content
- * @returns {Promise<Array>} - Items to send
+ * @param {boolean} fetchFullContentFlag - Whether to fetch full content for feeds without a policy
+ * @returns {Promise<Array>} - Emails to send, each with items, subject, groupPath, feedLabel, format and recipients
  */
 async function extractItemsFromFeeds(feedResults, feedConfig, fetchFullContentFlag) {
-  const items = [];
+  const emails = [];
+  const digests = new Map();
 
   for (const [feedUrl, result] of Object.entries(feedResults)) {
     if (result.items && result.items.length > 0) {
-      // Find the group path for this feed
-      const groupPath = findGroupPathForFeed(feedUrl, feedConfig);
+      // Find the group path for this feed and whether it belongs to a digest
+      const context = findFeedContext(feedUrl, feedConfig);
+      const groupPath = context?.groupPath || MAIL_LABELS.UNCATEGORIZED;
+      const digestGroup = findDigestGroup(context);
+      const embedImages = resolveFeedSetting(context, 'embedImages', config.settings.embedImages);
+      const fullContentOptions = resolveFullContentOptions(context, fetchFullContentFlag);
+      const format = resolveEmailFormat(context);
+      const threaded = resolveFeedSetting(context, 'thread', config.settings.threadEmails);
+      const recipients = resolveRecipients(context, config.email.recipient);
+      const itemSubjectTemplate =
+        format.subjectTemplate || (threaded ? SUBJECT_PATTERNS.THREAD_ITEM_TEMPLATE : SUBJECT_PATTERNS.ITEM_TEMPLATE);
 
-      // Process each item individually
       for (const item of result.items) {
-        // For items with short content, fetch full content if the flag is enabled
-        if (fetchFullContentFlag && item.contentSnippet && item.contentSnippet.split(' ').length < 30) {
-          item.fullContent = await fetchFullContent(item.link);
+        item.embedImages = embedImages;
+
+        // Fetch the full article when the feed's full-content policy asks for it
+        if (shouldFetchFullContent(item, fullContentOptions)) {
+          item.fullContent = await fetchFullContent(item.link, fullContentOptions);
+        }
+
+        if (digestGroup) {
+          addItemToDigest(digests, digestGroup, item, recipients);
+          continue;
         }
 
         // Generate subject line with group hierarchy
-        const hierarchyPrefix = formatGroupHierarchyForSubject(groupPath);
-        const subject = `${hierarchyPrefix} ${item.feedTitle}: ${item.title}`;
+        const subject = buildSubject(itemSubjectTemplate, groupPath, format, {
+          feedTitle: item.feedTitle,
+          title: item.title,
+          author: item.creator || item.author || null,
+          date: item.isoDate,
+        });
 
-        items.push({ item, subject, groupPath });
+        emails.push({
+          items: [item],
+          subject,
+          groupPath,
+          // Feeds in a group have a label of their own below the group's
+          feedLabel: context ? item.feedTitle : null,
+          format,
+          recipients,
+          threadKey: threaded ? getFeedThreadKey(feedUrl, getThreadRecipientsKey(recipients)) : null,
+        });
       }
     }
   }
 
-  return items;
+  // Feeds of a digest group can have different recipients, who each get one digest of their items
+  const digestEmails = [...digests.values()].flatMap(({ entries, group, groups, groupPath, format }) => {
+    const threaded = resolveFeedSetting({ groups, feed: null }, 'thread', config.settings.threadEmails);
+
+    return splitDigestByRecipients(entries).map(({ items, recipients }) => ({
+      items,
+      subject: buildSubject(format.subjectTemplate || SUBJECT_PATTERNS.DIGEST_TEMPLATE, groupPath, format, {
+        emailSubject: group.emailSubject || SUBJECT_PATTERNS.DEFAULT_SUBJECT,
+        itemCount: items.length,
+        date: new Date(),
+      }),
+      groupPath,
+      format,
+      recipients,
+      threadKey: threaded ? getDigestThreadKey(groupPath, getThreadRecipientsKey(recipients)) : null,
+    }));
+  });
+
+  return [...emails, ...digestEmails];
+}
+
+/**
+ * Add an item to the digest email for its group, creating the digest if needed
+ * @param {Map} digests - Digest emails keyed by group path
+ * @param {Object} digestGroup - The digest group, its ancestors and its path
+ * @param {Object} item - The feed item
+ * @param {Object} recipients - The recipients of the item's feed
+ * @returns {void}
+ */
+function addItemToDigest(digests, digestGroup, item, recipients) {
+  const { group, groups, groupPath } = digestGroup;
+
+  if (!digests.has(groupPath)) {
+    digests.set(groupPath, {
+      entries: [],
+      group,
+      groups,
+      groupPath,
+      format: resolveEmailFormat({ groups, feed: null }),
+    });
+  }
+
+  digests.get(groupPath).entries.push({ item, recipients });
+}
+
+/**
+ * Get the recipients part of an email's thread key
+ * @param {Object} recipients - The recipients of the email
+ * @returns {string|null} - The recipients key, or null for emails to EMAIL_RECIPIENT alone
+ */
+function getThreadRecipientsKey(recipients) {
+  return isSameRecipients(recipients, createDefaultRecipients(config.email.recipient))
+    ? null
+    : getRecipientsKey(recipients);
+}
+
+/**
+ * Render an email subject from a subject template
+ * @param {string} template - The subject template
+ * @param {string} groupPath - The group path of the email
+ * @param {Object} format - Locale and time zone for the date
+ * @param {Object} variables - Further variables, with date as a date value
+ * @returns {string} - The subject line
+ */
+function buildSubject(template, groupPath, format, variables) {
+  return renderSubject(template, {
+    ...variables,
+    groupPrefix: formatGroupHierarchyForSubject(groupPath),
+    groupPath,
+    groupName: groupPath.split('/').pop(),
+    date: formatDate(variables.date, {
+      locale: format.locale || config.email.locale,
+      timeZone: format.timeZone || config.email.timeZone,
+      dateOnly: true,
+    }),
+  });
 }
 
 /**
- * Send emails for each item
- * @param {Array} items - Items to send
+ * Send the emails left in the outbox, then each new email.
+ * Threaded emails are added to the conversation of their feed or digest group.
+ * Emails that still fail go (back) into the outbox until they reach the maximum number
+ * of attempts, after which they are given up. An item in the emails of several recipients
+ * is counted once in the item counts.
+ * @param {Array} emails - Emails to send
+ * @param {Object} outbox - Emails that failed on earlier runs, updated in place
  * @param {number} maxRetries - Maximum retry attempts
  * @param {number} initialRetryDelay - Initial retry delay
- * @returns {Promise<Object>} - Send results
+ * @param {Function} getTransport - Async function returning the transport of the run
+ * @returns {Promise<Object>} - Send results, with the items that were delivered or given up
  */
-async function sendEmails(items, maxRetries, initialRetryDelay) {
-  const results = { sent: 0, failed: 0, failedItems: [] };
+async function sendEmails(emails, outbox, maxRetries, initialRetryDelay, getTransport) {
+  const results = { sent: 0, failed: 0, givenUp: 0, itemsSent: 0, itemsFailed: 0, failedItems: [], processedItems: [] };
+  const queue = [...outbox.entries.map((entry) => ({ email: entry, entry })), ...emails.map((email) => ({ email }))];
+  const sentItemKeys = new Set();
+  const failedItemKeys = new Set();
+  outbox.entries = [];
+
+  if (queue.length > 0) {
+    logger.info(
+      `Attempting to send ${queue.length} emails (${queue.length - emails.length} from the outbox) ` +
+        `with max ${maxRetries} retries...`
+    );
 
-  if (items.length > 0) {
-    console.log(`Attempting to send ${items.length} emails with max ${maxRetries} retries...`);
+    // Threaded emails reply to the previous email of their feed or digest group
+    const threads = await loadThreads();
+
+    for (const { email, entry } of queue) {
+      const { items, subject, groupPath, feedLabel, format, threadKey, recipients } = email;
+      const threading = threadKey ? getThreadHeaders(threads, email, config.email.from) : {};
+
+      // Copies that went out before a failure are kept with the email, also in the outbox, and not sent again
+      email.delivered = email.delivered || {};
 
-    for (const { item, subject, groupPath } of items) {
       try {
-        await sendEmailWithRetry([item], subject, groupPath, maxRetries, initialRetryDelay);
+        const result = await sendEmailWithRetry(
+          items,
+          subject,
+          groupPath,
+          maxRetries,
+          initialRetryDelay,
+          format,
+          threading,
+          recipients,
+          feedLabel,
+          email.delivered,
+          getTransport
+        );
+        if (threadKey) {
+          recordThreadMessage(threads, threadKey, threading, result.threadId);
+        }
         results.sent++;
+        items.forEach((item) => sentItemKeys.add(`${item.feedUrl}\n${getItemKey(item)}`));
+        results.processedItems.push(...items);
       } catch (error) {
-        console.error(`Failed to send email after ${maxRetries} retries:`, error.message);
+        logger.error(`Failed to send email after ${maxRetries} retries`, error);
         results.failed++;
-        results.failedItems.push({ subject, error: error.message });
+        items.forEach((item) => failedItemKeys.add(`${item.feedUrl}\n${getItemKey(item)}`));
+
+        const queued = queueFailedEmail(outbox, email, entry, error, config.settings.outboxMaxAttempts);
+        if (queued.givenUp) {
+          logger.error(`Giving up on "${subject}" after ${queued.entry.attempts} attempts`);
+          results.givenUp++;
+          results.processedItems.push(...items);
+        }
       }
     }
 
-    console.log(`Email sending complete: ${results.sent} sent, ${results.failed} failed`);
+    await saveThreads(threads);
+
+    results.itemsSent = sentItemKeys.size;
+    results.itemsFailed = failedItemKeys.size;
+    results.failedItems = outbox.entries.map(({ subject, attempts, lastError }) => ({
+      subject,
+      attempts,
+      error: lastError,
+    }));
 
-    if (results.failed > 0) {
-      console.log('Failed items:', results.failedItems.map((item) => item.subject).join('\n'));
+    logger.info(`Email sending complete: ${results.sent} sent, ${results.failed} failed`);
+
+    if (results.failedItems.length > 0) {
+      for (const item of results.failedItems) {
+        logger.warn(`Queued for the next run: ${item.subject}`, { attempts: item.attempts });
+      }
     }
   }
 
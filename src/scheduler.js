@@ -0,0 +1,133 @@
+import { logger } from './utils/logger.js';
+
+// How often the wall clock is checked while waiting, so a machine waking from sleep
+// notices a missed run within a minute instead of when the timer would have fired
+const WAKE_CHECK_INTERVAL_MS = 60 * 1000;
+
+const SHUTDOWN_SIGNALS = ['SIGTERM', 'SIGINT'];
+
+/**
+ * The wall clock and timers the scheduler waits with
+ */
+const SYSTEM_CLOCK = {
+  now: () => new Date(),
+  setTimeout: (callback, delayMs) => setTimeout(callback, delayMs),
+  clearTimeout: (timer) => clearTimeout(timer),
+};
+
+/**
+ * Run a check over and over on an interval until the process is told to stop.
+ * Runs never overlap: the next one is scheduled from the start of the previous one
+ * once it has finished. A run that was missed while the machine was asleep happens
+ * once on waking, not once per missed interval. On SIGTERM or SIGINT a waiting
+ * scheduler exits at once, a running check is allowed to finish first; a second
+ * signal exits immediately. A check can resolve to a Date to have the next run start
+ * earlier than the interval, e.g. when held items are due for delivery.
+ * @param {Function} check - Async function doing one run
+ * @param {Object} options - Schedule settings
+ * @param {number} options.intervalMs - Time between the starts of two runs
+ * @param {number} options.jitterMs - Largest random delay added to each interval
+ * @param {Date|null} options.lastRunAt - Start of the last run before the scheduler started
+ * @param {Date|null} options.wakeAt - Time the first run is needed by at the latest
+ * @param {Object} options.clock - Clock with now(), setTimeout() and clearTimeout(), the system clock by default
+ * @param {Object} options.processRef - Process whose signals stop the scheduler, with on(), off(), kill() and pid
+ * @returns {Promise<void>} - Resolves once the scheduler has stopped
+ */
+export async function runScheduler(
+  check,
+  { intervalMs, jitterMs, lastRunAt = null, wakeAt = null, clock = SYSTEM_CLOCK, processRef = process }
+) {
+  const state = { stopping: false, running: false, timer: null, wake: null };
+
+  const onSignal = (signal) => {
+    if (state.stopping) {
+      // Without the handlers the signal's default action ends the process
+      logger.warn(`Received ${signal} again, exiting without waiting for the run to finish`);
+      SHUTDOWN_SIGNALS.forEach((name) => processRef.off(name, onSignal));
+      processRef.kill(processRef.pid, signal);
+      return;
+    }
+
+    state.stopping = true;
+    logger.info(state.running ? `Received ${signal}, stopping after the current run` : `Received ${signal}, stopping`);
+    clock.clearTimeout(state.timer);
+    state.wake?.();
+  };
+  SHUTDOWN_SIGNALS.forEach((signal) => processRef.on(signal, onSignal));
+
+  try {
+    let nextRunAt = earliest(lastRunAt ? getNextRunTime(lastRunAt, intervalMs, jitterMs) : clock.now(), wakeAt);
+
+    while (!state.stopping) {
+      if (nextRunAt > clock.now()) {
+        logger.info(`Next run at ${nextRunAt.toISOString()}`);
+        await waitUntil(nextRunAt, state, clock);
+        if (state.stopping) break;
+      }
+
+      const startedAt = clock.now();
+      let requestedWakeAt = null;
+      state.running = true;
+      try {
+        requestedWakeAt = await check();
+      } catch (error) {
+        logger.error('Scheduled run failed', error);
+      } finally {
+        state.running = false;
+      }
+
+      nextRunAt = earliest(getNextRunTime(startedAt, intervalMs, jitterMs), requestedWakeAt);
+    }
+  } finally {
+    SHUTDOWN_SIGNALS.forEach((signal) => processRef.off(signal, onSignal));
+    logger.info('Scheduler stopped');
+  }
+}
+
+/**
+ * Get the time of the next run
+ * @param {Date} lastRunAt - Start of the last run
+ * @param {number} intervalMs - Time between the starts of two runs
+ * @param {number} jitterMs - Largest random delay added to the interval
+ * @param {Function} random - Source of random numbers between 0 and 1
+ * @returns {Date} - The time of the next run
+ */
+export function getNextRunTime(lastRunAt, intervalMs, jitterMs, random = Math.random) {
+  return new Date(lastRunAt.getTime() + intervalMs + Math.round(random() * jitterMs));
+}
+
+/**
+ * Get the earlier of a run time and an optional wake-up time
+ * @param {Date} runAt - The scheduled run time
+ * @param {Date|null|undefined} wakeAt - A time the run is needed by, if any
+ * @returns {Date} - The earlier of the two
+ */
+function earliest(runAt, wakeAt) {
+  return wakeAt instanceof Date && wakeAt < runAt ? wakeAt : runAt;
+}
+
+/**
+ * Wait until a wall-clock time. Timers do not run while the machine sleeps, so the
+ * clock is checked at least every WAKE_CHECK_INTERVAL_MS instead of waiting for one long timer.
+ * @param {Date} time - The time to wait for
+ * @param {Object} state - Scheduler state; `timer` and `wake` are set so a signal can end the wait
+ * @param {Object} clock - Clock with now(), setTimeout() and clearTimeout()
+ * @returns {Promise<void>}
+ */
+function waitUntil(time, state, clock) {
+  return new Promise((resolve) => {
+    state.wake = resolve;
+
+    const tick = () => {
+      const remaining = time - clock.now();
+      if (remaining <= 0) {
+        resolve();
+        return;
+      }
+      state.timer = clock.setTimeout(tick, Math.min(remaining, WAKE_CHECK_INTERVAL_MS));
+    };
+    tick();
+  }).finally(() => {
+    state.wake = null;
+  });
+}
@@ -0,0 +1,252 @@
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import { acquireRunLock, config, releaseRunLock, withRunLock } from './config.js';
+import { runScheduler } from './scheduler.js';
+import { configureLogger } from './utils/logger.js';
+
+configureLogger({ level: 'error' });
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = new Date('2024-05-01T10:00:00.000Z');
+
+/**
+ * Create a clock whose time only moves when a timer fires
+ * @param {Date} start - The time the clock starts at
+ * @returns {Object} - Clock with now(), setTimeout(), clearTimeout() and fireNext()
+ */
+function createFakeClock(start) {
+  let now = start.getTime();
+  const timers = new Set();
+
+  return {
+    now: () => new Date(now),
+    setTimeout: (callback, delayMs) => {
+      const timer = { at: now + delayMs, callback };
+      timers.add(timer);
+      return timer;
+    },
+    clearTimeout: (timer) => timers.delete(timer),
+    fireNext: () => {
+      const [timer] = [...timers].sort((a, b) => a.at - b.at);
+      if (!timer) return;
+      timers.delete(timer);
+      now = Math.max(now, timer.at);
+      timer.callback();
+    },
+  };
+}
+
+/**
+ * Create a stand-in for the process that records the signals it is asked to send
+ * @returns {EventEmitter} - Emitter with pid, kill() and the signals sent in `killed`
+ */
+function createFakeProcess() {
+  const fakeProcess = new EventEmitter();
+  fakeProcess.pid = 4242;
+  fakeProcess.killed = [];
+  fakeProcess.kill = (pid, signal) => fakeProcess.killed.push({ pid, signal });
+  return fakeProcess;
+}
+
+/**
+ * Fire the timers of a fake clock one by one until the scheduler has stopped
+ * @param {Promise<void>} scheduler - The promise returned by runScheduler
+ * @param {Object} clock - The fake clock
+ * @returns {Promise<void>}
+ */
+async function runUntilStopped(scheduler, clock) {
+  let stopped = false;
+  scheduler.finally(() => {
+    stopped = true;
+  });
+
+  for (let step = 0; step < 1000 && !stopped; step++) {
+    // Let the check and any file access finish before moving the clock on
+    await new Promise((resolve) => setImmediate(resolve));
+    if (!stopped) clock.fireNext();
+  }
+  assert.equal(stopped, true, 'the scheduler did not stop');
+  await scheduler;
+}
+
+describe('runScheduler', () => {
+  let clock;
+  let fakeProcess;
+
+  beforeEach(() => {
+    clock = createFakeClock(START);
+    fakeProcess = createFakeProcess();
+  });
+
+  it('runs at once, then one interval after the start of each run', async () => {
+    const runs = [];
+    const scheduler = runScheduler(
+      async () => {
+        runs.push(clock.now().toISOString());
+        if (runs.length === 3) fakeProcess.emit('SIGTERM', 'SIGTERM');
+      },
+      { intervalMs: HOUR_MS, jitterMs: 0, clock, processRef: fakeProcess }
+    );
+
+    await runUntilStopped(scheduler, clock);
+
+    assert.deepEqual(runs, ['2024-05-01T10:00:00.000Z', '2024-05-01T11:00:00.000Z', '2024-05-01T12:00:00.000Z']);
+  });
+
+  it('wakes early when a run returns a time before the next interval', async () => {
+    const runs = [];
+    const scheduler = runScheduler(
+      async () => {
+        runs.push(clock.now().toISOString());
+        if (runs.length === 1) return new Date(START.getTime() + 10 * 60 * 1000);
+        if (runs.length === 3) fakeProcess.emit('SIGTERM', 'SIGTERM');
+        return new Date(START.getTime() + 5 * HOUR_MS);
+      },
+      {
+        intervalMs: HOUR_MS,
+        jitterMs: 0,
+        lastRunAt: new Date(START.getTime() - 2 * HOUR_MS),
+        clock,
+        processRef: fakeProcess,
+      }
+    );
+
+    await runUntilStopped(scheduler, clock);
+
+    // The last run was two hours ago, so the first run is due at once; a later wake-up time is ignored
+    assert.deepEqual(runs, ['2024-05-01T10:00:00.000Z', '2024-05-01T10:10:00.000Z', '2024-05-01T11:10:00.000Z']);
+  });
+
+  it('wakes for the first run at the given time when it is before the interval', async () => {
+    const runs = [];
+    const scheduler = runScheduler(
+      async () => {
+        runs.push(clock.now().toISOString());
+        fakeProcess.emit('SIGTERM', 'SIGTERM');
+      },
+      {
+        intervalMs: HOUR_MS,
+        jitterMs: 0,
+        lastRunAt: START,
+        wakeAt: new Date(START.getTime() + 15 * 60 * 1000),
+        clock,
+        processRef: fakeProcess,
+      }
+    );
+
+    await runUntilStopped(scheduler, clock);
+
+    assert.deepEqual(runs, ['2024-05-01T10:15:00.000Z']);
+  });
+
+  it('keeps running after a run fails', async () => {
+    const runs = [];
+    const scheduler = runScheduler(
+      async () => {
+        runs.push(clock.now().toISOString());
+        if (runs.length === 1) throw new Error('Feed server down');
+        fakeProcess.emit('SIGTERM', 'SIGTERM');
+      },
+      { intervalMs: HOUR_MS, jitterMs: 0, clock, processRef: fakeProcess }
+    );
+
+    await runUntilStopped(scheduler, clock);
+
+    assert.deepEqual(runs, ['2024-05-01T10:00:00.000Z', '2024-05-01T11:00:00.000Z']);
+  });
+
+  it('stops at once on a signal while waiting for the next run', async () => {
+    let runs = 0;
+    const scheduler = runScheduler(
+      async () => {
+        runs++;
+      },
+      { intervalMs: HOUR_MS, jitterMs: 0, lastRunAt: START, clock, processRef: fakeProcess }
+    );
+
+    await new Promise((resolve) => setImmediate(resolve));
+    fakeProcess.emit('SIGINT', 'SIGINT');
+    await scheduler;
+
+    assert.equal(runs, 0);
+    assert.equal(clock.now().toISOString(), START.toISOString());
+    assert.deepEqual(fakeProcess.killed, []);
+    assert.equal(fakeProcess.listenerCount('SIGINT'), 0);
+    assert.equal(fakeProcess.listenerCount('SIGTERM'), 0);
+  });
+
+  it('lets a running check finish on the first signal and exits immediately on the second', async () => {
+    let finishRun;
+    let finished = false;
+    const scheduler = runScheduler(
+      async () => {
+        await new Promise((resolve) => {
+          finishRun = resolve;
+        });
+        finished = true;
+      },
+      { intervalMs: HOUR_MS, jitterMs: 0, clock, processRef: fakeProcess }
+    );
+    await new Promise((resolve) => setImmediate(resolve));
+
+    fakeProcess.emit('SIGTERM', 'SIGTERM');
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(finished, false);
+    assert.deepEqual(fakeProcess.killed, []);
+
+    fakeProcess.emit('SIGINT', 'SIGINT');
+    assert.deepEqual(fakeProcess.killed, [{ pid: 4242, signal: 'SIGINT' }]);
+    assert.equal(fakeProcess.listenerCount('SIGINT'), 0);
+    assert.equal(fakeProcess.listenerCount('SIGTERM'), 0);
+
+    finishRun();
+    await scheduler;
+    assert.equal(finished, true);
+  });
+
+  describe('with the run lock', () => {
+    let tempDir;
+    let savedPaths;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rss-feed-mail-'));
+      savedPaths = { ...config.paths };
+      config.paths.lockFilePath = path.join(tempDir, 'run.lock');
+    });
+
+    afterEach(async () => {
+      Object.assign(config.paths, savedPaths);
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('skips a run while another process holds run.lock and runs again once it is released', async () => {
+      // The lock carries the pid of this process, which is running, so it is not taken over as stale
+      const heldLock = await acquireRunLock();
+      const attempts = [];
+      const runs = [];
+
+      const scheduler = runScheduler(
+        async () => {
+          attempts.push(clock.now().toISOString());
+          await withRunLock(async () => {
+            runs.push(clock.now().toISOString());
+          });
+          if (attempts.length === 1) await releaseRunLock(heldLock);
+          if (attempts.length === 2) fakeProcess.emit('SIGTERM', 'SIGTERM');
+        },
+        { intervalMs: HOUR_MS, jitterMs: 0, clock, processRef: fakeProcess }
+      );
+
+      await runUntilStopped(scheduler, clock);
+
+      assert.deepEqual(attempts, ['2024-05-01T10:00:00.000Z', '2024-05-01T11:00:00.000Z']);
+      assert.deepEqual(runs, ['2024-05-01T11:00:00.000Z']);
+      await assert.rejects(fs.access(config.paths.lockFilePath), { code: 'ENOENT' });
+    });
+  });
+});
@@ -0,0 +1,367 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { google } from 'googleapis';
+import nodemailer from 'nodemailer';
+
+import { config } from './config.js';
+import { getGmailClient, resolveLabelIds } from './gmailLabels.js';
+import { logger } from './utils/logger.js';
+import { getMailboxAddress } from './utils/recipientUtils.js';
+import { getRateLimitDelay, isRateLimitError } from './utils/retryUtils.js';
+
+/**
+ * Supported delivery transports, selected with EMAIL_TRANSPORT
+ */
+export const TRANSPORT_TYPES = {
+  GMAIL: 'gmail',
+  GMAIL_API: 'gmail-api',
+  SMTP: 'smtp',
+  SENDMAIL: 'sendmail',
+  FILE: 'file',
+};
+
+/**
+ * Output formats of the file transport
+ */
+export const FILE_FORMATS = {
+  EML: 'eml',
+  MAILDIR: 'maildir',
+};
+
+/**
+ * Gmail API calls the gmail-api transport can add messages with, selected with GMAIL_API_METHOD
+ */
+export const GMAIL_API_METHODS = {
+  INSERT: 'insert',
+  IMPORT: 'import',
+};
+
+// Makes Maildir file names unique within one process
+let maildirCounter = 0;
+
+/**
+ * Create the configured email transport
+ * @param {Object} transportConfig - The transport configuration
+ * @returns {Promise<Object>} - Transport with type, supportsGmailLabels and sendMail(mailOptions)
+ */
+export async function createTransport(transportConfig = config.transport) {
+  switch (transportConfig.type) {
+    case TRANSPORT_TYPES.GMAIL:
+      return wrapTransport(TRANSPORT_TYPES.GMAIL, await createGmailTransport(), true);
+    case TRANSPORT_TYPES.GMAIL_API:
+      return createGmailApiTransport(transportConfig);
+    case TRANSPORT_TYPES.SMTP:
+      return wrapTransport(TRANSPORT_TYPES.SMTP, createSmtpTransport(transportConfig.smtp), false);
+    case TRANSPORT_TYPES.SENDMAIL:
+      return wrapTransport(TRANSPORT_TYPES.SENDMAIL, createSendmailTransport(transportConfig.sendmail), false);
+    case TRANSPORT_TYPES.FILE:
+      return createFileTransport(transportConfig.file);
+    default:
+      throw new Error(
+        `Unknown EMAIL_TRANSPORT "${transportConfig.type}". Use one of: ${Object.values(TRANSPORT_TYPES).join(', ')}`
+      );
+  }
+}
+
+/**
+ * Create a getter for one transport that every email of a run shares. The transport is created
+ * on the first call, so runs that send nothing never log in; a failed creation is tried again
+ * on the next call.
+ * @param {Object} transportConfig - The transport configuration
+ * @returns {Function} - Async function returning the shared transport
+ */
+export function createSharedTransport(transportConfig = config.transport) {
+  let transport = null;
+
+  return () => {
+    transport =
+      transport ||
+      createTransport(transportConfig).catch((error) => {
+        transport = null;
+        throw error;
+      });
+    return transport;
+  };
+}
+
+/**
+ * Wrap a nodemailer transport with the metadata the emailer needs
+ * @param {string} type - The transport type
+ * @param {Object} transport - The nodemailer transport
+ * @param {boolean} supportsGmailLabels - Whether the X-GM-LABELS header applies
+ * @returns {Object} - The wrapped transport
+ */
+function wrapTransport(type, transport, supportsGmailLabels) {
+  return {
+    type,
+    supportsGmailLabels,
+    sendMail: (mailOptions) => transport.sendMail(mailOptions),
+  };
+}
+
+/**
+ * Create a Gmail transport authenticated with OAuth2
+ * @returns {Promise<Object>} - The nodemailer transport
+ */
+async function createGmailTransport() {
+  // Configure Gmail OAuth2
+  const oAuth2Client = new google.auth.OAuth2(
+    config.gmail.clientId,
+    config.gmail.clientSecret,
+    'https://developers.google.com/oauthplayground'
+  );
+
+  oAuth2Client.setCredentials({
+    refresh_token: config.gmail.refreshToken,
+    access_token: config.gmail.accessToken,
+  });
+
+  // Get a fresh access token
+  const tokens = await oAuth2Client.refreshAccessToken();
+  const accessToken = tokens.credentials.access_token;
+
+  // Create email transport
+  return nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      type: 'OAuth2',
+      user: config.email.recipient,
+      clientId: config.gmail.clientId,
+      clientSecret: config.gmail.clientSecret,
+      refreshToken: config.gmail.refreshToken,
+      accessToken,
+    },
+  });
+}
+
+/**
+ * Create a transport that adds messages straight to the EMAIL_RECIPIENT mailbox with the Gmail API
+ * (messages.insert or messages.import), applying their labels by ID so no filters are needed.
+ * Calls the API rate-limits are retried with backoff. Copies for other addresses can only be
+ * mailed, so they go through the fallback transport, as do messages the API did not take unless
+ * GMAIL_API_FALLBACK is false. The fallback is SMTP when SMTP_HOST is set and Gmail SMTP otherwise.
+ * @param {Object} transportConfig - The transport configuration
+ * @returns {Promise<Object>} - The wrapped transport
+ */
+async function createGmailApiTransport(transportConfig) {
+  const apiConfig = transportConfig.gmailApi;
+  if (!Object.values(GMAIL_API_METHODS).includes(apiConfig.method)) {
+    throw new Error(
+      `Unknown GMAIL_API_METHOD "${apiConfig.method}". Use one of: ${Object.values(GMAIL_API_METHODS).join(', ')}`
+    );
+  }
+
+  let gmail;
+  try {
+    gmail = await getGmailClient();
+  } catch (error) {
+    if (!apiConfig.fallback) throw error;
+    logger.warn(`Could not connect to the Gmail API, using the fallback transport: ${error.message}`);
+    return createFallbackTransport(transportConfig);
+  }
+
+  const streamTransport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  const mailbox = config.email.recipient ? getMailboxAddress(config.email.recipient).toLowerCase() : null;
+
+  // Created on first use, so runs that only insert never log in to SMTP
+  let fallback = null;
+  const sendWithFallback = async (mailOptions) => {
+    fallback = fallback || (await createFallbackTransport(transportConfig));
+    return fallback.sendMail(mailOptions);
+  };
+
+  return {
+    type: TRANSPORT_TYPES.GMAIL_API,
+    supportsGmailLabels: true,
+    sendMail: async (mailOptions) => {
+      if (!isOnlyForMailbox(mailOptions, mailbox)) {
+        return sendWithFallback(mailOptions);
+      }
+
+      try {
+        return await withRateLimitRetry(() => addMessage(gmail, streamTransport, mailOptions, apiConfig), apiConfig);
+      } catch (error) {
+        if (!apiConfig.fallback) throw error;
+        logger.warn(`Gmail API delivery failed, using the fallback transport: ${error.message}`);
+        return sendWithFallback(mailOptions);
+      }
+    },
+  };
+}
+
+/**
+ * Create the transport the gmail-api transport falls back to
+ * @param {Object} transportConfig - The transport configuration
+ * @returns {Promise<Object>} - The wrapped transport
+ */
+async function createFallbackTransport(transportConfig) {
+  return transportConfig.smtp.host
+    ? wrapTransport(TRANSPORT_TYPES.SMTP, createSmtpTransport(transportConfig.smtp), false)
+    : wrapTransport(TRANSPORT_TYPES.GMAIL, await createGmailTransport(), true);
+}
+
+/**
+ * Check whether a message is delivered to the API's mailbox and nowhere else
+ * @param {Object} mailOptions - The mail options
+ * @param {string|null} mailbox - The lower-case address of the mailbox
+ * @returns {boolean} - True if every recipient of the message is the mailbox
+ */
+function isOnlyForMailbox(mailOptions, mailbox) {
+  const addresses = mailOptions.envelope?.to || [mailOptions.to, mailOptions.cc, mailOptions.bcc].flat();
+  const recipients = addresses.filter(Boolean).map((address) => getMailboxAddress(address).toLowerCase());
+  return recipients.length > 0 && recipients.every((address) => address === mailbox);
+}
+
+/**
+ * Build a message and add it to the mailbox with the Gmail API, unread and with its labels.
+ * Without GMAIL_API_SKIP_INBOX it is also put in the inbox. A reply is added to the thread
+ * given as `gmailThreadId`, as Gmail does not thread inserted messages by their headers.
+ * @param {Object} gmail - The Gmail API client
+ * @param {Object} streamTransport - Nodemailer transport that builds the raw message
+ * @param {Object} mailOptions - The mail options, with the labels as { name, kind, feedUrls } in `labels`
+ *   and the Gmail thread ID of a reply in `gmailThreadId`
+ * @param {Object} apiConfig - The gmail-api transport settings
+ * @returns {Promise<Object>} - The send mail result, with the Gmail message and thread IDs
+ */
+async function addMessage(gmail, streamTransport, mailOptions, apiConfig) {
+  // The labels are applied by ID, so the message does not need the header
+  const headers = { ...mailOptions.headers };
+  delete headers['X-GM-LABELS'];
+
+  const { message, ...info } = await streamTransport.sendMail({ ...mailOptions, headers });
+  const labelIds = [
+    ...(await resolveLabelIds(gmail, mailOptions.labels || [])),
+    'UNREAD',
+    ...(apiConfig.skipInbox ? [] : ['INBOX']),
+  ];
+
+  const response = await gmail.users.messages[apiConfig.method]({
+    userId: 'me',
+    internalDateSource: 'dateHeader',
+    requestBody: {
+      raw: message.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, ''),
+      labelIds,
+      ...(mailOptions.gmailThreadId ? { threadId: mailOptions.gmailThreadId } : {}),
+    },
+  });
+
+  return { ...info, gmailMessageId: response.data.id, threadId: response.data.threadId };
+}
+
+/**
+ * Run a Gmail API call, waiting and trying again while the API answers that the rate limit is reached
+ * @param {Function} operation - Async function making the call
+ * @param {Object} apiConfig - The gmail-api transport settings, with maxRetries and retryDelayMs
+ * @returns {Promise<any>} - Result of the call
+ */
+async function withRateLimitRetry(operation, { maxRetries, retryDelayMs }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt > maxRetries || !isRateLimitError(error)) throw error;
+
+      const delay = getRateLimitDelay(error, attempt, retryDelayMs);
+      logger.warn(`Gmail API rate limit reached, retrying in ${delay}ms (${attempt}/${maxRetries})`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Create a generic SMTP transport
+ * @param {Object} smtpConfig - Host, port, TLS and credential settings
+ * @returns {Object} - The nodemailer transport
+ */
+function createSmtpTransport(smtpConfig) {
+  if (!smtpConfig.host) {
+    throw new Error('SMTP_HOST is required when EMAIL_TRANSPORT=smtp');
+  }
+
+  return nodemailer.createTransport({
+    host: smtpConfig.host,
+    port: smtpConfig.port,
+    secure: smtpConfig.secure,
+    requireTLS: smtpConfig.requireTLS,
+    auth: smtpConfig.user ? { user: smtpConfig.user, pass: smtpConfig.pass } : undefined,
+    tls: { rejectUnauthorized: smtpConfig.rejectUnauthorized },
+  });
+}
+
+/**
+ * Create a transport that hands messages to the local sendmail binary
+ * @param {Object} sendmailConfig - Sendmail settings
+ * @returns {Object} - The nodemailer transport
+ */
+function createSendmailTransport(sendmailConfig) {
+  return nodemailer.createTransport({
+    sendmail: true,
+    newline: 'unix',
+    path: sendmailConfig.path,
+  });
+}
+
+/**
+ * Create a transport that writes messages to disk as .eml files or into a Maildir
+ * @param {Object} fileConfig - Output directory and format
+ * @returns {Promise<Object>} - The wrapped transport
+ */
+async function createFileTransport(fileConfig) {
+  if (!Object.values(FILE_FORMATS).includes(fileConfig.format)) {
+    throw new Error(
+      `Unknown MAIL_OUTPUT_FORMAT "${fileConfig.format}". Use one of: ${Object.values(FILE_FORMATS).join(', ')}`
+    );
+  }
+
+  const streamTransport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    type: TRANSPORT_TYPES.FILE,
+    supportsGmailLabels: false,
+    sendMail: async (mailOptions) => {
+      const info = await streamTransport.sendMail(mailOptions);
+      const filePath =
+        fileConfig.format === FILE_FORMATS.MAILDIR
+          ? await writeMaildirMessage(fileConfig.dir, info.message)
+          : await writeEmlMessage(fileConfig.dir, info.messageId, info.message);
+
+      return { ...info, filePath };
+    },
+  };
+}
+
+/**
+ * Write a message as an .eml file
+ * @param {string} dir - The output directory
+ * @param {string} messageId - The message ID, used in the file name
+ * @param {Buffer} message - The raw message
+ * @returns {Promise<string>} - Path of the written file
+ */
+async function writeEmlMessage(dir, messageId, message) {
+  await fs.mkdir(dir, { recursive: true });
+
+  const safeId = messageId.replace(/[<>]/g, '').replace(/[^\w.@-]/g, '_');
+  const filePath = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeId}.eml`);
+  await fs.writeFile(filePath, message);
+  return filePath;
+}
+
+/**
+ * Deliver a message into a Maildir, writing to tmp/ first and moving it to new/
+ * @param {string} dir - The Maildir root
+ * @param {Buffer} message - The raw message
+ * @returns {Promise<string>} - Path of the delivered file
+ */
+async function writeMaildirMessage(dir, message) {
+  await Promise.all(['tmp', 'new', 'cur'].map((subdir) => fs.mkdir(path.join(dir, subdir), { recursive: true })));
+
+  const uniqueName = `${Date.now()}.P${process.pid}Q${++maildirCounter}.${os.hostname().replace(/[/:]/g, '_')}`;
+  const tmpPath = path.join(dir, 'tmp', uniqueName);
+  const newPath = path.join(dir, 'new', uniqueName);
+
+  await fs.writeFile(tmpPath, message);
+  await fs.rename(tmpPath, newPath);
+  return newPath;
+}
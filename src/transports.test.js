@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import { config } from './config.js';
+import { sendEmail } from './emailer.js';
+import { createSharedTransport, GMAIL_API_METHODS, TRANSPORT_TYPES } from './transports.js';
+import { configureLogger } from './utils/logger.js';
+import { getDigestThreadKey, getThreadHeaders, recordThreadMessage } from './utils/threadUtils.js';
+
+configureLogger({ level: 'error' });
+
+const item = {
+  title: 'Post',
+  link: 'https://example.com/post',
+  content: '<p>Hello</p>',
+  feedTitle: 'Example Feed',
+  feedUrl: 'https://example.com/feed.xml',
+};
+
+/**
+ * Create a transport configuration for the gmail-api transport without a fallback
+ * @param {Object} gmailApi - Settings that differ from the defaults
+ * @returns {Object} - The transport configuration
+ */
+function createGmailApiConfig(gmailApi = {}) {
+  return {
+    type: TRANSPORT_TYPES.GMAIL_API,
+    gmailApi: {
+      method: GMAIL_API_METHODS.INSERT,
+      skipInbox: false,
+      fallback: false,
+      maxRetries: 0,
+      retryDelayMs: 0,
+      ...gmailApi,
+    },
+    smtp: {},
+  };
+}
+
+/**
+ * Get the names of the labels of the messages in the stand-in's mailbox
+ * @param {string} stubFile - Path of the mailbox file
+ * @returns {Promise<Array<Array<string>>>} - Label names per message
+ */
+async function getMessageLabelNames(stubFile) {
+  const mailbox = JSON.parse(await fs.readFile(stubFile, 'utf8'));
+  const names = new Map(mailbox.labels.map((label) => [label.id, label.name]));
+  return mailbox.messages.map((message) => message.labelIds.map((id) => names.get(id)));
+}
+
+describe('gmail-api transport', () => {
+  let tempDir;
+  let savedConfig;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rss-feed-mail-'));
+    savedConfig = { email: { ...config.email }, gmail: { ...config.gmail }, paths: { ...config.paths } };
+    config.email.recipient = 'reader@example.com';
+    config.email.from = '"RSS Feed Reader" <feeds@example.com>';
+    config.gmail.stubFile = path.join(tempDir, 'mailbox.json');
+    config.paths.labelSyncFilePath = path.join(tempDir, 'label-sync.json');
+  });
+
+  afterEach(async () => {
+    Object.assign(config.email, savedConfig.email);
+    Object.assign(config.gmail, savedConfig.gmail);
+    Object.assign(config.paths, savedConfig.paths);
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('applies the root, group and feed labels to the email of a single feed', async () => {
+    const getTransport = createSharedTransport(createGmailApiConfig());
+    await sendEmail([item], '[Tech]: Example Feed', 'Tech/Web', {}, {}, null, 'Example Feed', {}, getTransport);
+
+    assert.deepEqual(await getMessageLabelNames(config.gmail.stubFile), [
+      ['RSS Feeds', 'RSS Feeds/Tech', 'RSS Feeds/Tech/Web', 'RSS Feeds/Tech/Web/Example Feed', 'UNREAD', 'INBOX'],
+    ]);
+  });
+
+  it('applies only the group labels to a digest and skips the inbox when asked', async () => {
+    const getTransport = createSharedTransport(createGmailApiConfig({ skipInbox: true }));
+    await sendEmail([item, item], '[Tech] Digest', 'Tech', {}, {}, null, null, {}, getTransport);
+
+    assert.deepEqual(await getMessageLabelNames(config.gmail.stubFile), [['RSS Feeds', 'RSS Feeds/Tech', 'UNREAD']]);
+  });
+
+  it('records the labels it creates in the label sync state', async () => {
+    const labels = [
+      ...['INBOX', 'UNREAD'].map((name) => ({ id: name, name, type: 'system' })),
+      { id: 'Label_root', name: 'RSS Feeds', type: 'user' },
+    ];
+    await fs.writeFile(config.gmail.stubFile, JSON.stringify({ labels, nextId: 1 }), 'utf8');
+
+    const getTransport = createSharedTransport(createGmailApiConfig());
+    await sendEmail([item], '[Tech]: Example Feed', 'Tech', {}, {}, null, 'Example Feed', {}, getTransport);
+
+    const state = JSON.parse(await fs.readFile(config.paths.labelSyncFilePath, 'utf8'));
+    assert.deepEqual(state.labels, {
+      Label_1: { name: 'RSS Feeds/Tech', kind: 'group', feedUrls: [item.feedUrl] },
+      Label_2: { name: 'RSS Feeds/Tech/Example Feed', kind: 'feed', feedUrls: [item.feedUrl] },
+    });
+  });
+
+  it('adds a threaded email to the Gmail thread of the earlier ones', async () => {
+    const getTransport = createSharedTransport(createGmailApiConfig());
+    const threads = {};
+
+    for (const link of ['https://example.com/1', 'https://example.com/2']) {
+      const email = { threadKey: getDigestThreadKey('Tech'), items: [{ ...item, link }] };
+      const threading = getThreadHeaders(threads, email, config.email.from);
+      const result = await sendEmail(email.items, '[Tech] Digest', 'Tech', {}, threading, null, null, {}, getTransport);
+      recordThreadMessage(threads, email.threadKey, threading, result.threadId);
+    }
+
+    const mailbox = JSON.parse(await fs.readFile(config.gmail.stubFile, 'utf8'));
+    const [first, second] = mailbox.messages;
+    assert.equal(second.threadId, first.id);
+    assert.equal(threads[getDigestThreadKey('Tech')].gmailThreadId, first.id);
+  });
+});
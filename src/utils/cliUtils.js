@@ -16,6 +16,21 @@ export function getArgValue(args, flag, defaultValue) {
   return defaultValue;
 }
 
+/**
+ * Get a string value from command line arguments
+ * @param {string[]} args - Command line arguments
+ * @param {string} flag - Flag to look for (like '--output-dir')
+ * @param {string|null} defaultValue - Default value if flag or value not found
+ * @returns {string|null} - The value following the flag, unless it is another flag
+ */
+export function getArgString(args, flag, defaultValue = null) {
+  const index = args.indexOf(flag);
+  if (index !== -1 && index < args.length - 1 && !args[index + 1].startsWith('--')) {
+    return args[index + 1];
+  }
+  return defaultValue;
+}
+
 /**
  * Check if a flag is present in command line arguments
  * @param {string[]} args - Command line arguments
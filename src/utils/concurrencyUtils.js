@@ -0,0 +1,117 @@
+/**
+ * Create a limiter for outgoing HTTP requests.
+ * Tasks run with at most `concurrency` in flight overall, at most `perHostConcurrency`
+ * per host, and with at least `perHostDelayMs` between the starts of two requests to the same host.
+ * @param {Object} options - Limiter options
+ * @param {number} options.concurrency - Maximum number of tasks running at once
+ * @param {number} options.perHostConcurrency - Maximum number of tasks running at once per host
+ * @param {number} options.perHostDelayMs - Minimum delay between task starts for the same host
+ * @returns {Object} - Limiter with a schedule(url, task) function
+ */
+export function createRequestLimiter({ concurrency, perHostConcurrency, perHostDelayMs }) {
+  const queue = [];
+  const hosts = new Map();
+  let active = 0;
+  let timer = null;
+
+  /**
+   * Get the bookkeeping entry for a host
+   * @param {string} host - The host name
+   * @returns {Object} - Active task count and last start time for the host
+   */
+  function getHostState(host) {
+    if (!hosts.has(host)) {
+      hosts.set(host, { active: 0, lastStart: 0 });
+    }
+    return hosts.get(host);
+  }
+
+  /**
+   * Start every queued task that the limits allow, in queue order per host
+   * @returns {void}
+   */
+  function pump() {
+    const now = Date.now();
+    let nextWakeUp = Infinity;
+
+    for (let i = 0; i < queue.length && active < concurrency; ) {
+      const job = queue[i];
+      const hostState = getHostState(job.host);
+      const readyAt = hostState.lastStart + perHostDelayMs;
+
+      if (hostState.active >= perHostConcurrency) {
+        i++;
+        continue;
+      }
+
+      if (readyAt > now) {
+        nextWakeUp = Math.min(nextWakeUp, readyAt);
+        i++;
+        continue;
+      }
+
+      queue.splice(i, 1);
+      run(job, hostState, now);
+    }
+
+    // Come back when the earliest delayed host becomes available
+    clearTimeout(timer);
+    timer = null;
+    if (nextWakeUp !== Infinity) {
+      timer = setTimeout(() => {
+        timer = null;
+        pump();
+      }, nextWakeUp - now);
+    }
+  }
+
+  /**
+   * Run a job and release its slots when it settles
+   * @param {Object} job - The queued job
+   * @param {Object} hostState - Bookkeeping entry for the job's host
+   * @param {number} now - Start time of the job
+   * @returns {void}
+   */
+  function run(job, hostState, now) {
+    active++;
+    hostState.active++;
+    hostState.lastStart = now;
+
+    Promise.resolve()
+      .then(job.task)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        active--;
+        hostState.active--;
+        pump();
+      });
+  }
+
+  return {
+    /**
+     * Queue a task that makes a request to a URL
+     * @param {string} url - The URL the task requests, used to find its host
+     * @param {Function} task - Async function to run
+     * @returns {Promise<any>} - Resolves or rejects with the task's result
+     */
+    schedule(url, task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ host: getHost(url), task, resolve, reject });
+        pump();
+      });
+    },
+  };
+}
+
+/**
+ * Get the host a URL points to, for per-host limits
+ * @param {string} url - The URL
+ * @returns {string} - Lowercased host name, or the URL itself if it cannot be parsed
+ */
+function getHost(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return url;
+  }
+}
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createRequestLimiter } from './concurrencyUtils.js';
+
+/**
+ * Schedule tasks on a limiter and record how many ran at once, overall and per host
+ * @param {Object} limiter - The request limiter
+ * @param {Array<string>} urls - One URL per task
+ * @param {number} durationMs - How long each task runs
+ * @returns {Promise<Object>} - { results, starts, maxActive, maxActivePerHost }
+ */
+async function runTasks(limiter, urls, durationMs) {
+  const activePerHost = new Map();
+  const maxActivePerHost = new Map();
+  const starts = [];
+  let active = 0;
+  let maxActive = 0;
+
+  const results = await Promise.all(
+    urls.map((url, index) =>
+      limiter.schedule(url, async () => {
+        const host = new URL(url).hostname;
+        starts.push({ index, host, at: Date.now() });
+        active++;
+        activePerHost.set(host, (activePerHost.get(host) || 0) + 1);
+        maxActive = Math.max(maxActive, active);
+        maxActivePerHost.set(host, Math.max(maxActivePerHost.get(host) || 0, activePerHost.get(host)));
+
+        await new Promise((resolve) => setTimeout(resolve, durationMs));
+
+        active--;
+        activePerHost.set(host, activePerHost.get(host) - 1);
+        return index;
+      })
+    )
+  );
+
+  return { results, starts, maxActive, maxActivePerHost };
+}
+
+describe('createRequestLimiter', () => {
+  it('caps the tasks running at once, overall and per host', async () => {
+    const limiter = createRequestLimiter({ concurrency: 3, perHostConcurrency: 2, perHostDelayMs: 0 });
+    const urls = [
+      'https://a.example/1',
+      'https://a.example/2',
+      'https://a.example/3',
+      'https://b.example/1',
+      'https://B.example/2',
+      'https://c.example/1',
+    ];
+
+    const { results, maxActive, maxActivePerHost } = await runTasks(limiter, urls, 10);
+
+    assert.deepEqual(results, [0, 1, 2, 3, 4, 5]);
+    assert.equal(maxActive, 3);
+    assert.equal(maxActivePerHost.get('a.example'), 2);
+    assert.equal(maxActivePerHost.get('b.example'), 2);
+  });
+
+  it('waits between the starts of two requests to the same host but not to different hosts', async () => {
+    const limiter = createRequestLimiter({ concurrency: 4, perHostConcurrency: 4, perHostDelayMs: 50 });
+    const urls = ['https://a.example/1', 'https://a.example/2', 'https://b.example/1'];
+
+    const { starts } = await runTasks(limiter, urls, 0);
+    const startOf = (index) => starts.find((start) => start.index === index).at;
+
+    // Timers may fire a millisecond early
+    assert.ok(startOf(1) - startOf(0) >= 49, `second request to a.example started after ${startOf(1) - startOf(0)}ms`);
+    assert.ok(startOf(2) - startOf(0) < 40, 'b.example waited for a.example');
+    assert.deepEqual(
+      starts.map((start) => start.index),
+      [0, 2, 1]
+    );
+  });
+
+  it('passes on task errors without blocking the queue', async () => {
+    const limiter = createRequestLimiter({ concurrency: 1, perHostConcurrency: 1, perHostDelayMs: 0 });
+
+    const failing = limiter.schedule('https://a.example/1', async () => {
+      throw new Error('HTTP 500');
+    });
+    const next = limiter.schedule('https://a.example/2', () => 'ok');
+
+    await assert.rejects(failing, new Error('HTTP 500'));
+    assert.equal(await next, 'ok');
+  });
+});
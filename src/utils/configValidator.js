@@ -0,0 +1,470 @@
+import * as cheerio from 'cheerio';
+
+import { FULL_CONTENT_MODES } from './contentUtils.js';
+import { DELIVERY_MODES } from './feedUtils.js';
+import { DEFAULT_FILTER_FLAGS, FILTER_ACTIONS, FILTER_FIELDS } from './filterUtils.js';
+import { getMailboxAddress } from './recipientUtils.js';
+import { DELIVERY_SCHEDULES, WEEKDAYS } from './scheduleUtils.js';
+import { renderSubject } from './templateUtils.js';
+
+// Empty document used to check that CSS selectors parse
+const selectorProbe = cheerio.load('');
+
+/**
+ * Schema for a list of include/exclude filter rules
+ */
+const FILTERS_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['action'],
+    requiredOneOf: ['keywords', 'pattern'],
+    // The pattern is checked together with its flags, as filterUtils compiles them
+    format: 'regexRule',
+    properties: {
+      action: { type: 'string', enum: Object.values(FILTER_ACTIONS) },
+      keywords: { type: 'array', items: { type: 'string' } },
+      pattern: { type: 'string' },
+      flags: { type: 'string' },
+      fields: { type: 'array', items: { type: 'string', enum: FILTER_FIELDS } },
+    },
+  },
+};
+
+/**
+ * Schema for the full-article fetch and extraction settings
+ */
+const FULL_CONTENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    fetch: { type: 'string', enum: Object.values(FULL_CONTENT_MODES) },
+    minWords: { type: 'number', minimum: 1 },
+    selectors: { type: 'array', items: { type: 'string', format: 'selector' } },
+    removeSelectors: { type: 'array', items: { type: 'string', format: 'selector' } },
+  },
+};
+
+/**
+ * Schema for the recipients of a group's or feed's emails
+ */
+const RECIPIENTS_SCHEMA = {
+  type: 'object',
+  requiredOneOf: ['to', 'cc', 'bcc'],
+  properties: {
+    to: { type: 'array', items: { type: 'string', format: 'email' } },
+    cc: { type: 'array', items: { type: 'string', format: 'email' } },
+    bcc: { type: 'array', items: { type: 'string', format: 'email' } },
+  },
+};
+
+/**
+ * Schema for a delivery schedule: "daily" or { every: "daily", at: "08:00", ... }
+ */
+const SCHEDULE_SCHEMA = {
+  oneOf: [
+    { type: 'string', enum: Object.values(DELIVERY_SCHEDULES) },
+    {
+      type: 'object',
+      required: ['every'],
+      properties: {
+        every: { type: 'string', enum: Object.values(DELIVERY_SCHEDULES) },
+        at: { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/, patternMessage: 'must be a time such as "08:00"' },
+        day: { type: 'string', enum: WEEKDAYS },
+        timeZone: { type: 'string', format: 'timeZone' },
+      },
+    },
+  ],
+};
+
+/**
+ * Template, locale and time zone settings shared by groups and feeds
+ */
+const EMAIL_FORMAT_PROPERTIES = {
+  template: { type: 'string' },
+  subjectTemplate: { type: 'string', format: 'template' },
+  locale: { type: 'string', format: 'locale' },
+  timeZone: { type: 'string', format: 'timeZone' },
+};
+
+/**
+ * Schema for a single feed entry
+ */
+const FEED_SCHEMA = {
+  type: 'object',
+  required: ['url'],
+  properties: {
+    title: { type: 'string' },
+    url: { type: 'string', format: 'url' },
+    filters: FILTERS_SCHEMA,
+    embedImages: { type: 'boolean' },
+    thread: { type: 'boolean' },
+    fullContent: FULL_CONTENT_SCHEMA,
+    recipients: RECIPIENTS_SCHEMA,
+    ...EMAIL_FORMAT_PROPERTIES,
+  },
+};
+
+/**
+ * Schema for a group; `groups` refers back to this schema for nesting
+ */
+const GROUP_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: {
+      type: 'string',
+      // Group names become Gmail label segments and [bracketed] subject prefixes
+      pattern: /^[^/[\]]+$/,
+      patternMessage: 'must not be empty or contain "/", "[" or "]"',
+    },
+    emailSubject: { type: 'string' },
+    delivery: { type: 'string', enum: Object.values(DELIVERY_MODES) },
+    schedule: SCHEDULE_SCHEMA,
+    filters: FILTERS_SCHEMA,
+    embedImages: { type: 'boolean' },
+    thread: { type: 'boolean' },
+    fullContent: FULL_CONTENT_SCHEMA,
+    recipients: RECIPIENTS_SCHEMA,
+    ...EMAIL_FORMAT_PROPERTIES,
+    feeds: { type: 'array', items: FEED_SCHEMA },
+    groups: { type: 'array' },
+  },
+};
+GROUP_SCHEMA.properties.groups.items = GROUP_SCHEMA;
+
+/**
+ * Schema for the whole feed-config.json file
+ */
+export const FEED_CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['groups'],
+  properties: {
+    groups: { type: 'array', items: GROUP_SCHEMA },
+  },
+};
+
+/**
+ * Validate a feed configuration against the schema and cross-feed rules
+ * @param {Object} feedConfig - The feed configuration
+ * @returns {Array<Object>} - List of errors, each with a path and message; empty if valid
+ */
+export function validateFeedConfig(feedConfig) {
+  const errors = [];
+
+  validateValue(feedConfig, FEED_CONFIG_SCHEMA, '', errors);
+
+  // Relations between groups and feeds are checked wherever the structure allows it
+  findDuplicateFeeds(feedConfig?.groups, 'groups', new Map(), errors);
+  findDuplicateGroupNames(feedConfig?.groups, 'groups', errors);
+
+  return errors;
+}
+
+/**
+ * Validate a feed configuration and throw if it has errors
+ * @param {Object} feedConfig - The feed configuration
+ * @returns {void}
+ */
+export function assertValidFeedConfig(feedConfig) {
+  const errors = validateFeedConfig(feedConfig);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid feed configuration:\n${formatValidationErrors(errors)}`);
+  }
+}
+
+/**
+ * Format validation errors for display, one per line
+ * @param {Array<Object>} errors - The validation errors
+ * @returns {string} - Formatted error list
+ */
+export function formatValidationErrors(errors) {
+  return errors.map((error) => `  - ${error.path || '(root)'}: ${error.message}`).join('\n');
+}
+
+/**
+ * Validate a value against a schema node, collecting errors. A node with `oneOf`
+ * validates the value against the option of the same type.
+ * @param {any} value - The value to validate
+ * @param {Object} schema - The schema node
+ * @param {string} path - Path of the value in the config
+ * @param {Array<Object>} errors - Collected errors
+ * @returns {void}
+ */
+function validateValue(value, schema, path, errors) {
+  const actualType = getTypeName(value);
+
+  if (schema.oneOf) {
+    const option = schema.oneOf.find((candidate) => candidate.type === actualType);
+    if (!option) {
+      const types = schema.oneOf.map((candidate) => candidate.type).join(' or ');
+      errors.push({ path, message: `expected ${types} but got ${actualType}` });
+      return;
+    }
+    validateValue(value, option, path, errors);
+    return;
+  }
+
+  if (actualType !== schema.type) {
+    errors.push({ path, message: `expected ${schema.type} but got ${actualType}` });
+    return;
+  }
+
+  if (schema.type === 'object') {
+    validateObject(value, schema, path, errors);
+  } else if (schema.type === 'array') {
+    value.forEach((entry, index) => validateValue(entry, schema.items, `${path}[${index}]`, errors));
+  } else if (schema.type === 'string') {
+    validateString(value, schema, path, errors);
+  } else if (schema.type === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `must be at least ${schema.minimum}` });
+  }
+}
+
+/**
+ * Validate the properties of an object against a schema node
+ * @param {Object} value - The object to validate
+ * @param {Object} schema - The object schema node
+ * @param {string} path - Path of the object in the config
+ * @param {Array<Object>} errors - Collected errors
+ * @returns {void}
+ */
+function validateObject(value, schema, path, errors) {
+  const knownProperties = Object.keys(schema.properties);
+
+  for (const property of schema.required || []) {
+    if (value[property] === undefined) {
+      errors.push({ path: joinPath(path, property), message: 'is required' });
+    }
+  }
+
+  if (schema.requiredOneOf && !schema.requiredOneOf.some((property) => value[property] !== undefined)) {
+    errors.push({ path, message: `must have at least one of ${schema.requiredOneOf.join(', ')}` });
+  }
+
+  for (const [property, propertyValue] of Object.entries(value)) {
+    const propertyPath = joinPath(path, property);
+
+    if (!knownProperties.includes(property)) {
+      const suggestion = suggestProperty(property, knownProperties);
+      errors.push({
+        path: propertyPath,
+        message: `unknown property${suggestion ? `, did you mean "${suggestion}"?` : ''}`,
+      });
+      continue;
+    }
+
+    validateValue(propertyValue, schema.properties[property], propertyPath, errors);
+  }
+
+  if (schema.format === 'regexRule' && typeof value.pattern === 'string') {
+    try {
+      new RegExp(value.pattern, typeof value.flags === 'string' ? value.flags : DEFAULT_FILTER_FLAGS);
+    } catch (error) {
+      errors.push({ path, message: `is not a valid regular expression: ${error.message}` });
+    }
+  }
+}
+
+/**
+ * Validate a string against the format, pattern and enum of a schema node
+ * @param {string} value - The string to validate
+ * @param {Object} schema - The string schema node
+ * @param {string} path - Path of the string in the config
+ * @param {Array<Object>} errors - Collected errors
+ * @returns {void}
+ */
+function validateString(value, schema, path, errors) {
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map((option) => `"${option}"`).join(', ')}` });
+  }
+
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push({ path, message: schema.patternMessage || `must match ${schema.pattern}` });
+  }
+
+  if (schema.format === 'url' && !isHttpUrl(value)) {
+    errors.push({ path, message: `must be an http(s) URL, got "${value}"` });
+  }
+
+  if (schema.format === 'email' && !/^[^\s@<>]+@[^\s@<>]+$/.test(getMailboxAddress(value))) {
+    errors.push({ path, message: `must be an email address, got "${value}"` });
+  }
+
+  if (schema.format === 'selector') {
+    try {
+      selectorProbe(value);
+    } catch (error) {
+      errors.push({ path, message: `is not a valid CSS selector: ${error.message}` });
+    }
+  }
+
+  if (schema.format === 'template') {
+    try {
+      renderSubject(value, {});
+    } catch (error) {
+      errors.push({ path, message: `is not a valid template: ${error.message}` });
+    }
+  }
+
+  if (schema.format === 'locale') {
+    try {
+      Intl.getCanonicalLocales(value);
+    } catch (error) {
+      errors.push({ path, message: `is not a valid locale, such as "en-US"` });
+    }
+  }
+
+  if (schema.format === 'timeZone') {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+    } catch (error) {
+      errors.push({ path, message: `is not a valid IANA time zone, such as "Europe/Berlin"` });
+    }
+  }
+}
+
+/**
+ * Report feed URLs that appear more than once anywhere in the config
+ * @param {Array} groups - The groups to search
+ * @param {string} path - Path of the groups array in the config
+ * @param {Map} firstSeen - Paths where each feed URL was first used
+ * @param {Array<Object>} errors - Collected errors
+ * @returns {void}
+ */
+function findDuplicateFeeds(groups, path, firstSeen, errors) {
+  forEachGroup(groups, path, (group, groupPath) => {
+    const feeds = Array.isArray(group.feeds) ? group.feeds : [];
+
+    feeds.forEach((feed, feedIndex) => {
+      if (typeof feed?.url !== 'string') return;
+
+      const feedPath = `${groupPath}.feeds[${feedIndex}].url`;
+      if (firstSeen.has(feed.url)) {
+        errors.push({ path: feedPath, message: `duplicate feed URL, already used at ${firstSeen.get(feed.url)}` });
+      } else {
+        firstSeen.set(feed.url, feedPath);
+      }
+    });
+
+    findDuplicateFeeds(group.groups, `${groupPath}.groups`, firstSeen, errors);
+  });
+}
+
+/**
+ * Report sibling groups with the same name, which would share a Gmail label
+ * @param {Array} groups - The sibling groups
+ * @param {string} path - Path of the groups array in the config
+ * @param {Array<Object>} errors - Collected errors
+ * @returns {void}
+ */
+function findDuplicateGroupNames(groups, path, errors) {
+  const names = new Map();
+
+  forEachGroup(groups, path, (group, groupPath) => {
+    if (names.has(group.name)) {
+      errors.push({
+        path: `${groupPath}.name`,
+        message: `duplicate group name, already used at ${names.get(group.name)}`,
+      });
+    } else {
+      names.set(group.name, `${groupPath}.name`);
+    }
+
+    findDuplicateGroupNames(group.groups, `${groupPath}.groups`, errors);
+  });
+}
+
+/**
+ * Call a function for each well-formed group in a groups array, ignoring malformed entries
+ * @param {any} groups - The groups array
+ * @param {string} path - Path of the groups array in the config
+ * @param {Function} callback - Called with each group and its path
+ * @returns {void}
+ */
+function forEachGroup(groups, path, callback) {
+  if (!Array.isArray(groups)) return;
+
+  groups.forEach((group, index) => {
+    if (getTypeName(group) === 'object') {
+      callback(group, `${path}[${index}]`);
+    }
+  });
+}
+
+/**
+ * Get the schema type name of a value
+ * @param {any} value - The value
+ * @returns {string} - One of object, array, string, number, boolean, null or undefined
+ */
+function getTypeName(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Append a property name to a config path
+ * @param {string} path - The parent path
+ * @param {string} property - The property name
+ * @returns {string} - The joined path
+ */
+function joinPath(path, property) {
+  return path ? `${path}.${property}` : property;
+}
+
+/**
+ * Check whether a string is an absolute http(s) URL
+ * @param {string} value - The string to check
+ * @returns {boolean} - True if the string is an http(s) URL
+ */
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Suggest the known property closest to a misspelled one
+ * @param {string} property - The unknown property
+ * @param {Array<string>} knownProperties - The allowed properties
+ * @returns {string|null} - The closest known property, or null if none is close
+ */
+function suggestProperty(property, knownProperties) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of knownProperties) {
+    const distance = getEditDistance(property.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= 2 ? best : null;
+}
+
+/**
+ * Compute the Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single-character edits between the strings
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
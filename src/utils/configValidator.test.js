@@ -0,0 +1,133 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { assertValidFeedConfig, formatValidationErrors, validateFeedConfig } from './configValidator.js';
+
+/**
+ * Validate a config with one group holding the given group settings and feeds
+ * @param {Object} group - Group settings
+ * @returns {Array<Object>} - The validation errors
+ */
+function validateGroup(group) {
+  return validateFeedConfig({ groups: [{ name: 'Tech', feeds: [], ...group }] });
+}
+
+describe('validateFeedConfig', () => {
+  it('accepts a valid config', () => {
+    const errors = validateFeedConfig({
+      groups: [
+        {
+          name: 'Tech',
+          delivery: 'digest',
+          schedule: { every: 'weekly', day: 'friday', at: '18:00', timeZone: 'Europe/Berlin' },
+          filters: [{ action: 'exclude', keywords: ['sponsored'], fields: ['title'] }],
+          recipients: { to: ['Reader <reader@example.com>'] },
+          feeds: [{ url: 'https://example.com/feed.xml', title: 'Example', locale: 'de-DE' }],
+          groups: [{ name: 'Web', feeds: [{ url: 'https://example.com/web.xml' }] }],
+        },
+      ],
+    });
+
+    assert.deepEqual(errors, []);
+  });
+
+  it('reports missing and wrongly typed values with their path', () => {
+    assert.deepEqual(validateFeedConfig({}), [{ path: 'groups', message: 'is required' }]);
+    assert.deepEqual(validateFeedConfig(null), [{ path: '', message: 'expected object but got null' }]);
+    assert.deepEqual(validateGroup({ feeds: [{ title: 'No URL' }], embedImages: 'yes' }), [
+      { path: 'groups[0].feeds[0].url', message: 'is required' },
+      { path: 'groups[0].embedImages', message: 'expected boolean but got string' },
+    ]);
+  });
+
+  it('suggests the closest property for a misspelled one', () => {
+    assert.deepEqual(validateGroup({ feedz: [] }), [
+      { path: 'groups[0].feedz', message: 'unknown property, did you mean "feeds"?' },
+    ]);
+    assert.deepEqual(validateGroup({ color: 'red' }), [{ path: 'groups[0].color', message: 'unknown property' }]);
+  });
+
+  it('checks enums, patterns and formats', () => {
+    const errors = validateGroup({
+      name: 'Tech/Web',
+      delivery: 'weekly',
+      schedule: { every: 'daily', at: '25:00' },
+      timeZone: 'Mars/Olympus',
+      filters: [{ action: 'include', pattern: '(' }],
+      recipients: { to: ['not an address'] },
+      feeds: [{ url: 'ftp://example.com/feed.xml' }],
+    });
+
+    assert.deepEqual(
+      errors.map((error) => error.path),
+      [
+        'groups[0].name',
+        'groups[0].feeds[0].url',
+        'groups[0].delivery',
+        'groups[0].schedule.at',
+        'groups[0].timeZone',
+        'groups[0].filters[0]',
+        'groups[0].recipients.to[0]',
+      ]
+    );
+    assert.equal(errors[2].message, 'must be one of "individual", "digest"');
+    assert.equal(errors[3].message, 'must be a time such as "08:00"');
+  });
+
+  it('accepts a schedule as a string or an object, but nothing else', () => {
+    assert.deepEqual(validateGroup({ schedule: 'daily' }), []);
+    assert.deepEqual(validateGroup({ schedule: 8 }), [
+      { path: 'groups[0].schedule', message: 'expected string or object but got number' },
+    ]);
+  });
+
+  it('checks a filter pattern together with its flags', () => {
+    assert.deepEqual(validateGroup({ filters: [{ action: 'include', pattern: 'rust', flags: 'gu' }] }), []);
+
+    for (const flags of ['gq', 'ii']) {
+      const errors = validateGroup({ filters: [{ action: 'include', pattern: 'rust', flags }] });
+      assert.deepEqual(
+        errors.map((error) => error.path),
+        ['groups[0].filters[0]']
+      );
+      assert.match(errors[0].message, /^is not a valid regular expression: .*flags/);
+    }
+  });
+
+  it('requires a filter rule to have keywords or a pattern', () => {
+    assert.deepEqual(validateGroup({ filters: [{ action: 'exclude' }] }), [
+      { path: 'groups[0].filters[0]', message: 'must have at least one of keywords, pattern' },
+    ]);
+  });
+
+  it('reports feed URLs used twice and sibling groups with the same name', () => {
+    const feed = { url: 'https://example.com/feed.xml' };
+    const errors = validateFeedConfig({
+      groups: [
+        { name: 'Tech', feeds: [feed] },
+        { name: 'Tech', groups: [{ name: 'Tech', feeds: [feed] }] },
+      ],
+    });
+
+    assert.deepEqual(errors, [
+      {
+        path: 'groups[1].groups[0].feeds[0].url',
+        message: 'duplicate feed URL, already used at groups[0].feeds[0].url',
+      },
+      { path: 'groups[1].name', message: 'duplicate group name, already used at groups[0].name' },
+    ]);
+  });
+});
+
+describe('assertValidFeedConfig', () => {
+  it('throws with every error, one per line', () => {
+    assert.throws(
+      () => assertValidFeedConfig({ groups: [{ feeds: [] }], extra: true }),
+      new Error('Invalid feed configuration:\n  - groups[0].name: is required\n  - extra: unknown property')
+    );
+  });
+
+  it('formats errors at the root', () => {
+    assert.equal(formatValidationErrors([{ path: '', message: 'expected object' }]), '  - (root): expected object');
+  });
+});
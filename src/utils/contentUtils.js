@@ -0,0 +1,264 @@
+import * as cheerio from 'cheerio';
+
+/**
+ * When the full article is fetched for an item
+ */
+export const FULL_CONTENT_MODES = {
+  ALWAYS: 'always',
+  NEVER: 'never',
+  SHORT: 'short',
+};
+
+// Items with fewer words than this count as short unless a feed sets minWords
+const DEFAULT_MIN_WORDS = 30;
+
+// Page parts that are never article content
+const DEFAULT_REMOVE_SELECTORS = [
+  'script',
+  'style',
+  'noscript',
+  'iframe',
+  'form',
+  'nav',
+  'header',
+  'footer',
+  'aside',
+  '[role="navigation"]',
+  '[role="complementary"]',
+  '[aria-hidden="true"]',
+  '#comments',
+  '.comments',
+];
+
+// Class and id hints used by the readability scoring
+const POSITIVE_HINTS = /article|body|content|entry|main|page|post|story|text|blog/i;
+const NEGATIVE_HINTS =
+  /banner|comment|cookie|consent|footer|footnote|masthead|menu|meta|modal|nav|newsletter|popup|promo|related|share|sidebar|social|sponsor|subscribe|widget|^ad-|-ad$/i;
+
+// Attributes holding URLs that are resolved against the page URL
+const URL_ATTRIBUTES = ['href', 'src', 'data-src', 'data-lazy-src', 'data-original', 'poster', 'cite'];
+const SRCSET_ATTRIBUTES = ['srcset', 'data-srcset', 'data-lazy-srcset'];
+
+/**
+ * Resolve the full-content settings for a feed. `fullContent` objects on groups and the
+ * feed are merged, the nearest setting winning; removeSelectors add up instead.
+ * Without a `fetch` setting, the --try-load-full-content flag decides.
+ * @param {Object|null} context - The feed context from findFeedContext
+ * @param {boolean} fullContentFlag - Whether --try-load-full-content was given
+ * @returns {Object} - { fetch, minWords, selectors, removeSelectors }
+ */
+export function resolveFullContentOptions(context, fullContentFlag) {
+  const settings = context ? [...context.groups, context.feed].map((node) => node.fullContent || {}) : [];
+  const merged = Object.assign({}, ...settings);
+
+  return {
+    fetch: merged.fetch || (fullContentFlag ? FULL_CONTENT_MODES.SHORT : FULL_CONTENT_MODES.NEVER),
+    minWords: merged.minWords || DEFAULT_MIN_WORDS,
+    selectors: merged.selectors || [],
+    removeSelectors: settings.flatMap((setting) => setting.removeSelectors || []),
+  };
+}
+
+/**
+ * Check whether the full article should be fetched for an item
+ * @param {Object} item - The feed item
+ * @param {Object} options - Full-content settings from resolveFullContentOptions
+ * @returns {boolean} - True if the article should be fetched
+ */
+export function shouldFetchFullContent(item, options) {
+  if (!item.link || options.fetch === FULL_CONTENT_MODES.NEVER) return false;
+  if (options.fetch === FULL_CONTENT_MODES.ALWAYS) return true;
+
+  const text = item.contentSnippet || cheerio.load(item.content || '').text();
+  return countWords(text) < options.minWords;
+}
+
+/**
+ * Extract the article from a web page.
+ * The first configured selector that matches wins; otherwise the element with the
+ * best readability score is used. Relative URLs are resolved against the page URL.
+ * @param {string} html - The page HTML
+ * @param {string} pageUrl - The URL the page was loaded from
+ * @param {Object} options - Full-content settings with selectors and removeSelectors
+ * @returns {string} - The article HTML
+ */
+export function extractMainContent(html, pageUrl, { selectors = [], removeSelectors = [] } = {}) {
+  const $ = cheerio.load(html);
+
+  for (const selector of [...DEFAULT_REMOVE_SELECTORS, ...removeSelectors]) {
+    $(selector).remove();
+  }
+
+  const $content = findBySelectors($, selectors) || findByReadability($) || $('body');
+  resolveRelativeUrls($, $content, pageUrl);
+  return $content.html() || '';
+}
+
+/**
+ * Find the article using the configured selectors
+ * @param {Object} $ - The cheerio document
+ * @param {Array<string>} selectors - CSS selectors, tried in order
+ * @returns {Object|null} - The first matching element with text, or null
+ */
+function findBySelectors($, selectors) {
+  for (const selector of selectors) {
+    const element = $(selector)
+      .toArray()
+      .find((candidate) => $(candidate).text().trim());
+    if (element) return $(element);
+  }
+  return null;
+}
+
+/**
+ * Find the article with a readability-style score: paragraphs of text score points for
+ * their parent and grandparent, adjusted by tag, class/id hints and link density.
+ * Siblings of the best element that score well or read like prose are kept alongside it.
+ * @param {Object} $ - The cheerio document
+ * @returns {Object|null} - A wrapper with the article, or null if nothing scored
+ */
+function findByReadability($) {
+  const scores = new Map();
+
+  const addScore = (element, points) => {
+    if (!element || element.type !== 'tag' || ['html', 'body'].includes(element.name)) return;
+    if (!scores.has(element)) {
+      scores.set(element, getBaseScore($, element));
+    }
+    scores.set(element, scores.get(element) + points);
+  };
+
+  $('p, pre, td, blockquote').each((_, paragraph) => {
+    const text = $(paragraph).text().trim();
+    if (text.length < 25) return;
+
+    const points = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(paragraph.parent, points);
+    addScore(paragraph.parent?.parent, points / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [element, score] of scores) {
+    const finalScore = score * (1 - getLinkDensity($, element));
+    scores.set(element, finalScore);
+    if (finalScore > bestScore) {
+      best = element;
+      bestScore = finalScore;
+    }
+  }
+
+  if (!best) return null;
+
+  const threshold = Math.max(10, bestScore * 0.2);
+  const $wrapper = $('<div></div>');
+
+  for (const sibling of best.parent ? $(best.parent).children().toArray() : [best]) {
+    const keep =
+      sibling === best ||
+      (scores.get(sibling) || 0) >= threshold ||
+      (sibling.name === 'p' && $(sibling).text().trim().length > 80 && getLinkDensity($, sibling) < 0.25);
+
+    if (keep) {
+      $wrapper.append($(sibling).clone());
+    }
+  }
+
+  return $wrapper;
+}
+
+/**
+ * Get the starting score of an element from its tag and class/id hints
+ * @param {Object} $ - The cheerio document
+ * @param {Object} element - The element
+ * @returns {number} - The base score
+ */
+function getBaseScore($, element) {
+  let score = 0;
+
+  if (['article', 'main'].includes(element.name)) score += 10;
+  else if (element.name === 'div') score += 5;
+  else if (['pre', 'td', 'blockquote'].includes(element.name)) score += 3;
+  else if (['ol', 'ul', 'dl', 'dd', 'dt', 'li', 'address', 'form'].includes(element.name)) score -= 3;
+  else if (['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'th'].includes(element.name)) score -= 5;
+
+  const hints = `${$(element).attr('class') || ''} ${$(element).attr('id') || ''}`;
+  if (NEGATIVE_HINTS.test(hints)) score -= 25;
+  if (POSITIVE_HINTS.test(hints)) score += 25;
+
+  return score;
+}
+
+/**
+ * Get the share of an element's text that is link text
+ * @param {Object} $ - The cheerio document
+ * @param {Object} element - The element
+ * @returns {number} - Link density between 0 and 1
+ */
+function getLinkDensity($, element) {
+  const textLength = $(element).text().trim().length;
+  if (textLength === 0) return 0;
+
+  const linkLength = $(element)
+    .find('a')
+    .toArray()
+    .reduce((total, link) => total + $(link).text().trim().length, 0);
+  return Math.min(linkLength / textLength, 1);
+}
+
+/**
+ * Make the URLs in the extracted content absolute
+ * @param {Object} $ - The cheerio document
+ * @param {Object} $content - The extracted content
+ * @param {string} pageUrl - The URL the page was loaded from
+ * @returns {void}
+ */
+function resolveRelativeUrls($, $content, pageUrl) {
+  const baseUrl = $('base[href]').attr('href') ? resolveUrl($('base[href]').attr('href'), pageUrl) : pageUrl;
+  if (!baseUrl) return;
+
+  $content.find('*').each((_, element) => {
+    const $element = $(element);
+
+    for (const name of URL_ATTRIBUTES) {
+      const value = $element.attr(name);
+      if (value && !value.startsWith('#')) {
+        $element.attr(name, resolveUrl(value, baseUrl) || value);
+      }
+    }
+
+    for (const name of SRCSET_ATTRIBUTES) {
+      const value = $element.attr(name);
+      if (value) {
+        const candidates = value.split(/,\s+/).map((candidate) => {
+          const [url, ...descriptor] = candidate.trim().split(/\s+/);
+          return [resolveUrl(url, baseUrl) || url, ...descriptor].join(' ');
+        });
+        $element.attr(name, candidates.join(', '));
+      }
+    }
+  });
+}
+
+/**
+ * Resolve a possibly relative URL
+ * @param {string} url - The URL
+ * @param {string} baseUrl - The base URL
+ * @returns {string|null} - The absolute URL or null if it cannot be resolved
+ */
+function resolveUrl(url, baseUrl) {
+  try {
+    return new URL(url.trim(), baseUrl).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Count the words in a text
+ * @param {string} text - The text
+ * @returns {number} - Number of words
+ */
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
@@ -0,0 +1,254 @@
+import { extractFeeds } from './feedUtils.js';
+import { escapeHtml } from './htmlUtils.js';
+import { INVALID_FEED_ERROR_CODE } from './rssUtils.js';
+
+/**
+ * Kinds of errors a feed fetch can fail with
+ */
+export const FEED_ERROR_CLASSES = {
+  NOT_FOUND: 'not-found',
+  ACCESS_DENIED: 'access-denied',
+  RATE_LIMITED: 'rate-limited',
+  SERVER_ERROR: 'server-error',
+  HTTP_ERROR: 'http-error',
+  TIMEOUT: 'timeout',
+  TOO_MANY_REDIRECTS: 'too-many-redirects',
+  INVALID_FORMAT: 'invalid-format',
+  NETWORK: 'network',
+  UNKNOWN: 'unknown',
+};
+
+// Sections of the health report, in the order they are listed
+const REPORT_SECTIONS = [
+  {
+    key: 'dead',
+    title: 'Dead feeds',
+    describe: (feed) =>
+      `${feed.consecutiveFailures} failures in a row (${feed.lastError.class}: ${feed.lastError.message}), ` +
+      `last success ${formatReportDate(feed.lastSuccessAt)}`,
+  },
+  {
+    key: 'invalidFormat',
+    title: 'Feeds with an invalid format',
+    describe: (feed) => `${feed.lastError.message}, last success ${formatReportDate(feed.lastSuccessAt)}`,
+  },
+  {
+    key: 'moved',
+    title: 'Moved feeds',
+    describe: (feed) => `moved permanently to ${feed.movedTo}`,
+  },
+  {
+    key: 'stale',
+    title: 'Stale feeds',
+    describe: (feed) => `newest item from ${formatReportDate(feed.newestItemDate)}`,
+  },
+];
+
+/**
+ * Create an empty feed health store
+ * @returns {Object} - The empty store
+ */
+export function createEmptyFeedHealth() {
+  return { feeds: {}, lastReportAt: null };
+}
+
+/**
+ * Classify a feed fetch error
+ * @param {Error} error - The error from getFeedItems
+ * @returns {string} - One of FEED_ERROR_CLASSES
+ */
+export function classifyFeedError(error) {
+  if (error.code === INVALID_FEED_ERROR_CODE) return FEED_ERROR_CLASSES.INVALID_FORMAT;
+  if (error.code === 'ETIMEDOUT') return FEED_ERROR_CLASSES.TIMEOUT;
+  if (error.type === 'max-redirect') return FEED_ERROR_CLASSES.TOO_MANY_REDIRECTS;
+
+  if (error.status) {
+    if (error.status === 404 || error.status === 410) return FEED_ERROR_CLASSES.NOT_FOUND;
+    if (error.status === 401 || error.status === 403) return FEED_ERROR_CLASSES.ACCESS_DENIED;
+    if (error.status === 429 || error.status === 503) return FEED_ERROR_CLASSES.RATE_LIMITED;
+    return error.status >= 500 ? FEED_ERROR_CLASSES.SERVER_ERROR : FEED_ERROR_CLASSES.HTTP_ERROR;
+  }
+
+  // DNS, connection and TLS failures from node-fetch
+  if (error.type === 'system' || error.name === 'FetchError') return FEED_ERROR_CLASSES.NETWORK;
+
+  return FEED_ERROR_CLASSES.UNKNOWN;
+}
+
+/**
+ * Record a successful fetch of a feed
+ * @param {Object} health - The feed health store, updated in place
+ * @param {string} feedUrl - The feed URL
+ * @param {Object} result - The feed result from getFeedItems
+ * @param {Date} now - The current time
+ * @returns {Object} - The feed's health entry
+ */
+export function recordFeedSuccess(health, feedUrl, result, now = new Date()) {
+  const entry = getHealthEntry(health, feedUrl);
+  entry.lastCheckedAt = now.toISOString();
+  entry.lastSuccessAt = now.toISOString();
+  entry.consecutiveFailures = 0;
+  entry.lastError = null;
+  entry.movedTo = result.movedTo || null;
+
+  // A 304 response says nothing about the items, so the last known date is kept
+  if (result.newestItemDate) {
+    entry.newestItemDate = result.newestItemDate;
+  }
+
+  return entry;
+}
+
+/**
+ * Record a failed fetch of a feed
+ * @param {Object} health - The feed health store, updated in place
+ * @param {string} feedUrl - The feed URL
+ * @param {Error} error - The fetch error
+ * @param {Date} now - The current time
+ * @returns {Object} - The feed's health entry
+ */
+export function recordFeedFailure(health, feedUrl, error, now = new Date()) {
+  const entry = getHealthEntry(health, feedUrl);
+  entry.lastCheckedAt = now.toISOString();
+  entry.consecutiveFailures++;
+  entry.lastError = { class: classifyFeedError(error), message: error.message, at: now.toISOString() };
+  return entry;
+}
+
+/**
+ * Remove the health entries of feeds that are no longer configured
+ * @param {Object} health - The feed health store, updated in place
+ * @param {Object} feedConfig - The feed configuration
+ * @returns {number} - Number of entries removed
+ */
+export function pruneFeedHealth(health, feedConfig) {
+  const urls = new Set(extractFeeds(feedConfig).map((feed) => feed.url));
+  let removed = 0;
+
+  for (const url of Object.keys(health.feeds)) {
+    if (!urls.has(url)) {
+      delete health.feeds[url];
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Find the configured feeds that are dead, have an invalid format, have moved or have gone stale.
+ * A feed can be listed in more than one section.
+ * @param {Object} feedConfig - The feed configuration
+ * @param {Object} health - The feed health store
+ * @param {Object} thresholds - When a feed counts as dead or stale
+ * @param {number} thresholds.deadAfterFailures - Consecutive failures after which a feed is dead
+ * @param {number} thresholds.staleAfterDays - Days without a new item after which a feed is stale
+ * @param {Date} now - The current time
+ * @returns {Object} - Lists of feeds keyed by section, with the number of feeds checked and with problems
+ */
+export function buildFeedHealthReport(feedConfig, health, { deadAfterFailures, staleAfterDays }, now = new Date()) {
+  const report = { dead: [], invalidFormat: [], moved: [], stale: [], checked: 0, problems: 0 };
+  const staleBefore = now.getTime() - staleAfterDays * 24 * 60 * 60 * 1000;
+
+  for (const feed of extractFeeds(feedConfig)) {
+    const entry = health.feeds[feed.url];
+    if (!entry) continue;
+    report.checked++;
+
+    const details = { url: feed.url, title: feed.title || feed.url, groupPath: feed.groupPath, ...entry };
+    const sections = [];
+
+    if (entry.lastError?.class === FEED_ERROR_CLASSES.INVALID_FORMAT) {
+      sections.push('invalidFormat');
+    } else if (entry.consecutiveFailures >= deadAfterFailures) {
+      sections.push('dead');
+    }
+    if (entry.movedTo && entry.movedTo !== feed.url) {
+      sections.push('moved');
+    }
+    if (entry.newestItemDate && new Date(entry.newestItemDate).getTime() < staleBefore) {
+      sections.push('stale');
+    }
+
+    sections.forEach((section) => report[section].push(details));
+    if (sections.length > 0) report.problems++;
+  }
+
+  return report;
+}
+
+/**
+ * Format a feed health report as plain text
+ * @param {Object} report - The report from buildFeedHealthReport
+ * @returns {string} - The report text
+ */
+export function formatFeedHealthReport(report) {
+  const lines = [`${report.problems} of ${report.checked} checked feeds need attention.`];
+
+  for (const section of REPORT_SECTIONS) {
+    const feeds = report[section.key];
+    if (feeds.length === 0) continue;
+
+    lines.push('', `${section.title} (${feeds.length}):`);
+    for (const feed of feeds) {
+      lines.push(`- [${feed.groupPath}] ${feed.title}`, `  ${feed.url}`, `  ${section.describe(feed)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format a feed health report as the HTML body of an email
+ * @param {Object} report - The report from buildFeedHealthReport
+ * @returns {string} - The report HTML
+ */
+export function formatFeedHealthReportHtml(report) {
+  const sections = REPORT_SECTIONS.filter((section) => report[section.key].length > 0).map((section) => {
+    const feeds = report[section.key]
+      .map(
+        (feed) =>
+          `<li><strong>[${escapeHtml(feed.groupPath)}] ${escapeHtml(feed.title)}</strong><br>` +
+          `<a href="${escapeHtml(feed.url)}">${escapeHtml(feed.url)}</a><br>${escapeHtml(section.describe(feed))}</li>`
+      )
+      .join('\n');
+    return `<h2>${escapeHtml(section.title)} (${report[section.key].length})</h2>\n<ul>\n${feeds}\n</ul>`;
+  });
+
+  return [
+    '<html><body style="font-family: Arial, sans-serif;">',
+    '<h1>Feed health</h1>',
+    `<p>${report.problems} of ${report.checked} checked feeds need attention.</p>`,
+    ...sections,
+    '</body></html>',
+  ].join('\n');
+}
+
+/**
+ * Get the health entry of a feed, creating it if needed
+ * @param {Object} health - The feed health store
+ * @param {string} feedUrl - The feed URL
+ * @returns {Object} - The health entry
+ */
+function getHealthEntry(health, feedUrl) {
+  if (!health.feeds[feedUrl]) {
+    health.feeds[feedUrl] = {
+      lastCheckedAt: null,
+      lastSuccessAt: null,
+      consecutiveFailures: 0,
+      lastError: null,
+      newestItemDate: null,
+      movedTo: null,
+    };
+  }
+  return health.feeds[feedUrl];
+}
+
+/**
+ * Format a date in a health report
+ * @param {string|null} value - ISO date
+ * @returns {string} - The date, or "never"
+ */
+function formatReportDate(value) {
+  return value ? value.slice(0, 10) : 'never';
+}
@@ -4,6 +4,8 @@
 export const MAIL_LABELS = {
   RSS_FEED: 'RSS Feeds',
   UNCATEGORIZED: 'Uncategorized',
+  FEED_HEALTH: 'Feed Health',
+  RUN_SUMMARY: 'Run Summary',
 };
 
 /**
@@ -12,6 +14,23 @@ export const MAIL_LABELS = {
 export const SUBJECT_PATTERNS = {
   GROUP_PREFIX: (group) => `[${group}]`,
   DEFAULT_SUBJECT: 'RSS Feeds Update',
+  ITEM_TEMPLATE: '{{groupPrefix}} {{feedTitle}}: {{title}}',
+  // Threaded emails keep one subject per feed, as Gmail only threads messages with the same subject
+  THREAD_ITEM_TEMPLATE: '{{groupPrefix}} {{feedTitle}}',
+  DIGEST_TEMPLATE: '{{groupPrefix}} {{emailSubject}}',
+};
+
+/**
+ * Settings that control how an email looks, inherited from groups by subgroups and feeds
+ */
+export const EMAIL_FORMAT_SETTINGS = ['template', 'subjectTemplate', 'locale', 'timeZone'];
+
+/**
+ * Delivery modes that can be set on a group
+ */
+export const DELIVERY_MODES = {
+  INDIVIDUAL: 'individual',
+  DIGEST: 'digest',
 };
 
 /**
@@ -48,34 +67,98 @@ export function extractFeeds(feedConfig, parentPath = '') {
 }
 
 /**
- * Find the group path for a feed URL in the config
+ * Find a feed in the config along with the chain of groups that contain it
  * @param {string} feedUrl - The URL to find
  * @param {Object} feedConfig - The feed configuration
- * @returns {string} - The path or 'Uncategorized'
+ * @returns {Object|null} - { feed, groups, groupPath } with groups ordered outermost first, or null
  */
-export function findGroupPathForFeed(feedUrl, feedConfig) {
-  const result = { path: null };
-
-  function searchGroups(groups, parentPath = '') {
+export function findFeedContext(feedUrl, feedConfig) {
+  function searchGroups(groups, parents = []) {
     for (const group of groups || []) {
-      const currentPath = parentPath ? `${parentPath}/${group.name}` : group.name;
+      const chain = [...parents, group];
 
       // Check if this group contains the feed
-      if (group.feeds && group.feeds.some((feed) => feed.url === feedUrl)) {
-        result.path = currentPath;
-        return true;
+      const feed = group.feeds?.find((candidate) => candidate.url === feedUrl);
+      if (feed) {
+        return { feed, groups: chain, groupPath: chain.map((g) => g.name).join('/') };
       }
 
       // Check subgroups recursively
-      if (group.groups && searchGroups(group.groups, currentPath)) {
-        return true;
-      }
+      const found = searchGroups(group.groups, chain);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  return searchGroups(feedConfig.groups);
+}
+
+/**
+ * Find the group path for a feed URL in the config
+ * @param {string} feedUrl - The URL to find
+ * @param {Object} feedConfig - The feed configuration
+ * @returns {string} - The path or 'Uncategorized'
+ */
+export function findGroupPathForFeed(feedUrl, feedConfig) {
+  const context = findFeedContext(feedUrl, feedConfig);
+  return context?.groupPath || MAIL_LABELS.UNCATEGORIZED;
+}
+
+/**
+ * Resolve a setting that can be given on a feed or any of its groups.
+ * The feed's own value wins, then the nearest group's, then the default.
+ * @param {Object|null} context - The feed context from findFeedContext
+ * @param {string} key - The setting name
+ * @param {any} defaultValue - Value used when no feed or group sets it
+ * @returns {any} - The resolved value
+ */
+export function resolveFeedSetting(context, key, defaultValue) {
+  if (!context) return defaultValue;
+
+  const owner = [...context.groups, context.feed].reverse().find((node) => node?.[key] !== undefined);
+  return owner ? owner[key] : defaultValue;
+}
+
+/**
+ * Resolve the email format settings for a feed, or for a digest group when the
+ * context has no feed. Only settings given somewhere in the config are included.
+ * @param {Object|null} context - The feed context from findFeedContext
+ * @returns {Object} - { template, subjectTemplate, locale, timeZone } as far as they are set
+ */
+export function resolveEmailFormat(context) {
+  const format = {};
+
+  for (const key of EMAIL_FORMAT_SETTINGS) {
+    const value = resolveFeedSetting(context, key, undefined);
+    if (value !== undefined) {
+      format[key] = value;
     }
-    return false;
   }
 
-  searchGroups(feedConfig.groups);
-  return result.path || MAIL_LABELS.UNCATEGORIZED;
+  return format;
+}
+
+/**
+ * Find the group that collects a feed's items into a digest email.
+ * The nearest group with an explicit `delivery` setting decides, so a subgroup
+ * can opt out of (or split off from) a parent digest.
+ * @param {Object|null} context - The feed context from findFeedContext
+ * @returns {Object|null} - { group, groups, groupPath } of the digest group and its ancestors, or null for individual delivery
+ */
+export function findDigestGroup(context) {
+  if (!context) return null;
+
+  for (let i = context.groups.length - 1; i >= 0; i--) {
+    const group = context.groups[i];
+    if (!group.delivery) continue;
+
+    if (group.delivery !== DELIVERY_MODES.DIGEST) return null;
+
+    const groups = context.groups.slice(0, i + 1);
+    return { group, groups, groupPath: groups.map((g) => g.name).join('/') };
+  }
+
+  return null;
 }
 
 /**
@@ -101,15 +184,3 @@ export function formatGroupHierarchyForSubject(groupPath) {
 export function getMailLabels() {
   return [MAIL_LABELS.RSS_FEED];
 }
-
-/**
- * Generate a standardized email subject for RSS feed emails
- * @param {string} groupPath - The group path
- * @param {string} customTitle - Optional custom title
- * @returns {string} - Formatted email subject
- */
-export function generateEmailSubject(groupPath, customTitle = null) {
-  const groupPrefix = formatGroupHierarchyForSubject(groupPath);
-  const title = customTitle || SUBJECT_PATTERNS.DEFAULT_SUBJECT;
-  return `${groupPrefix} ${title}`;
-}
@@ -0,0 +1,115 @@
+/**
+ * Filter rule actions
+ */
+export const FILTER_ACTIONS = {
+  INCLUDE: 'include',
+  EXCLUDE: 'exclude',
+};
+
+/**
+ * Item fields a filter rule can match against
+ */
+export const FILTER_FIELDS = ['title', 'content', 'author', 'category'];
+
+/**
+ * Regex flags of a filter pattern that does not set its own
+ */
+export const DEFAULT_FILTER_FLAGS = 'i';
+
+/**
+ * Collect the filter rules that apply to a feed, outermost group first.
+ * Rules on a group are inherited by all of its subgroups and feeds.
+ * @param {Object|null} context - The feed context from findFeedContext
+ * @returns {Array<Object>} - The applicable filter rules
+ */
+export function getFeedFilters(context) {
+  if (!context) return [];
+
+  return [...context.groups.flatMap((group) => group.filters || []), ...(context.feed.filters || [])];
+}
+
+/**
+ * Split items into those that pass the filter rules and those that are dropped.
+ * An item is dropped if it matches any exclude rule, or if there are include rules
+ * and it matches none of them.
+ * @param {Array} items - The feed items
+ * @param {Array<Object>} rules - The filter rules
+ * @returns {Object} - { items, filteredItems }
+ */
+export function applyFilters(items, rules) {
+  if (rules.length === 0) {
+    return { items, filteredItems: [] };
+  }
+
+  const includeRules = rules.filter((rule) => rule.action === FILTER_ACTIONS.INCLUDE);
+  const excludeRules = rules.filter((rule) => rule.action === FILTER_ACTIONS.EXCLUDE);
+  const kept = [];
+  const filteredItems = [];
+
+  for (const item of items) {
+    const excluded = excludeRules.some((rule) => matchesRule(item, rule));
+    const included = includeRules.length === 0 || includeRules.some((rule) => matchesRule(item, rule));
+
+    if (included && !excluded) {
+      kept.push(item);
+    } else {
+      filteredItems.push(item);
+    }
+  }
+
+  return { items: kept, filteredItems };
+}
+
+/**
+ * Check whether an item matches a filter rule
+ * @param {Object} item - The feed item
+ * @param {Object} rule - The filter rule, with keywords and/or a regex pattern
+ * @returns {boolean} - True if any of the rule's fields matches
+ */
+export function matchesRule(item, rule) {
+  const fields = rule.fields?.length ? rule.fields : FILTER_FIELDS;
+  const text = fields.map((field) => getFieldText(item, field)).join('\n');
+
+  if (rule.pattern && new RegExp(rule.pattern, rule.flags ?? DEFAULT_FILTER_FLAGS).test(text)) {
+    return true;
+  }
+
+  return (rule.keywords || []).some((keyword) => buildKeywordRegex(keyword).test(text));
+}
+
+/**
+ * Get the text of an item field for matching
+ * @param {Object} item - The feed item
+ * @param {string} field - One of FILTER_FIELDS
+ * @returns {string} - The field text, empty if the item does not have it
+ */
+function getFieldText(item, field) {
+  switch (field) {
+    case 'title':
+      return item.title || '';
+    case 'content':
+      return [item.contentSnippet, item.content, item.summary].filter(Boolean).join('\n');
+    case 'author':
+      return item.creator || item.author || '';
+    case 'category':
+      return (item.categories || [])
+        .map((category) => (typeof category === 'object' ? category._ : category))
+        .join('\n');
+    default:
+      return '';
+  }
+}
+
+/**
+ * Build a case-insensitive whole-word regex for a keyword
+ * @param {string} keyword - The keyword or phrase
+ * @returns {RegExp} - The keyword regex
+ */
+function buildKeywordRegex(keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  // Only anchor at word characters, so keywords like "C++" still match
+  const start = /^\w/.test(keyword) ? '\\b' : '';
+  const end = /\w$/.test(keyword) ? '\\b' : '';
+  return new RegExp(`${start}${escaped}${end}`, 'i');
+}
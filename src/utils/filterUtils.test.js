@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { findFeedContext } from './feedUtils.js';
+import { applyFilters, getFeedFilters, matchesRule } from './filterUtils.js';
+
+describe('matchesRule', () => {
+  it('matches keywords as whole words, ignoring case', () => {
+    const rule = { action: 'exclude', keywords: ['AI'] };
+
+    assert.equal(matchesRule({ title: 'New ai model released' }, rule), true);
+    assert.equal(matchesRule({ title: 'Maintaining old code' }, rule), false);
+    assert.equal(matchesRule({ title: 'AI-assisted editing' }, rule), true);
+  });
+
+  it('matches keywords that start or end with punctuation', () => {
+    const rule = { action: 'include', keywords: ['C++', '.NET'] };
+
+    assert.equal(matchesRule({ title: 'What is new in C++ 23' }, rule), true);
+    assert.equal(matchesRule({ title: 'Porting to .NET 8' }, rule), true);
+    assert.equal(matchesRule({ title: 'C and Cobol' }, rule), false);
+  });
+
+  it('only looks at the fields of the rule', () => {
+    const item = { title: 'Weekly notes', content: '<p>Sponsored by Acme</p>', categories: [{ _: 'Ads' }] };
+
+    assert.equal(matchesRule(item, { keywords: ['sponsored'], fields: ['title'] }), false);
+    assert.equal(matchesRule(item, { keywords: ['sponsored'], fields: ['content'] }), true);
+    assert.equal(matchesRule(item, { keywords: ['ads'], fields: ['category'] }), true);
+  });
+
+  it('matches a regex pattern, ignoring case unless flags are given', () => {
+    assert.equal(matchesRule({ title: 'Release v2.1.0' }, { pattern: 'RELEASE v\\d' }), true);
+    assert.equal(matchesRule({ title: 'Release v2.1.0' }, { pattern: 'RELEASE v\\d', flags: '' }), false);
+  });
+});
+
+describe('getFeedFilters', () => {
+  it('inherits the rules of every enclosing group, outermost first', () => {
+    const feed = { url: 'https://example.com/feed.xml', filters: [{ action: 'include', keywords: ['feed'] }] };
+    const feedConfig = {
+      groups: [
+        {
+          name: 'Tech',
+          filters: [{ action: 'exclude', keywords: ['outer'] }],
+          groups: [{ name: 'Web', filters: [{ action: 'exclude', keywords: ['inner'] }], feeds: [feed] }],
+        },
+      ],
+    };
+
+    const rules = getFeedFilters(findFeedContext(feed.url, feedConfig));
+    assert.deepEqual(
+      rules.map((rule) => rule.keywords[0]),
+      ['outer', 'inner', 'feed']
+    );
+    assert.deepEqual(getFeedFilters(null), []);
+  });
+});
+
+describe('applyFilters', () => {
+  const items = [{ title: 'Rust release' }, { title: 'Rust sponsored post' }, { title: 'Go release' }];
+
+  it('keeps every item without rules', () => {
+    assert.deepEqual(applyFilters(items, []), { items, filteredItems: [] });
+  });
+
+  it('keeps items that match an include rule and no exclude rule', () => {
+    const result = applyFilters(items, [
+      { action: 'include', keywords: ['rust'] },
+      { action: 'exclude', keywords: ['sponsored'] },
+    ]);
+
+    assert.deepEqual(result.items, [items[0]]);
+    assert.deepEqual(result.filteredItems, [items[1], items[2]]);
+  });
+});
@@ -0,0 +1,322 @@
+import * as cheerio from 'cheerio';
+
+/**
+ * Tags kept in sanitized feed HTML, with the attributes each of them may keep.
+ * Other tags are unwrapped: the tag goes, its content stays.
+ */
+const ALLOWED_TAGS = {
+  a: ['href', 'title'],
+  abbr: ['title'],
+  b: [],
+  blockquote: ['cite'],
+  br: [],
+  caption: [],
+  cite: [],
+  code: [],
+  dd: [],
+  del: [],
+  details: [],
+  div: [],
+  dl: [],
+  dt: [],
+  em: [],
+  figcaption: [],
+  figure: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  hr: [],
+  i: [],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  ins: [],
+  kbd: [],
+  li: [],
+  mark: [],
+  ol: ['start'],
+  p: [],
+  pre: [],
+  q: ['cite'],
+  s: [],
+  small: [],
+  span: [],
+  strong: [],
+  sub: [],
+  summary: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ['colspan', 'rowspan', 'align'],
+  tfoot: [],
+  th: ['colspan', 'rowspan', 'align', 'scope'],
+  thead: [],
+  tr: [],
+  u: [],
+  ul: [],
+};
+
+/**
+ * Tags removed together with their content
+ */
+const DROPPED_TAGS = new Set([
+  'applet',
+  'audio',
+  'base',
+  'button',
+  'canvas',
+  'embed',
+  'form',
+  'frame',
+  'frameset',
+  'iframe',
+  'input',
+  'link',
+  'map',
+  'math',
+  'meta',
+  'noscript',
+  'object',
+  'script',
+  'select',
+  'source',
+  'style',
+  'svg',
+  'template',
+  'textarea',
+  'video',
+]);
+
+/**
+ * Attributes holding a URL, with the protocols they may use
+ */
+const URL_ATTRIBUTES = {
+  href: ['http:', 'https:', 'mailto:'],
+  src: ['http:', 'https:'],
+  cite: ['http:', 'https:'],
+};
+
+/**
+ * Attributes lazy-loading scripts keep the real image URL in
+ */
+const LAZY_SRC_ATTRIBUTES = ['data-src', 'data-lazy-src', 'data-original', 'data-url'];
+
+/**
+ * Attributes holding a srcset, the lazy-loaded one first
+ */
+const SRCSET_ATTRIBUTES = ['data-srcset', 'data-lazy-srcset', 'srcset'];
+
+/**
+ * Image URLs of known tracking pixels and feed analytics. The scheme is optional so
+ * protocol-relative URLs match even when there is no base URL to resolve them against.
+ */
+const TRACKER_PATTERNS = [
+  /^(?:https?:)?\/\/feeds\.feedburner\.com\/~r\//i,
+  /^(?:https?:)?\/\/feeds\.feedblitz\.com\/~\/i\//i,
+  /^(?:https?:)?\/\/pixel\.wp\.com\//i,
+  /^(?:https?:)?\/\/stats\.wordpress\.com\//i,
+  /^(?:https?:)?\/\/[^/]*doubleclick\.net\//i,
+  /^(?:https?:)?\/\/[^/]*google-analytics\.com\//i,
+  /^(?:https?:)?\/\/pixel\.quantserve\.com\//i,
+  /^(?:https?:)?\/\/[^/]*\.feedsportal\.com\//i,
+  /^(?:https?:)?\/\/www\.facebook\.com\/tr/i,
+  /\/(?:pixel|tracking|beacon)\.gif(?:\?|$)/i,
+];
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {any} value - The text to escape
+ * @returns {string} - The escaped text, empty for null or undefined
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Resolve a URL against a base URL and check that it uses a safe protocol
+ * @param {string} url - The URL, possibly relative
+ * @param {string|null} baseUrl - The URL relative URLs are resolved against
+ * @param {Array<string>} protocols - The allowed protocols
+ * @returns {string|null} - The absolute URL, or null if it is invalid or unsafe
+ */
+export function sanitizeUrl(url, baseUrl = null, protocols = URL_ATTRIBUTES.href) {
+  if (typeof url !== 'string' || !url.trim()) return null;
+
+  try {
+    const resolved = baseUrl ? new URL(url.trim(), baseUrl) : new URL(url.trim());
+    return protocols.includes(resolved.protocol) ? resolved.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Sanitize feed HTML for use in an email.
+ * Only allowlisted tags and attributes are kept, relative URLs are resolved against
+ * the item link, lazy-loaded images are promoted and tracking pixels are removed.
+ * @param {string} html - The feed HTML
+ * @param {string|null} baseUrl - The item link, used to resolve relative URLs
+ * @returns {string} - The sanitized HTML
+ */
+export function sanitizeHtml(html, baseUrl = null) {
+  if (!html) return '';
+
+  const $ = cheerio.load(html, null, false);
+  sanitizeChildren($, $.root()[0], sanitizeUrl(baseUrl));
+  return $.html().trim();
+}
+
+/**
+ * Sanitize the children of a node, depth first
+ * @param {Object} $ - The cheerio document
+ * @param {Object} node - The parent node
+ * @param {string|null} baseUrl - The URL relative URLs are resolved against
+ * @returns {void}
+ */
+function sanitizeChildren($, node, baseUrl) {
+  for (const child of [...node.children]) {
+    if (child.type === 'text') continue;
+
+    // Comments, CDATA and processing instructions
+    if (!['tag', 'script', 'style'].includes(child.type)) {
+      $(child).remove();
+      continue;
+    }
+
+    const tag = child.name.toLowerCase();
+    if (DROPPED_TAGS.has(tag)) {
+      $(child).remove();
+      continue;
+    }
+
+    sanitizeChildren($, child, baseUrl);
+
+    if (!ALLOWED_TAGS[tag]) {
+      $(child).replaceWith($(child).contents());
+      continue;
+    }
+
+    if (tag === 'img') {
+      promoteLazyImage($(child));
+      if (isTrackingImage($(child), baseUrl)) {
+        $(child).remove();
+        continue;
+      }
+    }
+
+    sanitizeAttributes($(child), ALLOWED_TAGS[tag], baseUrl);
+
+    // An image without a usable source is only a broken image icon
+    if (tag === 'img' && !$(child).attr('src')) {
+      $(child).remove();
+    }
+  }
+}
+
+/**
+ * Remove the attributes a tag may not keep and resolve the URLs of the rest
+ * @param {Object} $el - The cheerio element
+ * @param {Array<string>} allowedAttributes - Attributes the tag may keep
+ * @param {string|null} baseUrl - The URL relative URLs are resolved against
+ * @returns {void}
+ */
+function sanitizeAttributes($el, allowedAttributes, baseUrl) {
+  for (const [name, value] of Object.entries($el.attr() || {})) {
+    if (!allowedAttributes.includes(name)) {
+      $el.removeAttr(name);
+      continue;
+    }
+
+    if (URL_ATTRIBUTES[name]) {
+      const url = sanitizeUrl(value, baseUrl, URL_ATTRIBUTES[name]);
+      if (url) {
+        $el.attr(name, url);
+      } else {
+        $el.removeAttr(name);
+      }
+    }
+  }
+}
+
+/**
+ * Move the real URL of a lazy-loaded image into src, so it shows up without scripts
+ * @param {Object} $img - The cheerio image element
+ * @returns {void}
+ */
+function promoteLazyImage($img) {
+  const lazySrc = LAZY_SRC_ATTRIBUTES.map((name) => $img.attr(name)).find((value) => value?.trim());
+  if (lazySrc) {
+    $img.attr('src', lazySrc.trim());
+    return;
+  }
+
+  // Placeholders are usually tiny data: images
+  const src = $img.attr('src')?.trim();
+  if (src && !src.startsWith('data:')) return;
+
+  const srcset = SRCSET_ATTRIBUTES.map((name) => $img.attr(name)).find((value) => value?.trim());
+  const candidate = srcset ? pickSrcsetCandidate(srcset) : null;
+  if (candidate) {
+    $img.attr('src', candidate);
+  }
+}
+
+/**
+ * Pick the largest image from a srcset
+ * @param {string} srcset - The srcset value, e.g. "a.jpg 480w, b.jpg 800w"
+ * @returns {string|null} - URL of the largest candidate
+ */
+function pickSrcsetCandidate(srcset) {
+  let best = null;
+  let bestSize = -1;
+
+  for (const candidate of srcset.split(/,\s+/)) {
+    const [url, descriptor = '1x'] = candidate.trim().split(/\s+/);
+    const size = parseFloat(descriptor) || 0;
+    if (url && size > bestSize) {
+      best = url;
+      bestSize = size;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Check whether an image is a tracking pixel: 1x1 in size or served by a known tracker
+ * @param {Object} $img - The cheerio image element
+ * @param {string|null} baseUrl - The URL relative URLs are resolved against
+ * @returns {boolean} - True if the image should be removed
+ */
+function isTrackingImage($img, baseUrl) {
+  // Relative and protocol-relative sources are only resolved later, so resolve them here too
+  const rawSrc = $img.attr('src')?.trim() || '';
+  const src = sanitizeUrl(rawSrc, baseUrl, URL_ATTRIBUTES.src) || rawSrc;
+  if (TRACKER_PATTERNS.some((pattern) => pattern.test(src))) return true;
+
+  const style = $img.attr('style') || '';
+  const width =
+    parseDimension($img.attr('width')) ?? parseDimension(style.match(/(?:^|;)\s*width\s*:\s*([^;]+)/i)?.[1]);
+  const height =
+    parseDimension($img.attr('height')) ?? parseDimension(style.match(/(?:^|;)\s*height\s*:\s*([^;]+)/i)?.[1]);
+
+  return width !== null && height !== null && width <= 1 && height <= 1;
+}
+
+/**
+ * Parse a pixel dimension from an attribute or CSS value
+ * @param {string|undefined} value - The value, e.g. "1", "1px"
+ * @returns {number|null} - The dimension in pixels or null if it is not a pixel size
+ */
+function parseDimension(value) {
+  const match = value?.trim().match(/^(\d+(?:\.\d+)?)(?:px)?$/i);
+  return match ? parseFloat(match[1]) : null;
+}
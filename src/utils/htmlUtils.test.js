@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { escapeHtml, sanitizeHtml, sanitizeUrl } from './htmlUtils.js';
+
+const BASE = 'https://example.com/posts/1';
+
+describe('escapeHtml', () => {
+  it('escapes markup and quotes, and turns null into an empty string', () => {
+    assert.equal(
+      escapeHtml(`<a href="x">Tom & Jerry's</a>`),
+      '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;'
+    );
+    assert.equal(escapeHtml(null), '');
+  });
+});
+
+describe('sanitizeUrl', () => {
+  it('resolves relative URLs against the base URL', () => {
+    assert.equal(sanitizeUrl('../about', BASE), 'https://example.com/about');
+    assert.equal(sanitizeUrl(' https://other.example/ ', BASE), 'https://other.example/');
+  });
+
+  it('rejects unsafe protocols, invalid URLs and empty values', () => {
+    assert.equal(sanitizeUrl('javascript:alert(1)', BASE), null);
+    assert.equal(sanitizeUrl('JaVaScRiPt:alert(1)'), null);
+    assert.equal(sanitizeUrl('data:text/html,<script>alert(1)</script>'), null);
+    assert.equal(sanitizeUrl('relative/without/base'), null);
+    assert.equal(sanitizeUrl('   '), null);
+    assert.equal(sanitizeUrl(undefined), null);
+  });
+
+  it('only allows the given protocols', () => {
+    assert.equal(sanitizeUrl('mailto:reader@example.com'), 'mailto:reader@example.com');
+    assert.equal(sanitizeUrl('mailto:reader@example.com', null, ['http:', 'https:']), null);
+  });
+});
+
+describe('sanitizeHtml', () => {
+  it('keeps allowlisted tags and attributes and unwraps other tags', () => {
+    const html = '<p class="intro" onclick="steal()">Hi <font color="red"><b>there</b></font></p>';
+
+    assert.equal(sanitizeHtml(html), '<p>Hi <b>there</b></p>');
+  });
+
+  it('removes scripts, styles, forms, embeds and comments with their content', () => {
+    const html =
+      '<p>Text</p><script>alert(1)</script><style>p{}</style><!-- note --><iframe src="https://x.example"></iframe>' +
+      '<form><input name="q"></form><svg><script>alert(2)</script></svg>';
+
+    assert.equal(sanitizeHtml(html), '<p>Text</p>');
+  });
+
+  it('resolves relative links and drops links with unsafe protocols', () => {
+    const html =
+      '<a href="/next">Next</a> <a href="javascript:alert(1)">Bad</a> <blockquote cite="vbscript:x">Q</blockquote>';
+
+    assert.equal(
+      sanitizeHtml(html, BASE),
+      '<a href="https://example.com/next">Next</a> <a>Bad</a> <blockquote>Q</blockquote>'
+    );
+  });
+
+  it('does not allow mailto: image sources', () => {
+    assert.equal(sanitizeHtml('<p><img src="mailto:a@example.com" alt="x"></p>'), '<p></p>');
+  });
+
+  it('promotes lazy-loaded images and removes tracking pixels', () => {
+    const html =
+      '<img src="data:image/gif;base64,R0lGOD" data-src="/big.jpg" alt="Big">' +
+      '<img src="data:image/gif;base64,R0lGOD" srcset="/a.jpg 480w, /b.jpg 800w">' +
+      '<img src="https://example.com/spacer.png" width="1" height="1">' +
+      '<img src="https://pixel.wp.com/g.gif?blog=1">';
+
+    assert.equal(
+      sanitizeHtml(html, BASE),
+      '<img src="https://example.com/big.jpg" alt="Big"><img src="https://example.com/b.jpg">'
+    );
+  });
+
+  it('removes tracking pixels with protocol-relative and relative URLs', () => {
+    const html = '<p>Text<img src="//pixel.wp.com/g.gif?blog=1"><img src="//stats.wordpress.com/b.gif"></p>';
+
+    assert.equal(sanitizeHtml(html, BASE), '<p>Text</p>');
+    assert.equal(sanitizeHtml(html), '<p>Text</p>');
+    assert.equal(
+      sanitizeHtml('<p>Text<img src="/~r/blog/~4/abc"></p>', 'https://feeds.feedburner.com/blog'),
+      '<p>Text</p>'
+    );
+  });
+
+  it('returns an empty string for empty input', () => {
+    assert.equal(sanitizeHtml(''), '');
+    assert.equal(sanitizeHtml(null), '');
+  });
+});
@@ -0,0 +1,130 @@
+// Never wait longer than this between fetches, whatever the feed asks for
+const MAX_FETCH_DELAY_MS = 24 * 60 * 60 * 1000;
+
+// Scheduled runs drift by a few seconds, so a feed due just after the run starts is fetched anyway
+const FETCH_DUE_GRACE_MS = 5 * 60 * 1000;
+
+/**
+ * Build conditional request headers from a cached feed entry
+ * @param {Object|null} cacheEntry - The cached validators for the feed
+ * @returns {Object} - If-None-Match / If-Modified-Since headers
+ */
+export function buildConditionalHeaders(cacheEntry) {
+  const headers = {};
+
+  if (cacheEntry?.etag) {
+    headers['If-None-Match'] = cacheEntry.etag;
+  }
+  if (cacheEntry?.lastModified) {
+    headers['If-Modified-Since'] = cacheEntry.lastModified;
+  }
+
+  return headers;
+}
+
+/**
+ * Check whether a feed is due to be fetched again
+ * @param {Object|null} cacheEntry - The cached entry for the feed
+ * @param {Date} now - The current time
+ * @returns {boolean} - True if the feed should be fetched
+ */
+export function isFetchDue(cacheEntry, now = new Date()) {
+  if (!cacheEntry?.nextFetchAfter) return true;
+  return new Date(cacheEntry.nextFetchAfter).getTime() - FETCH_DUE_GRACE_MS <= now.getTime();
+}
+
+/**
+ * Work out the earliest time a feed should be fetched again.
+ * Retry-After wins, then the longer of Cache-Control max-age and the RSS <ttl>,
+ * and the result is pushed past any RSS <skipHours>.
+ * @param {Object} headers - The response headers (a fetch Headers object)
+ * @param {Object|null} parsedFeed - The parsed feed, with ttl and skipHours custom fields
+ * @param {Date} now - The current time
+ * @returns {string|null} - ISO timestamp of the next fetch, or null to fetch on every run
+ */
+export function getNextFetchAfter(headers, parsedFeed, now = new Date()) {
+  let delay = parseRetryAfter(headers.get('retry-after'), now);
+
+  if (delay === null) {
+    const maxAge = parseMaxAge(headers.get('cache-control'));
+    const ttl = parseTtl(parsedFeed?.ttl);
+    delay = Math.max(maxAge || 0, ttl || 0) || null;
+  }
+
+  let nextFetch = delay ? new Date(now.getTime() + Math.min(delay, MAX_FETCH_DELAY_MS)) : null;
+
+  const skipHours = parseSkipHours(parsedFeed?.skipHours);
+  if (skipHours.length > 0) {
+    nextFetch = skipPastHours(nextFetch || now, skipHours);
+  }
+
+  return nextFetch && nextFetch > now ? nextFetch.toISOString() : null;
+}
+
+/**
+ * Parse a Retry-After header given in seconds or as an HTTP date
+ * @param {string|null} value - The header value
+ * @param {Date} now - The current time
+ * @returns {number|null} - Delay in milliseconds or null if absent
+ */
+export function parseRetryAfter(value, now = new Date()) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = new Date(value);
+  return isNaN(date) ? null : Math.max(date.getTime() - now.getTime(), 0);
+}
+
+/**
+ * Parse the max-age directive of a Cache-Control header
+ * @param {string|null} value - The header value
+ * @returns {number|null} - max-age in milliseconds or null if absent or the response must not be reused
+ */
+function parseMaxAge(value) {
+  if (!value || /no-cache|no-store/i.test(value)) return null;
+
+  const match = value.match(/max-age=(\d+)/i);
+  return match ? parseInt(match[1], 10) * 1000 : null;
+}
+
+/**
+ * Parse the RSS <ttl> element, given in minutes
+ * @param {string|undefined} value - The ttl value
+ * @returns {number|null} - ttl in milliseconds or null if absent
+ */
+function parseTtl(value) {
+  const minutes = parseInt(value, 10);
+  return minutes > 0 ? minutes * 60 * 1000 : null;
+}
+
+/**
+ * Parse the RSS <skipHours> element into a list of UTC hours
+ * @param {Object|undefined} value - The skipHours element as parsed by xml2js
+ * @returns {Array<number>} - Hours (0-23) during which the feed should not be fetched
+ */
+function parseSkipHours(value) {
+  const hours = value?.hour || [];
+  return (Array.isArray(hours) ? hours : [hours])
+    .map((hour) => parseInt(hour, 10))
+    .filter((hour) => hour >= 0 && hour <= 23);
+}
+
+/**
+ * Move a time forward until it is outside the skipped hours
+ * @param {Date} date - The candidate time
+ * @param {Array<number>} skipHours - UTC hours to skip
+ * @returns {Date} - The first time at or after the candidate that is not skipped
+ */
+function skipPastHours(date, skipHours) {
+  const result = new Date(date);
+
+  // At most 24 steps; a feed that skips every hour is fetched anyway
+  for (let i = 0; i < 24 && skipHours.includes(result.getUTCHours()); i++) {
+    result.setUTCHours(result.getUTCHours() + 1, 0, 0, 0);
+  }
+
+  return result;
+}
@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildConditionalHeaders, getNextFetchAfter, isFetchDue, parseRetryAfter } from './httpCacheUtils.js';
+
+const now = new Date('2024-05-01T10:30:00.000Z');
+
+/**
+ * Create response headers with the same get() as a fetch Headers object
+ * @param {Object} values - Header values keyed by lower-case name
+ * @returns {Map} - The headers
+ */
+function createHeaders(values = {}) {
+  return new Map(Object.entries(values));
+}
+
+describe('getNextFetchAfter', () => {
+  it('fetches on every run without caching hints', () => {
+    assert.equal(getNextFetchAfter(createHeaders(), {}, now), null);
+  });
+
+  it('waits for Retry-After in seconds or as a date, before any other hint', () => {
+    const headers = createHeaders({ 'retry-after': '120', 'cache-control': 'max-age=3600' });
+    assert.equal(getNextFetchAfter(headers, { ttl: '600' }, now), '2024-05-01T10:32:00.000Z');
+
+    const dated = createHeaders({ 'retry-after': 'Wed, 01 May 2024 12:00:00 GMT' });
+    assert.equal(getNextFetchAfter(dated, {}, now), '2024-05-01T12:00:00.000Z');
+  });
+
+  it('takes the longer of max-age and the feed ttl', () => {
+    const headers = createHeaders({ 'cache-control': 'public, max-age=600' });
+    assert.equal(getNextFetchAfter(headers, { ttl: '60' }, now), '2024-05-01T11:30:00.000Z');
+    assert.equal(getNextFetchAfter(headers, { ttl: '5' }, now), '2024-05-01T10:40:00.000Z');
+  });
+
+  it('ignores max-age when the response must not be reused', () => {
+    const headers = createHeaders({ 'cache-control': 'no-cache, max-age=600' });
+    assert.equal(getNextFetchAfter(headers, {}, now), null);
+  });
+
+  it('waits at most a day', () => {
+    assert.equal(getNextFetchAfter(createHeaders(), { ttl: '10000' }, now), '2024-05-02T10:30:00.000Z');
+  });
+
+  it('moves the next fetch past the skipped hours', () => {
+    const feed = { ttl: '60', skipHours: { hour: ['11', '12'] } };
+    assert.equal(getNextFetchAfter(createHeaders(), feed, now), '2024-05-01T13:00:00.000Z');
+
+    // Without another hint, skipped hours apply to the current time
+    assert.equal(getNextFetchAfter(createHeaders(), { skipHours: { hour: '10' } }, now), '2024-05-01T11:00:00.000Z');
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('returns no delay for a missing or invalid value and none for a date in the past', () => {
+    assert.equal(parseRetryAfter(null, now), null);
+    assert.equal(parseRetryAfter('soon', now), null);
+    assert.equal(parseRetryAfter('Wed, 01 May 2024 09:00:00 GMT', now), 0);
+  });
+});
+
+describe('isFetchDue', () => {
+  it('is due without a next fetch time and within a few minutes of it', () => {
+    assert.equal(isFetchDue(null, now), true);
+    assert.equal(isFetchDue({ nextFetchAfter: '2024-05-01T10:33:00.000Z' }, now), true);
+    assert.equal(isFetchDue({ nextFetchAfter: '2024-05-01T11:00:00.000Z' }, now), false);
+  });
+});
+
+describe('buildConditionalHeaders', () => {
+  it('sends the cached validators', () => {
+    assert.deepEqual(buildConditionalHeaders({ etag: '"abc"', lastModified: 'Wed, 01 May 2024 09:00:00 GMT' }), {
+      'If-None-Match': '"abc"',
+      'If-Modified-Since': 'Wed, 01 May 2024 09:00:00 GMT',
+    });
+    assert.deepEqual(buildConditionalHeaders(null), {});
+  });
+});
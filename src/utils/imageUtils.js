@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+
+import * as cheerio from 'cheerio';
+import fetch from 'node-fetch';
+
+import { logger } from './logger.js';
+
+const IMAGE_TIMEOUT_MS = 10000;
+const USER_AGENT = 'RSS Feed Reader Bot/1.0';
+
+// Used when a response does not say what kind of image it is
+const EXTENSIONS_BY_TYPE = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'image/avif': 'avif',
+};
+
+/**
+ * Get the image URLs of an item's media:content elements
+ * @param {Object} item - The feed item
+ * @returns {Array<string>} - The image URLs
+ */
+export function getMediaImageUrls(item) {
+  const media = item['media:content'];
+  if (!media) return [];
+
+  return (Array.isArray(media) ? media : [media])
+    .map((entry) => entry?.$ || {})
+    .filter((attrs) => attrs.url && (attrs.medium === 'image' || attrs.type?.startsWith('image/')))
+    .map((attrs) => attrs.url);
+}
+
+/**
+ * Download the images in HTML fragments and reference them as inline attachments.
+ * Images that cannot be downloaded, are too large or do not fit in the email's budget
+ * keep their remote URL.
+ * @param {Array<Object>} fragments - HTML fragments, each with html and the referer to send
+ * @param {Object} limits - Size caps and request limits
+ * @param {number} limits.maxImageBytes - Largest image that is embedded
+ * @param {number} limits.maxEmailBytes - Largest total size of the embedded images
+ * @param {Object} limits.limiter - Request limiter from createRequestLimiter the downloads are scheduled on
+ * @returns {Promise<Object>} - { fragments, attachments } with the rewritten HTML and nodemailer attachments
+ */
+export async function embedImages(fragments, { maxImageBytes, maxEmailBytes, limiter }) {
+  const attachments = [];
+  const cidsByUrl = new Map();
+  const rewritten = [];
+  let totalBytes = 0;
+
+  for (const { html, referer } of fragments) {
+    const $ = cheerio.load(html, null, false);
+
+    for (const element of $('img[src]').toArray()) {
+      const url = $(element).attr('src');
+      if (!/^https?:/i.test(url)) continue;
+
+      if (!cidsByUrl.has(url)) {
+        const maxBytes = Math.min(maxImageBytes, maxEmailBytes - totalBytes);
+        const image = maxBytes > 0 ? await limiter.schedule(url, () => downloadImage(url, referer, maxBytes)) : null;
+        if (!image) {
+          cidsByUrl.set(url, null);
+          continue;
+        }
+
+        const cid = `${crypto.createHash('sha1').update(url).digest('hex').slice(0, 16)}@rss-feed-mail`;
+        attachments.push({
+          filename: getImageFilename(url, image.contentType, attachments.length),
+          content: image.content,
+          contentType: image.contentType,
+          cid,
+        });
+        cidsByUrl.set(url, cid);
+        totalBytes += image.content.length;
+      }
+
+      const cid = cidsByUrl.get(url);
+      if (cid) {
+        $(element).attr('src', `cid:${cid}`);
+      }
+    }
+
+    rewritten.push($.html());
+  }
+
+  if (attachments.length > 0) {
+    logger.info(`Embedded ${attachments.length} images (${Math.round(totalBytes / 1024)} KB)`);
+  }
+
+  return { fragments: rewritten, attachments };
+}
+
+/**
+ * Download an image, giving up once it grows beyond the size cap
+ * @param {string} url - The image URL
+ * @param {string|undefined} referer - The item link, sent for sites that block hotlinking
+ * @param {number} maxBytes - Largest accepted size
+ * @returns {Promise<Object|null>} - { content, contentType }, or null to keep the remote URL
+ */
+async function downloadImage(url, referer, maxBytes) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), IMAGE_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, {
+      signal: controller.signal,
+      headers: { 'User-Agent': USER_AGENT, ...(referer ? { Referer: referer } : {}) },
+    });
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!response.ok || !contentType.startsWith('image/')) {
+      logger.warn(`Not embedding image ${url}: status ${response.status}, type ${contentType || 'unknown'}`);
+      return null;
+    }
+
+    const chunks = [];
+    let size = Number(response.headers.get('content-length')) || 0;
+    if (size <= maxBytes) {
+      size = 0;
+      for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > maxBytes) break;
+        chunks.push(chunk);
+      }
+    }
+
+    if (size > maxBytes) {
+      controller.abort();
+      logger.warn(`Not embedding image ${url}: over the size limit of ${Math.round(maxBytes / 1024)} KB`);
+      return null;
+    }
+
+    return { content: Buffer.concat(chunks), contentType };
+  } catch (error) {
+    logger.warn(`Not embedding image ${url}: ${error.name === 'AbortError' ? 'timed out' : error.message}`);
+    return null;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Get a file name for an embedded image
+ * @param {string} url - The image URL
+ * @param {string} contentType - The image MIME type
+ * @param {number} index - Position of the attachment, used when the URL has no file name
+ * @returns {string} - The file name
+ */
+function getImageFilename(url, contentType, index) {
+  const name = new URL(url).pathname.split('/').pop();
+  if (name && /\.\w+$/.test(name)) return name;
+
+  return `image-${index + 1}.${EXTENSIONS_BY_TYPE[contentType] || 'img'}`;
+}
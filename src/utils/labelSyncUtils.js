@@ -0,0 +1,307 @@
+import { MAIL_LABELS } from './feedUtils.js';
+
+/**
+ * Kinds of labels the tool creates
+ */
+export const LABEL_KINDS = {
+  ROOT: 'root',
+  GROUP: 'group',
+  FEED: 'feed',
+};
+
+// Labels the tool applies to emails that are not about a configured group, kept even though no group has them
+const RESERVED_LABELS = [MAIL_LABELS.UNCATEGORIZED, MAIL_LABELS.FEED_HEALTH, MAIL_LABELS.RUN_SUMMARY].map(
+  (name) => `${MAIL_LABELS.RSS_FEED}/${name}`
+);
+
+/**
+ * Create an empty label sync state
+ * @returns {Object} - The empty state
+ */
+export function createEmptyLabelSyncState() {
+  return { labels: {} };
+}
+
+/**
+ * Check whether a label belongs to the tool: the root label or any label below it
+ * @param {string} name - The label name
+ * @returns {boolean} - True for tool-owned labels
+ */
+export function isToolLabel(name) {
+  return name === MAIL_LABELS.RSS_FEED || name.startsWith(`${MAIL_LABELS.RSS_FEED}/`);
+}
+
+/**
+ * Build the labels the feed configuration needs: the root label, one per group and one per feed
+ * @param {Object} feedConfig - The feed configuration
+ * @param {Object} feedTitles - Feed titles keyed by feed URL, as used in the feed labels
+ * @returns {Array<Object>} - Labels with name, kind and the URLs of the feeds below them
+ */
+export function buildDesiredLabels(feedConfig, feedTitles) {
+  const labels = [];
+
+  const addGroups = (groups, parentName) => {
+    const feedUrls = [];
+
+    for (const group of groups || []) {
+      const name = `${parentName}/${group.name}`;
+      const label = { name, kind: LABEL_KINDS.GROUP, feedUrls: [] };
+      labels.push(label);
+
+      for (const feed of group.feeds || []) {
+        labels.push({ name: `${name}/${feedTitles[feed.url]}`, kind: LABEL_KINDS.FEED, feedUrls: [feed.url] });
+        label.feedUrls.push(feed.url);
+      }
+
+      label.feedUrls.push(...addGroups(group.groups, name));
+      feedUrls.push(...label.feedUrls);
+    }
+
+    return feedUrls;
+  };
+
+  const root = { name: MAIL_LABELS.RSS_FEED, kind: LABEL_KINDS.ROOT, feedUrls: [] };
+  labels.unshift(root);
+  root.feedUrls = addGroups(feedConfig.groups, MAIL_LABELS.RSS_FEED);
+
+  // A feed title can repeat a group name, so the same label can be asked for twice
+  return labels.filter((label, index) => labels.findIndex((other) => other.name === label.name) === index);
+}
+
+/**
+ * Build the filters that sort the tool's emails into the labels: one per feed label that
+ * also skips the inbox, one per group label with labels below it, and one on the sender
+ * that applies the root label and skips the inbox
+ * @param {Array<Object>} labels - The labels from buildDesiredLabels
+ * @param {string} sender - The sender the filters match
+ * @returns {Array<Object>} - Filters with subject (null for the sender filter), labelName and skipInbox
+ */
+export function buildDesiredFilters(labels, sender) {
+  const filters = [];
+
+  for (const label of labels) {
+    const parts = label.name.split('/').slice(1);
+
+    if (label.kind === LABEL_KINDS.ROOT) {
+      filters.push({ sender, subject: null, labelName: label.name, skipInbox: true });
+    } else if (label.kind === LABEL_KINDS.FEED) {
+      const feedTitle = parts.pop();
+      const subject = parts.map((part) => `[${part}]`).join('') + ': ' + feedTitle;
+      filters.push({ sender, subject, labelName: label.name, skipInbox: true });
+    } else if (labels.some((other) => other.name.startsWith(`${label.name}/`))) {
+      filters.push({
+        sender,
+        subject: parts.map((part) => `[${part}]`).join(''),
+        labelName: label.name,
+        skipInbox: false,
+      });
+    }
+  }
+
+  return filters;
+}
+
+/**
+ * Work out the changes that bring Gmail in line with the desired labels and filters.
+ * Only tool-owned labels, and filters on the sender that apply them, are changed.
+ * A label that is no longer wanted is renamed to a missing one instead of being deleted
+ * when the last sync recorded it for the same feeds, so its messages keep their label.
+ * @param {Object} desired - { labels, filters } from buildDesiredLabels and buildDesiredFilters
+ * @param {Object} existing - { labels, filters } as listed by the Gmail API
+ * @param {Object} state - The label sync state of the last sync
+ * @returns {Object} - The plan: labels to create, rename and delete, filters to create and delete
+ */
+export function planLabelSync(desired, existing, state) {
+  const toolLabels = existing.labels.filter((label) => isToolLabel(label.name));
+  const existingNames = new Set(toolLabels.map((label) => label.name));
+  const desiredNames = new Set(desired.labels.map((label) => label.name));
+
+  const missing = desired.labels.filter((label) => !existingNames.has(label.name));
+  const stale = toolLabels.filter((label) => !desiredNames.has(label.name) && !RESERVED_LABELS.includes(label.name));
+
+  const renameLabels = matchRenamedLabels(missing, stale, state);
+  const renamedIds = new Set(renameLabels.map((rename) => rename.id));
+  const renamedNames = new Set(renameLabels.map((rename) => rename.to));
+
+  const plan = {
+    createLabels: missing.filter((label) => !renamedNames.has(label.name)).map((label) => label.name),
+    renameLabels,
+    deleteLabels: stale
+      .filter((label) => !renamedIds.has(label.id))
+      .map((label) => ({ id: label.id, name: label.name }))
+      .sort((a, b) => b.name.split('/').length - a.name.split('/').length),
+    createFilters: [],
+    deleteFilters: [],
+  };
+
+  // Filters refer to labels by ID, and a renamed label keeps its ID
+  const labelNamesById = new Map(toolLabels.map((label) => [label.id, label.name]));
+  const renamedNamesById = new Map(renameLabels.map((rename) => [rename.id, rename.to]));
+
+  // Every desired filter is on the same sender; filters on other senders are not the tool's
+  const sender = desired.filters[0].sender;
+  const wanted = new Set(desired.filters.map((filter) => getFilterKey(filter)));
+  const kept = new Set();
+
+  for (const filter of existing.filters) {
+    const described = describeFilter(filter, labelNamesById);
+    if (!described || described.sender !== sender) continue;
+
+    const key = getFilterKey({
+      ...described,
+      labelName: renamedNamesById.get(described.labelId) || described.labelName,
+    });
+    if (wanted.has(key) && !kept.has(key)) {
+      kept.add(key);
+    } else {
+      plan.deleteFilters.push({ id: filter.id, ...described });
+    }
+  }
+
+  plan.createFilters = desired.filters.filter((filter) => !kept.has(getFilterKey(filter)));
+
+  return plan;
+}
+
+/**
+ * Count the changes in a plan
+ * @param {Object} plan - The plan from planLabelSync
+ * @returns {number} - Number of changes
+ */
+export function countPlanChanges(plan) {
+  return (
+    plan.createLabels.length +
+    plan.renameLabels.length +
+    plan.deleteLabels.length +
+    plan.createFilters.length +
+    plan.deleteFilters.length
+  );
+}
+
+/**
+ * Format a plan for display, one change per line
+ * @param {Object} plan - The plan from planLabelSync
+ * @returns {string} - The formatted plan
+ */
+export function formatLabelSyncPlan(plan) {
+  if (countPlanChanges(plan) === 0) {
+    return 'Gmail labels and filters are up to date.';
+  }
+
+  return [
+    ...plan.createLabels.map((name) => `+ label   ${name}`),
+    ...plan.renameLabels.map((rename) => `~ label   ${rename.from} -> ${rename.to}`),
+    ...plan.deleteLabels.map((label) => `- label   ${label.name}`),
+    ...plan.createFilters.map((filter) => `+ filter  ${formatFilter(filter)}`),
+    ...plan.deleteFilters.map((filter) => `- filter  ${formatFilter(filter)}`),
+  ].join('\n');
+}
+
+/**
+ * Build the label sync state after a sync, recording which feeds each label was for
+ * @param {Array<Object>} labels - The desired labels
+ * @param {Map} labelIds - Label IDs keyed by label name
+ * @returns {Object} - The label sync state
+ */
+export function buildLabelSyncState(labels, labelIds) {
+  const state = createEmptyLabelSyncState();
+
+  for (const label of labels) {
+    if (labelIds.has(label.name)) {
+      state.labels[labelIds.get(label.name)] = { name: label.name, kind: label.kind, feedUrls: label.feedUrls };
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Record labels created outside a sync, such as by Gmail API delivery, in the label sync state,
+ * so a later sync can rename them when their group or feed is renamed
+ * @param {Object} state - The label sync state, updated in place
+ * @param {Array<Object>} labels - The created labels with id, name, kind and feedUrls
+ * @returns {Object} - The updated state
+ */
+export function recordCreatedLabels(state, labels) {
+  for (const label of labels) {
+    state.labels[label.id] = { name: label.name, kind: label.kind, feedUrls: label.feedUrls };
+  }
+
+  return state;
+}
+
+/**
+ * Pair missing labels with stale labels that the last sync recorded for the same kind and feeds.
+ * Pairs sharing the most feeds are taken first, so each label is renamed at most once.
+ * @param {Array<Object>} missing - Desired labels that do not exist yet
+ * @param {Array<Object>} stale - Existing tool labels that are no longer desired
+ * @param {Object} state - The label sync state of the last sync
+ * @returns {Array<Object>} - Renames with the label id, from and to
+ */
+function matchRenamedLabels(missing, stale, state) {
+  const pairs = [];
+
+  for (const label of missing) {
+    for (const candidate of stale) {
+      const recorded = state.labels[candidate.id];
+      if (!recorded || recorded.kind !== label.kind) continue;
+
+      const shared = label.feedUrls.filter((url) => recorded.feedUrls.includes(url)).length;
+      if (shared > 0 || label.kind === LABEL_KINDS.ROOT) {
+        pairs.push({ label, candidate, shared });
+      }
+    }
+  }
+
+  const renames = [];
+  const usedNames = new Set();
+  const usedIds = new Set();
+
+  for (const { label, candidate } of pairs.sort((a, b) => b.shared - a.shared)) {
+    if (usedNames.has(label.name) || usedIds.has(candidate.id)) continue;
+
+    usedNames.add(label.name);
+    usedIds.add(candidate.id);
+    renames.push({ id: candidate.id, from: candidate.name, to: label.name });
+  }
+
+  return renames.sort((a, b) => a.to.localeCompare(b.to));
+}
+
+/**
+ * Describe an existing Gmail filter in the form of a desired filter
+ * @param {Object} filter - The filter as listed by the Gmail API
+ * @param {Map} labelNamesById - Names of the tool labels keyed by ID
+ * @returns {Object|null} - { sender, subject, labelId, labelName, skipInbox }, or null if it applies no tool label
+ */
+function describeFilter(filter, labelNamesById) {
+  const labelIds = filter.action?.addLabelIds || [];
+  if (labelIds.length !== 1 || !labelNamesById.has(labelIds[0])) return null;
+
+  return {
+    sender: filter.criteria?.from || null,
+    subject: filter.criteria?.subject || null,
+    labelId: labelIds[0],
+    labelName: labelNamesById.get(labelIds[0]),
+    skipInbox: (filter.action.removeLabelIds || []).includes('INBOX'),
+  };
+}
+
+/**
+ * Get a key that is the same for filters that do the same thing
+ * @param {Object} filter - The filter description
+ * @returns {string} - The key
+ */
+function getFilterKey(filter) {
+  return [filter.sender, filter.subject || '', filter.labelName, filter.skipInbox].join('\n');
+}
+
+/**
+ * Format a filter description for the plan
+ * @param {Object} filter - The filter description
+ * @returns {string} - The formatted filter
+ */
+function formatFilter(filter) {
+  const match = filter.subject ? `subject "${filter.subject}"` : `sender "${filter.sender}"`;
+  return `${match} -> ${filter.labelName}${filter.skipInbox ? ', skip inbox' : ''}`;
+}
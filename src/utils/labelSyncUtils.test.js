@@ -0,0 +1,175 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  buildDesiredFilters,
+  buildDesiredLabels,
+  buildLabelSyncState,
+  createEmptyLabelSyncState,
+  formatLabelSyncPlan,
+  planLabelSync,
+} from './labelSyncUtils.js';
+
+const SENDER = 'RSS Feed Reader';
+const feedA = 'https://example.com/a.xml';
+const feedB = 'https://example.com/b.xml';
+
+/**
+ * Build the desired labels and filters of a config with one group of two feeds
+ * @param {string} groupName - Name of the group
+ * @param {string} titleA - Title of the first feed
+ * @returns {Object} - { labels, filters }
+ */
+function buildDesired(groupName = 'Tech', titleA = 'Feed A') {
+  const feedConfig = { groups: [{ name: groupName, feeds: [{ url: feedA }, { url: feedB }] }] };
+  const labels = buildDesiredLabels(feedConfig, { [feedA]: titleA, [feedB]: 'Feed B' });
+  return { labels, filters: buildDesiredFilters(labels, SENDER) };
+}
+
+/**
+ * Turn desired labels and filters into what the Gmail API would list after a sync
+ * @param {Object} desired - { labels, filters }
+ * @returns {Object} - { existing, state } with label IDs Label_1, Label_2, ...
+ */
+function createSyncedMailbox(desired) {
+  const ids = new Map(desired.labels.map((label, index) => [label.name, `Label_${index + 1}`]));
+  const labels = desired.labels.map((label) => ({ id: ids.get(label.name), name: label.name, type: 'user' }));
+  const filters = desired.filters.map((filter, index) => ({
+    id: `Filter_${index + 1}`,
+    criteria: filter.subject ? { subject: filter.subject, from: filter.sender } : { from: filter.sender },
+    action: { addLabelIds: [ids.get(filter.labelName)], ...(filter.skipInbox ? { removeLabelIds: ['INBOX'] } : {}) },
+  }));
+
+  return { existing: { labels, filters }, state: buildLabelSyncState(desired.labels, ids) };
+}
+
+describe('buildDesiredLabels and buildDesiredFilters', () => {
+  it('asks for a root label, a label per group and one per feed, each with its feeds', () => {
+    const { labels, filters } = buildDesired();
+
+    assert.deepEqual(labels, [
+      { name: 'RSS Feeds', kind: 'root', feedUrls: [feedA, feedB] },
+      { name: 'RSS Feeds/Tech', kind: 'group', feedUrls: [feedA, feedB] },
+      { name: 'RSS Feeds/Tech/Feed A', kind: 'feed', feedUrls: [feedA] },
+      { name: 'RSS Feeds/Tech/Feed B', kind: 'feed', feedUrls: [feedB] },
+    ]);
+    assert.deepEqual(filters, [
+      { sender: SENDER, subject: null, labelName: 'RSS Feeds', skipInbox: true },
+      { sender: SENDER, subject: '[Tech]', labelName: 'RSS Feeds/Tech', skipInbox: false },
+      { sender: SENDER, subject: '[Tech]: Feed A', labelName: 'RSS Feeds/Tech/Feed A', skipInbox: true },
+      { sender: SENDER, subject: '[Tech]: Feed B', labelName: 'RSS Feeds/Tech/Feed B', skipInbox: true },
+    ]);
+  });
+});
+
+describe('planLabelSync', () => {
+  it('creates every label and filter in an empty mailbox', () => {
+    const desired = buildDesired();
+    const plan = planLabelSync(desired, { labels: [], filters: [] }, createEmptyLabelSyncState());
+
+    assert.deepEqual(
+      plan.createLabels,
+      desired.labels.map((label) => label.name)
+    );
+    assert.deepEqual(plan.createFilters, desired.filters);
+    assert.deepEqual([plan.renameLabels, plan.deleteLabels, plan.deleteFilters], [[], [], []]);
+  });
+
+  it('changes nothing when the mailbox is in sync', () => {
+    const desired = buildDesired();
+    const { existing, state } = createSyncedMailbox(desired);
+
+    assert.equal(
+      formatLabelSyncPlan(planLabelSync(desired, existing, state)),
+      'Gmail labels and filters are up to date.'
+    );
+  });
+
+  it('renames the labels the last sync recorded for the same feeds', () => {
+    const { existing, state } = createSyncedMailbox(buildDesired());
+    const plan = planLabelSync(buildDesired('Technology', 'Feed A (new)'), existing, state);
+
+    assert.deepEqual(plan.renameLabels, [
+      { id: 'Label_2', from: 'RSS Feeds/Tech', to: 'RSS Feeds/Technology' },
+      { id: 'Label_3', from: 'RSS Feeds/Tech/Feed A', to: 'RSS Feeds/Technology/Feed A (new)' },
+      { id: 'Label_4', from: 'RSS Feeds/Tech/Feed B', to: 'RSS Feeds/Technology/Feed B' },
+    ]);
+    assert.deepEqual([plan.createLabels, plan.deleteLabels], [[], []]);
+
+    // The filters keep their label IDs but match the old subjects
+    assert.deepEqual(
+      plan.deleteFilters.map((filter) => filter.subject),
+      ['[Tech]', '[Tech]: Feed A', '[Tech]: Feed B']
+    );
+    assert.deepEqual(
+      plan.createFilters.map((filter) => filter.subject),
+      ['[Technology]', '[Technology]: Feed A (new)', '[Technology]: Feed B']
+    );
+  });
+
+  it('replaces labels the last sync did not record instead of renaming them', () => {
+    const { existing } = createSyncedMailbox(buildDesired());
+    const plan = planLabelSync(buildDesired('Tech', 'Feed A (new)'), existing, createEmptyLabelSyncState());
+
+    assert.deepEqual(plan.renameLabels, []);
+    assert.deepEqual(plan.createLabels, ['RSS Feeds/Tech/Feed A (new)']);
+    assert.deepEqual(plan.deleteLabels, [{ id: 'Label_3', name: 'RSS Feeds/Tech/Feed A' }]);
+  });
+
+  it('only deletes tool labels and filters, children first, and keeps the reserved labels', () => {
+    const desired = buildDesired();
+    const { existing, state } = createSyncedMailbox(desired);
+    existing.labels.push(
+      { id: 'Label_old', name: 'RSS Feeds/Old', type: 'user' },
+      { id: 'Label_old_feed', name: 'RSS Feeds/Old/Gone', type: 'user' },
+      { id: 'Label_summary', name: 'RSS Feeds/Run Summary', type: 'user' },
+      { id: 'Label_receipts', name: 'Receipts', type: 'user' },
+      { id: 'INBOX', name: 'INBOX', type: 'system' }
+    );
+    existing.filters.push(
+      {
+        id: 'Filter_old',
+        criteria: { subject: '[Old]: Gone', from: SENDER },
+        action: { addLabelIds: ['Label_old_feed'] },
+      },
+      { id: 'Filter_other', criteria: { from: 'someone else' }, action: { addLabelIds: ['Label_1'] } },
+      { id: 'Filter_receipts', criteria: { from: SENDER }, action: { addLabelIds: ['Label_receipts'] } },
+      { id: 'Filter_copy', criteria: { from: SENDER }, action: { addLabelIds: ['Label_1'], removeLabelIds: ['INBOX'] } }
+    );
+
+    const plan = planLabelSync(desired, existing, state);
+
+    assert.deepEqual(plan.deleteLabels, [
+      { id: 'Label_old_feed', name: 'RSS Feeds/Old/Gone' },
+      { id: 'Label_old', name: 'RSS Feeds/Old' },
+    ]);
+    assert.deepEqual(
+      plan.deleteFilters.map((filter) => filter.id),
+      ['Filter_old', 'Filter_copy']
+    );
+    assert.deepEqual([plan.createLabels, plan.createFilters, plan.renameLabels], [[], [], []]);
+  });
+});
+
+describe('formatLabelSyncPlan', () => {
+  it('lists one change per line', () => {
+    const plan = {
+      createLabels: ['RSS Feeds/New'],
+      renameLabels: [{ id: 'Label_1', from: 'RSS Feeds/A', to: 'RSS Feeds/B' }],
+      deleteLabels: [{ id: 'Label_2', name: 'RSS Feeds/Old' }],
+      createFilters: [{ sender: SENDER, subject: '[New]', labelName: 'RSS Feeds/New', skipInbox: false }],
+      deleteFilters: [{ id: 'Filter_1', sender: SENDER, subject: null, labelName: 'RSS Feeds', skipInbox: true }],
+    };
+
+    assert.equal(
+      formatLabelSyncPlan(plan),
+      [
+        '+ label   RSS Feeds/New',
+        '~ label   RSS Feeds/A -> RSS Feeds/B',
+        '- label   RSS Feeds/Old',
+        '+ filter  subject "[New]" -> RSS Feeds/New',
+        '- filter  sender "RSS Feed Reader" -> RSS Feeds, skip inbox',
+      ].join('\n')
+    );
+  });
+});
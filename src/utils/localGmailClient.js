@@ -0,0 +1,178 @@
+import fs from 'fs/promises';
+
+// Labels every mailbox has; they cannot be renamed or deleted
+const SYSTEM_LABELS = ['INBOX', 'SENT', 'DRAFT', 'SPAM', 'TRASH', 'UNREAD', 'STARRED', 'IMPORTANT'];
+
+/**
+ * Create a stand-in for the Gmail API client that keeps its mailbox in a local JSON file.
+ * It covers the label, filter and message calls the tool makes, with the same request and
+ * response shapes, so label syncs and Gmail API delivery can be tried out and checked without
+ * a Google account. Errors listed in the file's `failures` are thrown by the next calls, one
+ * per call, e.g. { "code": 429, "retryAfter": 2 } for a rate limit.
+ * @param {string} filePath - Path of the JSON file holding the mailbox
+ * @returns {Object} - An object with the `users` resource of the Gmail API client
+ */
+export function createLocalGmailClient(filePath) {
+  // Every call reads and writes the whole file, so edits made to it between calls are seen.
+  // Calls run one at a time, so calls made together do not overwrite each other's changes.
+  let lastCall = Promise.resolve();
+  const update = (change) => {
+    const call = lastCall.then(async () => {
+      const mailbox = await loadMailbox(filePath);
+      const failure = mailbox.failures?.shift();
+      const data = failure ? null : change(mailbox);
+      await fs.writeFile(filePath, JSON.stringify(mailbox, null, 2), 'utf8');
+
+      if (failure) {
+        throw createApiError(failure.code, failure.message || `Simulated error ${failure.code}`, failure.retryAfter);
+      }
+      return { data };
+    });
+    lastCall = call.catch(() => {});
+    return call;
+  };
+
+  const addMessage = ({ requestBody }) =>
+    update((mailbox) => {
+      for (const id of requestBody.labelIds || []) {
+        findLabel(mailbox, id);
+      }
+      const id = `Message_${mailbox.nextId++}`;
+      // Like Gmail, a message without a thread ID starts a thread of its own
+      const threadId = requestBody.threadId || id;
+      mailbox.messages.push({ id, threadId, labelIds: requestBody.labelIds || [], raw: requestBody.raw });
+      return { id, threadId, labelIds: requestBody.labelIds || [] };
+    });
+
+  return {
+    users: {
+      messages: {
+        insert: addMessage,
+        import: addMessage,
+      },
+      labels: {
+        list: () => update((mailbox) => ({ labels: mailbox.labels })),
+        create: ({ requestBody }) =>
+          update((mailbox) => {
+            assertLabelNameFree(mailbox, requestBody.name);
+            const label = { ...requestBody, id: `Label_${mailbox.nextId++}`, type: 'user' };
+            mailbox.labels.push(label);
+            return label;
+          }),
+        patch: ({ id, requestBody }) =>
+          update((mailbox) => {
+            const label = findUserLabel(mailbox, id);
+            if (requestBody.name && requestBody.name !== label.name) {
+              assertLabelNameFree(mailbox, requestBody.name);
+            }
+            return Object.assign(label, requestBody, { id, type: 'user' });
+          }),
+        delete: ({ id }) =>
+          update((mailbox) => {
+            findUserLabel(mailbox, id);
+            mailbox.labels = mailbox.labels.filter((label) => label.id !== id);
+            return '';
+          }),
+      },
+      settings: {
+        filters: {
+          // Like the API, an empty list leaves out the `filter` field
+          list: () => update((mailbox) => (mailbox.filters.length > 0 ? { filter: mailbox.filters } : {})),
+          create: ({ requestBody }) =>
+            update((mailbox) => {
+              for (const id of requestBody.action?.addLabelIds || []) {
+                findLabel(mailbox, id);
+              }
+              const filter = { ...requestBody, id: `Filter_${mailbox.nextId++}` };
+              mailbox.filters.push(filter);
+              return filter;
+            }),
+          delete: ({ id }) =>
+            update((mailbox) => {
+              if (!mailbox.filters.some((filter) => filter.id === id)) {
+                throw createApiError(404, `Filter not found: ${id}`);
+              }
+              mailbox.filters = mailbox.filters.filter((filter) => filter.id !== id);
+              return '';
+            }),
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Load the mailbox file. A new mailbox, or one without labels, starts with only the system labels.
+ * @param {string} filePath - Path of the JSON file holding the mailbox
+ * @returns {Promise<Object>} - The mailbox with labels, filters, messages and the next ID
+ */
+async function loadMailbox(filePath) {
+  let mailbox = {};
+  try {
+    mailbox = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  return {
+    labels: SYSTEM_LABELS.map((name) => ({ id: name, name, type: 'system' })),
+    filters: [],
+    messages: [],
+    nextId: 1,
+    ...mailbox,
+  };
+}
+
+/**
+ * Find a label by ID
+ * @param {Object} mailbox - The mailbox
+ * @param {string} id - The label ID
+ * @returns {Object} - The label
+ */
+function findLabel(mailbox, id) {
+  const label = mailbox.labels.find((candidate) => candidate.id === id);
+  if (!label) {
+    throw createApiError(404, `Label not found: ${id}`);
+  }
+  return label;
+}
+
+/**
+ * Find a label by ID that can be changed
+ * @param {Object} mailbox - The mailbox
+ * @param {string} id - The label ID
+ * @returns {Object} - The label
+ */
+function findUserLabel(mailbox, id) {
+  const label = findLabel(mailbox, id);
+  if (label.type === 'system') {
+    throw createApiError(400, `Invalid label: ${id}`);
+  }
+  return label;
+}
+
+/**
+ * Check that no label has a name yet
+ * @param {Object} mailbox - The mailbox
+ * @param {string} name - The label name
+ * @returns {void}
+ */
+function assertLabelNameFree(mailbox, name) {
+  if (mailbox.labels.some((label) => label.name.toLowerCase() === name.toLowerCase())) {
+    throw createApiError(409, 'Label name exists or conflicts');
+  }
+}
+
+/**
+ * Create an error shaped like the errors of the Gmail API client
+ * @param {number} code - The HTTP status code
+ * @param {string} message - The error message
+ * @param {number} [retryAfter] - Seconds for the Retry-After header, if any
+ * @returns {Error} - The error
+ */
+function createApiError(code, message, retryAfter) {
+  const error = new Error(message);
+  error.code = code;
+  error.response = { status: code, headers: retryAfter === undefined ? {} : { 'retry-after': String(retryAfter) } };
+  return error;
+}
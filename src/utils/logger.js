@@ -0,0 +1,183 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Log levels, from most to least verbose
+ */
+export const LOG_LEVELS = {
+  DEBUG: 'debug',
+  INFO: 'info',
+  WARN: 'warn',
+  ERROR: 'error',
+};
+
+/**
+ * Formats log lines can be written in
+ */
+export const LOG_FORMATS = {
+  TEXT: 'text',
+  JSON: 'json',
+};
+
+const LEVEL_PRIORITIES = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const settings = {
+  level: LOG_LEVELS.INFO,
+  format: LOG_FORMATS.TEXT,
+  file: null,
+  maxBytes: 5 * 1024 * 1024,
+  maxFiles: 5,
+};
+
+// Fields added to every log line, such as the run ID
+const context = {};
+
+// Bytes written to the log file since it was last rotated
+let fileSize = null;
+
+/**
+ * Change the logger settings. Unknown levels and formats are ignored.
+ * @param {Object} options - Settings to change
+ * @param {string} [options.level] - Least severe level that is logged
+ * @param {string} [options.format] - "text" or "json" (one JSON object per line)
+ * @param {string|null} [options.file] - File to append to instead of the console
+ * @param {number} [options.maxBytes] - Size at which the log file is rotated
+ * @param {number} [options.maxFiles] - Number of rotated log files to keep
+ * @returns {void}
+ */
+export function configureLogger({ level, format, file, maxBytes, maxFiles } = {}) {
+  if (level && LEVEL_PRIORITIES[level.toLowerCase()]) settings.level = level.toLowerCase();
+  if (format && Object.values(LOG_FORMATS).includes(format.toLowerCase())) settings.format = format.toLowerCase();
+  if (maxBytes > 0) settings.maxBytes = maxBytes;
+  if (maxFiles >= 0) settings.maxFiles = maxFiles;
+
+  if (file !== undefined && file !== settings.file) {
+    settings.file = file || null;
+    fileSize = null;
+  }
+}
+
+/**
+ * Set fields that are added to every following log line
+ * @param {Object} fields - Fields such as { runId }
+ * @returns {void}
+ */
+export function setLogContext(fields) {
+  Object.assign(context, fields);
+}
+
+/**
+ * The logger. Each method takes a message and optional details: an object of fields
+ * such as { feedUrl }, with an Error under `error`, or an Error by itself.
+ */
+export const logger = {
+  debug: (message, details) => log(LOG_LEVELS.DEBUG, message, details),
+  info: (message, details) => log(LOG_LEVELS.INFO, message, details),
+  warn: (message, details) => log(LOG_LEVELS.WARN, message, details),
+  error: (message, details) => log(LOG_LEVELS.ERROR, message, details),
+};
+
+/**
+ * Write a log line if its level is enabled
+ * @param {string} level - The level of the line
+ * @param {string} message - The message
+ * @param {Object|Error} details - Extra fields, or an error
+ * @returns {void}
+ */
+function log(level, message, details = {}) {
+  if (LEVEL_PRIORITIES[level] < LEVEL_PRIORITIES[settings.level]) return;
+
+  const { error, ...fields } = details instanceof Error ? { error: details } : details;
+  const entry = { time: new Date().toISOString(), level, message, ...context, ...fields };
+  const line = settings.format === LOG_FORMATS.JSON ? formatJson(entry, error) : formatText(entry, error);
+
+  if (settings.file) {
+    writeToFile(line);
+  } else if (LEVEL_PRIORITIES[level] >= LEVEL_PRIORITIES.warn) {
+    process.stderr.write(line + '\n');
+  } else {
+    process.stdout.write(line + '\n');
+  }
+}
+
+/**
+ * Format a log entry as a JSON line
+ * @param {Object} entry - The log entry
+ * @param {Error|undefined} error - The error, if any
+ * @returns {string} - The line
+ */
+function formatJson(entry, error) {
+  if (error) {
+    entry.error = { message: error.message, code: error.code, status: error.status, stack: error.stack };
+  }
+  return JSON.stringify(entry);
+}
+
+/**
+ * Format a log entry as a line of text: time, level, message and the extra fields.
+ * Errors show their message, or their stack trace at debug level.
+ * @param {Object} entry - The log entry
+ * @param {Error|undefined} error - The error, if any
+ * @returns {string} - The line
+ */
+function formatText(entry, error) {
+  const { time, level, message, ...fields } = entry;
+  const extras = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`);
+
+  let line = `${time} ${level.toUpperCase().padEnd(5)} ${message}`;
+  if (error) {
+    line += settings.level === LOG_LEVELS.DEBUG && error.stack ? `\n${error.stack}` : `: ${error.message}`;
+  }
+  return extras.length > 0 ? `${line} (${extras.join(', ')})` : line;
+}
+
+/**
+ * Append a line to the log file, rotating the file once it reaches maxBytes.
+ * Falls back to the console if the file cannot be written.
+ * @param {string} line - The line
+ * @returns {void}
+ */
+function writeToFile(line) {
+  const data = line + '\n';
+
+  try {
+    if (fileSize === null) {
+      fs.mkdirSync(path.dirname(settings.file), { recursive: true });
+      fileSize = fs.existsSync(settings.file) ? fs.statSync(settings.file).size : 0;
+    }
+
+    if (fileSize > 0 && fileSize + Buffer.byteLength(data) > settings.maxBytes) {
+      rotateLogFiles();
+      fileSize = 0;
+    }
+
+    fs.appendFileSync(settings.file, data, 'utf8');
+    fileSize += Buffer.byteLength(data);
+  } catch (error) {
+    process.stderr.write(`Cannot write log file ${settings.file}: ${error.message}\n${data}`);
+  }
+}
+
+/**
+ * Rotate the log files: rss-feed.log becomes rss-feed.log.1, .1 becomes .2 and so on,
+ * and the oldest file beyond maxFiles is removed
+ * @returns {void}
+ */
+function rotateLogFiles() {
+  const file = settings.file;
+
+  if (settings.maxFiles === 0) {
+    fs.rmSync(file, { force: true });
+    return;
+  }
+
+  fs.rmSync(`${file}.${settings.maxFiles}`, { force: true });
+  for (let index = settings.maxFiles - 1; index >= 1; index--) {
+    if (fs.existsSync(`${file}.${index}`)) {
+      fs.renameSync(`${file}.${index}`, `${file}.${index + 1}`);
+    }
+  }
+  fs.renameSync(file, `${file}.1`);
+}
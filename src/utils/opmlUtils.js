@@ -0,0 +1,218 @@
+import * as cheerio from 'cheerio';
+
+import { MAIL_LABELS } from './feedUtils.js';
+
+/**
+ * Parse an OPML document into the nested groups/feeds structure of feed-config.json.
+ * Folder outlines become groups, outlines with an xmlUrl become feeds, and feeds
+ * outside any folder are collected in an "Uncategorized" group.
+ * @param {string} xml - The OPML document
+ * @returns {Object} - Feed configuration with the imported groups
+ */
+export function parseOpml(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const body = $('opml > body');
+
+  if (body.length === 0) {
+    throw new Error('Not an OPML document: missing <opml><body>');
+  }
+
+  const rootGroup = parseOutlines($, body.children('outline'), MAIL_LABELS.UNCATEGORIZED);
+  const groups = rootGroup.groups || [];
+
+  // Feeds at the top level have no folder to go in
+  if (rootGroup.feeds) {
+    const uncategorized = groups.find((group) => group.name === MAIL_LABELS.UNCATEGORIZED);
+    if (uncategorized) {
+      uncategorized.feeds = [...(uncategorized.feeds || []), ...rootGroup.feeds];
+    } else {
+      groups.push({ name: MAIL_LABELS.UNCATEGORIZED, feeds: rootGroup.feeds });
+    }
+  }
+
+  return { groups };
+}
+
+/**
+ * Build an OPML document from a feed configuration
+ * @param {Object} feedConfig - The feed configuration
+ * @param {string} title - Title for the OPML head
+ * @returns {string} - The OPML document
+ */
+export function buildOpml(feedConfig, title = 'RSS Feed Mail subscriptions') {
+  const body = (feedConfig.groups || []).map((group) => buildGroupOutline(group, '    ')).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>${escapeXml(title)}</title>
+    <dateCreated>${new Date().toUTCString()}</dateCreated>
+  </head>
+  <body>
+${body}
+  </body>
+</opml>
+`;
+}
+
+/**
+ * Merge imported groups into an existing configuration.
+ * Groups are matched by name at each level, and feeds whose URL already appears
+ * anywhere in the existing configuration are skipped.
+ * @param {Object} feedConfig - The existing feed configuration, left unchanged
+ * @param {Object} importedConfig - The configuration to merge in
+ * @returns {Object} - { feedConfig, added, skipped } with the merged configuration and feed counts
+ */
+export function mergeFeedConfigs(feedConfig, importedConfig) {
+  const merged = JSON.parse(JSON.stringify(feedConfig));
+  merged.groups = merged.groups || [];
+
+  const knownUrls = new Set();
+  collectFeedUrls(merged.groups, knownUrls);
+
+  const counts = { added: 0, skipped: 0 };
+  mergeGroups(merged.groups, importedConfig.groups || [], knownUrls, counts);
+
+  return { feedConfig: merged, ...counts };
+}
+
+/**
+ * Convert a list of outline elements into a group's feeds and subgroups
+ * @param {Object} $ - The cheerio document
+ * @param {Object} outlines - The outline elements
+ * @param {string} name - Name of the group being built
+ * @returns {Object} - The group, with feeds and groups only when non-empty
+ */
+function parseOutlines($, outlines, name) {
+  const feeds = [];
+  const groups = [];
+
+  outlines.each((_, element) => {
+    const outline = $(element);
+    const label = outline.attr('title') || outline.attr('text') || '';
+    const xmlUrl = outline.attr('xmlUrl');
+
+    if (xmlUrl) {
+      feeds.push({ title: label || xmlUrl, url: xmlUrl.trim() });
+      return;
+    }
+
+    const group = parseOutlines($, outline.children('outline'), sanitizeGroupName(label));
+    if (group.feeds || group.groups) {
+      groups.push(group);
+    }
+  });
+
+  const group = { name };
+  if (feeds.length > 0) group.feeds = feeds;
+  if (groups.length > 0) group.groups = groups;
+  return group;
+}
+
+/**
+ * Build the outline element for a group and everything below it
+ * @param {Object} group - The group
+ * @param {string} indent - Indentation for this level
+ * @returns {string} - The outline XML
+ */
+function buildGroupOutline(group, indent) {
+  const name = escapeXml(group.name);
+  const children = [
+    ...(group.feeds || []).map(
+      (feed) =>
+        `${indent}  <outline type="rss" text="${escapeXml(feed.title || feed.url)}" ` +
+        `title="${escapeXml(feed.title || feed.url)}" xmlUrl="${escapeXml(feed.url)}"/>`
+    ),
+    ...(group.groups || []).map((subgroup) => buildGroupOutline(subgroup, `${indent}  `)),
+  ];
+
+  if (children.length === 0) {
+    return `${indent}<outline text="${name}" title="${name}"/>`;
+  }
+
+  return `${indent}<outline text="${name}" title="${name}">\n${children.join('\n')}\n${indent}</outline>`;
+}
+
+/**
+ * Merge imported groups into a list of existing groups in place
+ * @param {Array} groups - The existing groups
+ * @param {Array} importedGroups - The groups to merge in
+ * @param {Set<string>} knownUrls - Feed URLs already present
+ * @param {Object} counts - Running counts of added and skipped feeds
+ * @returns {void}
+ */
+function mergeGroups(groups, importedGroups, knownUrls, counts) {
+  const createdGroups = new Set();
+
+  for (const importedGroup of importedGroups) {
+    let group = groups.find((candidate) => candidate.name === importedGroup.name);
+    if (!group) {
+      group = { name: importedGroup.name };
+      groups.push(group);
+      createdGroups.add(group);
+    }
+
+    for (const feed of importedGroup.feeds || []) {
+      if (knownUrls.has(feed.url)) {
+        counts.skipped++;
+        continue;
+      }
+
+      group.feeds = group.feeds || [];
+      group.feeds.push(feed);
+      knownUrls.add(feed.url);
+      counts.added++;
+    }
+
+    if (importedGroup.groups?.length) {
+      group.groups = group.groups || [];
+      mergeGroups(group.groups, importedGroup.groups, knownUrls, counts);
+    }
+  }
+
+  // Drop new groups that ended up without feeds because every import was a duplicate
+  for (let i = groups.length - 1; i >= 0; i--) {
+    if (createdGroups.has(groups[i]) && !groups[i].feeds?.length && !groups[i].groups?.length) {
+      groups.splice(i, 1);
+    }
+  }
+}
+
+/**
+ * Collect every feed URL in a list of groups
+ * @param {Array} groups - The groups
+ * @param {Set<string>} urls - Set to add the URLs to
+ * @returns {void}
+ */
+function collectFeedUrls(groups, urls) {
+  for (const group of groups) {
+    for (const feed of group.feeds || []) {
+      urls.add(feed.url);
+    }
+    collectFeedUrls(group.groups || [], urls);
+  }
+}
+
+/**
+ * Make an OPML folder name usable as a group name, which becomes a label and subject prefix
+ * @param {string} name - The folder name
+ * @returns {string} - The sanitized group name
+ */
+function sanitizeGroupName(name) {
+  const sanitized = name.replace(/\//g, '-').replace(/\[/g, '(').replace(/\]/g, ')').trim();
+  return sanitized || MAIL_LABELS.UNCATEGORIZED;
+}
+
+/**
+ * Escape a string for use in XML text or attribute values
+ * @param {string} value - The string to escape
+ * @returns {string} - The escaped string
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
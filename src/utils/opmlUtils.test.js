@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildOpml, mergeFeedConfigs, parseOpml } from './opmlUtils.js';
+
+const feedConfig = {
+  groups: [
+    {
+      name: 'Tech',
+      feeds: [{ title: 'Tom & Jerry <Dev>', url: 'https://example.com/feed.xml?a=1&b=2' }],
+      groups: [{ name: 'Web', feeds: [{ title: 'Web Feed', url: 'https://example.com/web.xml' }] }],
+    },
+    { name: 'News', feeds: [{ title: 'Daily', url: 'https://news.example.com/rss' }] },
+  ],
+};
+
+describe('buildOpml and parseOpml', () => {
+  it('round-trips the groups, feed titles and URLs', () => {
+    const opml = buildOpml(feedConfig, 'My feeds');
+
+    assert.match(opml, /<title>My feeds<\/title>/);
+    assert.match(opml, /text="Tom &amp; Jerry &lt;Dev&gt;"/);
+    assert.deepEqual(parseOpml(opml), feedConfig);
+  });
+
+  it('puts feeds outside any folder in an Uncategorized group and makes folder names usable', () => {
+    const opml = `<?xml version="1.0"?>
+      <opml version="1.0"><body>
+        <outline text="Loose" xmlUrl=" https://example.com/loose.xml "/>
+        <outline text="A/B [beta]">
+          <outline title="Nested" xmlUrl="https://example.com/nested.xml"/>
+        </outline>
+        <outline text="Empty folder"/>
+      </body></opml>`;
+
+    assert.deepEqual(parseOpml(opml), {
+      groups: [
+        { name: 'A-B (beta)', feeds: [{ title: 'Nested', url: 'https://example.com/nested.xml' }] },
+        { name: 'Uncategorized', feeds: [{ title: 'Loose', url: 'https://example.com/loose.xml' }] },
+      ],
+    });
+  });
+
+  it('rejects documents that are not OPML', () => {
+    assert.throws(() => parseOpml('<rss><channel/></rss>'), /Not an OPML document/);
+  });
+});
+
+describe('mergeFeedConfigs', () => {
+  it('adds new feeds into groups of the same name and skips URLs already configured anywhere', () => {
+    const imported = {
+      groups: [
+        {
+          name: 'Tech',
+          feeds: [
+            { title: 'Copy', url: 'https://news.example.com/rss' },
+            { title: 'New', url: 'https://example.com/new.xml' },
+          ],
+          groups: [{ name: 'Web', feeds: [{ title: 'Web Feed', url: 'https://example.com/web.xml' }] }],
+        },
+        { name: 'Only duplicates', feeds: [{ title: 'Daily', url: 'https://news.example.com/rss' }] },
+      ],
+    };
+
+    const result = mergeFeedConfigs(feedConfig, imported);
+
+    assert.equal(result.added, 1);
+    assert.equal(result.skipped, 3);
+    assert.deepEqual(
+      result.feedConfig.groups.map((group) => group.name),
+      ['Tech', 'News']
+    );
+    assert.deepEqual(result.feedConfig.groups[0].feeds.at(-1), { title: 'New', url: 'https://example.com/new.xml' });
+    assert.equal(result.feedConfig.groups[0].groups[0].feeds.length, 1);
+
+    // The existing configuration is left as it was
+    assert.equal(feedConfig.groups[0].feeds.length, 1);
+  });
+
+  it('does not duplicate a feed that the import lists twice', () => {
+    const feed = { title: 'Twice', url: 'https://example.com/twice.xml' };
+    const result = mergeFeedConfigs(
+      { groups: [] },
+      {
+        groups: [
+          { name: 'A', feeds: [feed] },
+          { name: 'B', feeds: [feed] },
+        ],
+      }
+    );
+
+    assert.deepEqual(result.feedConfig, { groups: [{ name: 'A', feeds: [feed] }] });
+    assert.deepEqual([result.added, result.skipped], [1, 1]);
+  });
+});
@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+
+import { getItemKey } from './seenUtils.js';
+
+/**
+ * Create an outbox entry for an email that could not be sent
+ * @param {Object} email - The email, with items, subject and groupPath
+ * @param {Error} error - The last send error
+ * @param {Date} now - The current time
+ * @returns {Object} - The outbox entry
+ */
+export function createOutboxEntry(email, error, now = new Date()) {
+  return {
+    ...email,
+    id: crypto.randomUUID(),
+    attempts: 1,
+    firstFailedAt: now.toISOString(),
+    lastAttemptAt: now.toISOString(),
+    lastError: error.message,
+  };
+}
+
+/**
+ * Record another failed attempt on an outbox entry
+ * @param {Object} entry - The outbox entry, updated in place
+ * @param {Error} error - The last send error
+ * @param {Date} now - The current time
+ * @returns {Object} - The updated entry
+ */
+export function recordFailedAttempt(entry, error, now = new Date()) {
+  entry.attempts++;
+  entry.lastAttemptAt = now.toISOString();
+  entry.lastError = error.message;
+  return entry;
+}
+
+/**
+ * Queue an email that failed to send: a new email gets an outbox entry, an email from the
+ * outbox another attempt. The entry goes (back) into the outbox until it has failed
+ * `maxAttempts` times, after which it is given up.
+ * @param {Object} outbox - The outbox, updated in place
+ * @param {Object} email - The email that failed
+ * @param {Object|null} entry - The outbox entry the email was sent from, or null for a new email
+ * @param {Error} error - The last send error
+ * @param {number} maxAttempts - Number of failed attempts after which the email is given up
+ * @param {Date} now - The current time
+ * @returns {Object} - { entry, givenUp } with the created or updated entry
+ */
+export function queueFailedEmail(outbox, email, entry, error, maxAttempts, now = new Date()) {
+  const failedEntry = entry ? recordFailedAttempt(entry, error, now) : createOutboxEntry(email, error, now);
+  const givenUp = failedEntry.attempts >= maxAttempts;
+  if (!givenUp) {
+    outbox.entries.push(failedEntry);
+  }
+  return { entry: failedEntry, givenUp };
+}
+
+/**
+ * Remove new items that are already waiting in the outbox, so they are not sent twice
+ * @param {Object} feedResults - The feed results, updated in place
+ * @param {Object} outbox - The outbox
+ * @returns {number} - Number of items removed
+ */
+export function removeQueuedItems(feedResults, outbox) {
+  const queued = new Set(
+    outbox.entries.flatMap((entry) => entry.items.map((item) => `${item.feedUrl}\n${getItemKey(item)}`))
+  );
+  if (queued.size === 0) return 0;
+
+  let removed = 0;
+  for (const [feedUrl, result] of Object.entries(feedResults)) {
+    const items = result.items.filter((item) => !queued.has(`${feedUrl}\n${getItemKey(item)}`));
+    removed += result.items.length - items.length;
+    result.items = items;
+  }
+
+  return removed;
+}
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createOutboxEntry, queueFailedEmail, removeQueuedItems } from './outboxUtils.js';
+
+const feedUrl = 'https://example.com/feed.xml';
+const email = { subject: 'Digest', groupPath: 'Tech', items: [{ guid: 'a', feedUrl }] };
+
+describe('queueFailedEmail', () => {
+  it('queues a new email that failed with its first attempt', () => {
+    const outbox = { entries: [] };
+    const now = new Date('2024-05-01T10:00:00.000Z');
+
+    const { entry, givenUp } = queueFailedEmail(outbox, email, null, new Error('Connection refused'), 3, now);
+
+    assert.equal(givenUp, false);
+    assert.deepEqual(outbox.entries, [entry]);
+    assert.deepEqual(
+      { ...entry, id: typeof entry.id },
+      {
+        ...email,
+        id: 'string',
+        attempts: 1,
+        firstFailedAt: '2024-05-01T10:00:00.000Z',
+        lastAttemptAt: '2024-05-01T10:00:00.000Z',
+        lastError: 'Connection refused',
+      }
+    );
+  });
+
+  it('puts an email from the outbox back with another attempt', () => {
+    const entry = createOutboxEntry(email, new Error('Timeout'), new Date('2024-05-01T10:00:00.000Z'));
+    const outbox = { entries: [] };
+
+    const queued = queueFailedEmail(outbox, entry, entry, new Error('Quota'), 3, new Date('2024-05-01T12:00:00.000Z'));
+
+    assert.equal(queued.givenUp, false);
+    assert.equal(queued.entry, entry);
+    assert.deepEqual(outbox.entries, [entry]);
+    assert.equal(entry.attempts, 2);
+    assert.equal(entry.firstFailedAt, '2024-05-01T10:00:00.000Z');
+    assert.equal(entry.lastAttemptAt, '2024-05-01T12:00:00.000Z');
+    assert.equal(entry.lastError, 'Quota');
+  });
+
+  it('gives an email up once it has failed the maximum number of attempts', () => {
+    const outbox = { entries: [] };
+    let entry = null;
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      outbox.entries = [];
+      const queued = queueFailedEmail(outbox, email, entry, new Error(`Attempt ${attempt}`), 3);
+      entry = queued.entry;
+      assert.equal(queued.givenUp, attempt === 3);
+    }
+
+    assert.deepEqual(outbox.entries, []);
+    assert.equal(entry.attempts, 3);
+    assert.equal(entry.lastError, 'Attempt 3');
+  });
+});
+
+describe('removeQueuedItems', () => {
+  it('removes new items that an outbox entry already holds, matching them by feed and item key', () => {
+    const outbox = {
+      entries: [createOutboxEntry({ ...email, items: [{ guid: 'a', feedUrl }] }, new Error('Timeout'))],
+    };
+    const feedResults = {
+      [feedUrl]: {
+        items: [
+          { guid: 'a', feedUrl },
+          { guid: 'b', feedUrl },
+        ],
+      },
+      'https://example.com/other.xml': { items: [{ guid: 'a', feedUrl: 'https://example.com/other.xml' }] },
+    };
+
+    assert.equal(removeQueuedItems(feedResults, outbox), 1);
+    assert.deepEqual(feedResults[feedUrl].items, [{ guid: 'b', feedUrl }]);
+    assert.equal(feedResults['https://example.com/other.xml'].items.length, 1);
+  });
+
+  it('leaves the feed results alone when the outbox is empty', () => {
+    const feedResults = { [feedUrl]: { items: [{ guid: 'a', feedUrl }] } };
+
+    assert.equal(removeQueuedItems(feedResults, { entries: [] }), 0);
+    assert.equal(feedResults[feedUrl].items.length, 1);
+  });
+});
@@ -0,0 +1,148 @@
+import { resolveFeedSetting } from './feedUtils.js';
+
+/**
+ * Header fields a recipient can be listed in, strongest first
+ */
+export const RECIPIENT_FIELDS = ['to', 'cc', 'bcc'];
+
+/**
+ * Resolve the recipients of a feed's emails. The nearest group or feed with `recipients` decides.
+ * @param {Object|null} context - The feed context from findFeedContext
+ * @param {string} defaultRecipient - Recipient of feeds without `recipients` (EMAIL_RECIPIENT)
+ * @returns {Object} - { to, cc, bcc } lists of addresses
+ */
+export function resolveRecipients(context, defaultRecipient) {
+  const recipients = resolveFeedSetting(context, 'recipients', null);
+  return recipients ? normalizeRecipients(recipients) : createDefaultRecipients(defaultRecipient);
+}
+
+/**
+ * Get the recipients of emails without recipients of their own: EMAIL_RECIPIENT alone
+ * @param {string} defaultRecipient - The default recipient (EMAIL_RECIPIENT)
+ * @returns {Object} - { to, cc, bcc } lists of addresses
+ */
+export function createDefaultRecipients(defaultRecipient) {
+  return { to: defaultRecipient ? [defaultRecipient] : [], cc: [], bcc: [] };
+}
+
+/**
+ * Get every address of a set of recipients
+ * @param {Object} recipients - { to, cc, bcc } lists of addresses
+ * @returns {Array<string>} - The addresses
+ */
+export function getRecipientAddresses(recipients) {
+  return RECIPIENT_FIELDS.flatMap((field) => recipients[field]);
+}
+
+/**
+ * Get a key that is the same for equal sets of recipients, whatever their order or case
+ * @param {Object} recipients - { to, cc, bcc } lists of addresses
+ * @returns {string} - The key
+ */
+export function getRecipientsKey(recipients) {
+  return RECIPIENT_FIELDS.map((field) => {
+    const addresses = recipients[field].map((address) => normalizeAddress(address)).sort();
+    return `${field}:${addresses.join(',')}`;
+  }).join(';');
+}
+
+/**
+ * Check whether two sets of recipients are the same
+ * @param {Object} first - { to, cc, bcc } lists of addresses
+ * @param {Object} second - { to, cc, bcc } lists of addresses
+ * @returns {boolean} - True if both list the same addresses in the same fields
+ */
+export function isSameRecipients(first, second) {
+  return getRecipientsKey(first) === getRecipientsKey(second);
+}
+
+/**
+ * Split the items of a digest so every address gets exactly one digest with all the items meant
+ * for it. Addresses that get the same items share an email, and an address listed in different
+ * fields for different items is put in the strongest one (to, then cc, then bcc). Items without
+ * any address are kept in a digest without recipients, so sending it fails instead of losing them.
+ * @param {Array<Object>} entries - The digest items, each as { item, recipients }
+ * @returns {Array<Object>} - The digests, each as { items, recipients }
+ */
+export function splitDigestByRecipients(entries) {
+  const addresses = new Map();
+
+  entries.forEach(({ recipients }, index) => {
+    for (const field of RECIPIENT_FIELDS) {
+      for (const address of recipients[field]) {
+        const key = normalizeAddress(address);
+        if (!addresses.has(key)) {
+          addresses.set(key, { address, field, indexes: new Set() });
+        }
+
+        const entry = addresses.get(key);
+        entry.indexes.add(index);
+        if (RECIPIENT_FIELDS.indexOf(field) < RECIPIENT_FIELDS.indexOf(entry.field)) {
+          entry.field = field;
+        }
+      }
+    }
+  });
+
+  // Addresses that get the same items share a digest
+  const digests = new Map();
+  for (const { address, field, indexes } of addresses.values()) {
+    const itemsKey = [...indexes].sort((a, b) => a - b).join(',');
+    if (!digests.has(itemsKey)) {
+      digests.set(itemsKey, {
+        items: entries.filter((entry, index) => indexes.has(index)).map((entry) => entry.item),
+        recipients: { to: [], cc: [], bcc: [] },
+      });
+    }
+    digests.get(itemsKey).recipients[field].push(address);
+  }
+
+  const unaddressed = entries.filter((entry) => getRecipientAddresses(entry.recipients).length === 0);
+  if (unaddressed.length > 0) {
+    digests.set('', { items: unaddressed.map((entry) => entry.item), recipients: { to: [], cc: [], bcc: [] } });
+  }
+
+  return [...digests.values()];
+}
+
+/**
+ * Get the plain address of a mailbox such as `"RSS Feeds" <feeds@example.com>`
+ * @param {string} mailbox - The mailbox
+ * @returns {string} - The address
+ */
+export function getMailboxAddress(mailbox) {
+  const match = mailbox.match(/<([^>]+)>/);
+  return match ? match[1] : mailbox.trim();
+}
+
+/**
+ * Expand a recipients setting to lists of addresses, dropping empty entries. An address listed
+ * more than once is kept once, in the strongest field it is listed in.
+ * @param {Object} recipients - The recipients setting, with to, cc and bcc lists
+ * @returns {Object} - { to, cc, bcc } lists of addresses
+ */
+function normalizeRecipients(recipients) {
+  const normalized = {};
+  const seen = new Set();
+
+  for (const field of RECIPIENT_FIELDS) {
+    normalized[field] = [];
+    for (const address of (recipients[field] || []).map((entry) => entry.trim()).filter(Boolean)) {
+      const key = normalizeAddress(address);
+      if (!seen.has(key)) {
+        seen.add(key);
+        normalized[field].push(address);
+      }
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Normalize an address for comparison
+ * @param {string} address - The address, possibly with a display name
+ * @returns {string} - The lower-case address
+ */
+function normalizeAddress(address) {
+  return getMailboxAddress(address).toLowerCase();
+}
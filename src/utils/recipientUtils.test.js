@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { findFeedContext } from './feedUtils.js';
+import {
+  getMailboxAddress,
+  getRecipientsKey,
+  isSameRecipients,
+  resolveRecipients,
+  splitDigestByRecipients,
+} from './recipientUtils.js';
+
+const DEFAULT_RECIPIENT = 'reader@example.com';
+
+const feedConfig = {
+  groups: [
+    {
+      name: 'Team',
+      recipients: { to: ['team@example.com'], cc: ['lead@example.com'], bcc: ['archive@example.com'] },
+      feeds: [
+        { url: 'https://example.com/team.xml' },
+        { url: 'https://example.com/private.xml', recipients: { to: ['me@example.com'] } },
+      ],
+      groups: [{ name: 'Nested', feeds: [{ url: 'https://example.com/nested.xml' }] }],
+    },
+    { name: 'Personal', feeds: [{ url: 'https://example.com/personal.xml' }] },
+  ],
+};
+
+/**
+ * Resolve the recipients of a feed in the test config
+ * @param {string} feedUrl - The feed URL
+ * @returns {Object} - { to, cc, bcc } lists of addresses
+ */
+function recipientsOf(feedUrl) {
+  return resolveRecipients(findFeedContext(feedUrl, feedConfig), DEFAULT_RECIPIENT);
+}
+
+describe('resolveRecipients', () => {
+  it('falls back to the default recipient', () => {
+    assert.deepEqual(recipientsOf('https://example.com/personal.xml'), { to: [DEFAULT_RECIPIENT], cc: [], bcc: [] });
+    assert.deepEqual(resolveRecipients(null, DEFAULT_RECIPIENT), { to: [DEFAULT_RECIPIENT], cc: [], bcc: [] });
+    assert.deepEqual(resolveRecipients(null, ''), { to: [], cc: [], bcc: [] });
+  });
+
+  it('uses the recipients of the nearest group or feed, with their cc and bcc', () => {
+    const team = { to: ['team@example.com'], cc: ['lead@example.com'], bcc: ['archive@example.com'] };
+
+    assert.deepEqual(recipientsOf('https://example.com/team.xml'), team);
+    assert.deepEqual(recipientsOf('https://example.com/nested.xml'), team);
+    assert.deepEqual(recipientsOf('https://example.com/private.xml'), { to: ['me@example.com'], cc: [], bcc: [] });
+  });
+
+  it('keeps a repeated address once, in the strongest field, and drops empty entries', () => {
+    const context = {
+      groups: [],
+      feed: {
+        recipients: {
+          to: [' a@example.com ', '"A" <A@example.com>', ''],
+          cc: ['a@example.com', 'b@example.com'],
+          bcc: ['B@example.com', 'c@example.com'],
+        },
+      },
+    };
+
+    assert.deepEqual(resolveRecipients(context, DEFAULT_RECIPIENT), {
+      to: ['a@example.com'],
+      cc: ['b@example.com'],
+      bcc: ['c@example.com'],
+    });
+  });
+});
+
+describe('getRecipientsKey and isSameRecipients', () => {
+  it('ignores the order and case of the addresses but not their field', () => {
+    const first = { to: ['A@example.com', 'b@example.com'], cc: [], bcc: [] };
+
+    assert.equal(getRecipientsKey(first), 'to:a@example.com,b@example.com;cc:;bcc:');
+    assert.equal(isSameRecipients(first, { to: ['"B" <b@example.com>', 'a@example.com'], cc: [], bcc: [] }), true);
+    assert.equal(isSameRecipients(first, { to: ['a@example.com'], cc: ['b@example.com'], bcc: [] }), false);
+  });
+});
+
+describe('splitDigestByRecipients', () => {
+  it('sends every address one digest with all of its items, in its strongest field', () => {
+    const items = [{ title: 'A' }, { title: 'B' }, { title: 'C' }, { title: 'D' }];
+    const digests = splitDigestByRecipients([
+      { item: items[0], recipients: { to: ['team@example.com'], cc: ['lead@example.com'], bcc: [] } },
+      { item: items[1], recipients: { to: ['team@example.com', 'Lead@example.com'], cc: [], bcc: [] } },
+      { item: items[2], recipients: { to: [], cc: [], bcc: ['team@example.com'] } },
+      { item: items[3], recipients: { to: [], cc: [], bcc: [] } },
+    ]);
+
+    assert.deepEqual(digests, [
+      { items: [items[0], items[1], items[2]], recipients: { to: ['team@example.com'], cc: [], bcc: [] } },
+      { items: [items[0], items[1]], recipients: { to: ['lead@example.com'], cc: [], bcc: [] } },
+      { items: [items[3]], recipients: { to: [], cc: [], bcc: [] } },
+    ]);
+  });
+});
+
+describe('getMailboxAddress', () => {
+  it('takes the address out of a mailbox with a display name', () => {
+    assert.equal(getMailboxAddress('"RSS Feeds" <feeds@example.com>'), 'feeds@example.com');
+    assert.equal(getMailboxAddress(' feeds@example.com '), 'feeds@example.com');
+  });
+});
@@ -1,3 +1,5 @@
+import { logger } from './logger.js';
+
 /**
  * Retry an operation with exponential backoff
  * @param {Function} operation - Async function to retry
@@ -13,7 +15,7 @@ export async function retryOperation(operation, maxRetries, initialDelay, isRetr
     try {
       if (attempt > 0) {
         const delay = initialDelay * Math.pow(2, attempt - 1);
-        console.log(`Retry attempt ${attempt}/${maxRetries} after ${delay}ms delay...`);
+        logger.info(`Retry attempt ${attempt}/${maxRetries} after ${delay}ms delay...`);
         await new Promise((resolve) => setTimeout(resolve, delay));
       }
       return await operation();
@@ -21,7 +23,7 @@ export async function retryOperation(operation, maxRetries, initialDelay, isRetr
       lastError = error;
 
       if (attempt < maxRetries && isRetryable(error)) {
-        console.warn(`Operation failed (attempt ${attempt + 1}/${maxRetries + 1}): ${error.message}`);
+        logger.warn(`Operation failed (attempt ${attempt + 1}/${maxRetries + 1}): ${error.message}`);
       } else {
         throw error;
       }
@@ -40,3 +42,38 @@ export function isTemporaryEmailError(error) {
   // Check for temporary SMTP errors (4xx codes are temporary)
   return error && error.responseCode && error.responseCode >= 400 && error.responseCode < 500;
 }
+
+/**
+ * Check if an error is the Gmail API asking the client to slow down
+ * @param {Error} error - The error to check
+ * @returns {boolean} - True for 429 responses and 403 rate limit responses
+ */
+export function isRateLimitError(error) {
+  const status = error?.response?.status || error?.code;
+  if (status === 429) return true;
+
+  const reasons = (error?.errors || error?.response?.data?.error?.errors || []).map((detail) => detail.reason);
+  return (
+    status === 403 && reasons.some((reason) => reason === 'rateLimitExceeded' || reason === 'userRateLimitExceeded')
+  );
+}
+
+/**
+ * Get the delay before retrying a rate-limited request: the server's Retry-After if it sent one,
+ * otherwise exponential backoff with up to a quarter of random jitter
+ * @param {Error} error - The rate limit error
+ * @param {number} attempt - The number of the retry, from 1
+ * @param {number} initialDelay - Delay of the first retry in ms
+ * @returns {number} - The delay in ms
+ */
+export function getRateLimitDelay(error, attempt, initialDelay) {
+  const retryAfter = error?.response?.headers?.['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+    if (delay >= 0) return delay;
+  }
+
+  const delay = initialDelay * Math.pow(2, attempt - 1);
+  return Math.round(delay + Math.random() * delay * 0.25);
+}
@@ -1,7 +1,12 @@
 import https from 'https';
 
+import fetch from 'node-fetch';
 import Parser from 'rss-parser';
 
+import { buildConditionalHeaders, getNextFetchAfter, parseRetryAfter } from './httpCacheUtils.js';
+import { logger } from './logger.js';
+import { getItemKey, isItemSeen } from './seenUtils.js';
+
 // Create custom HTTPS agent
 const httpsAgent = new https.Agent({
   rejectUnauthorized: false, // Ignore certificate errors
@@ -18,8 +23,27 @@ const parser = new Parser({
   },
 });
 
+// Parser for feed documents that were downloaded with conditional requests
+const feedParser = new Parser({
+  customFields: {
+    feed: ['ttl', 'skipHours'],
+    item: ['media:content'],
+  },
+});
+
 // Add this constant at the top with other constants
 const MAX_REDIRECTS = 5;
+const REQUEST_TIMEOUT_MS = 10000;
+const USER_AGENT = 'RSS Feed Reader Bot/1.0';
+
+// Redirects are followed by hand so permanent moves can be told apart from temporary ones
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const PERMANENT_REDIRECT_STATUSES = new Set([301, 308]);
+
+/**
+ * Error code given to documents that cannot be parsed as a feed
+ */
+export const INVALID_FEED_ERROR_CODE = 'EINVALIDFEED';
 
 /**
  * Parse an RSS feed from a URL
@@ -31,7 +55,7 @@ export async function parseFeed(feedUrl) {
     const parsedFeed = await parser.parseURL(feedUrl);
     return parsedFeed;
   } catch (error) {
-    console.error(`Error parsing feed ${feedUrl}:`, error.message);
+    logger.error('Error parsing feed', { feedUrl, error });
     throw error;
   }
 }
@@ -47,46 +71,62 @@ export async function getFeedTitle(feedUrl, fallbackTitle) {
     const parsedFeed = await parseFeed(feedUrl);
     return parsedFeed.title || fallbackTitle;
   } catch (error) {
-    console.warn(`Could not fetch title for feed ${feedUrl}, using fallback: ${fallbackTitle}`);
+    logger.warn(`Could not fetch feed title, using fallback: ${fallbackTitle}`, { feedUrl });
     return fallbackTitle;
   }
 }
 
 /**
- * Get items from an RSS feed that are newer than a specific date
+ * Get items from an RSS feed that are not in the seen-item store yet.
+ * The request is conditional on the cached ETag/Last-Modified, and a 304 response
+ * returns no items without parsing anything.
  * @param {string} feedUrl - URL of the feed
- * @param {Date} sinceDate - Date to filter items from
+ * @param {Object} cursor - The seen-item store
  * @param {string} fallbackTitle - Title to use if feed doesn't provide one
- * @param {Object} options - Additional options for fetching
- * @returns {Promise<Object>} - Feed result with filtered items
+ * @param {Object|null} cacheEntry - Cached HTTP validators and title from the previous fetch
+ * @returns {Promise<Object>} - Feed result with new items, the keys of the seen items still in the feed,
+ *   the updated cache entry, the date of the newest item and the new URL if the feed moved permanently
  */
-export async function getFeedItems(feedUrl, sinceDate, fallbackTitle, options = {}) {
+export async function getFeedItems(feedUrl, cursor, fallbackTitle, cacheEntry = null) {
   try {
-    // Configure parser with custom options including redirect support
-    const customParser = new Parser({
-      timeout: 10000, // 10 second timeout
-      headers: {
-        'User-Agent': 'RSS Feed Reader Bot/1.0', // Custom user agent
-      },
-      maxRedirects: MAX_REDIRECTS,
-      requestOptions: {
-        agent: httpsAgent,
-      },
-      ...options,
-    });
+    const { response, body, movedTo } = await requestFeed(feedUrl, cacheEntry);
+    if (movedTo) {
+      logger.warn(`Feed has moved permanently to ${movedTo}`, { feedUrl });
+    }
+
+    if (response.status === 304) {
+      logger.debug('Feed not modified', { feedUrl });
+      return {
+        url: feedUrl,
+        title: cacheEntry?.title || fallbackTitle,
+        items: [],
+        seenKeys: [],
+        notModified: true,
+        movedTo,
+        newestItemDate: null,
+        cache: { ...cacheEntry, nextFetchAfter: getNextFetchAfter(response.headers, cacheEntry) },
+      };
+    }
 
     // Try to parse the feed
-    const parsedFeed = await customParser.parseURL(feedUrl);
+    let parsedFeed;
+    try {
+      parsedFeed = await feedParser.parseString(body);
+    } catch (error) {
+      error.code = INVALID_FEED_ERROR_CODE;
+      throw error;
+    }
     const title = parsedFeed.title || fallbackTitle;
 
-    // Filter and sort items
-    let items = parsedFeed.items || [];
-    if (sinceDate) {
-      const lastFetchDate = new Date(sinceDate);
-      items = items.filter((item) => {
-        const itemDate = item.isoDate ? new Date(item.isoDate) : new Date();
-        return itemDate > lastFetchDate;
-      });
+    // Filter out seen items and sort the rest
+    const items = [];
+    const seenKeys = [];
+    for (const item of parsedFeed.items || []) {
+      if (isItemSeen(cursor, feedUrl, item)) {
+        seenKeys.push(getItemKey(item));
+      } else {
+        items.push(item);
+      }
     }
 
     // Sort by date, newest first
@@ -105,34 +145,121 @@ export async function getFeedItems(feedUrl, sinceDate, fallbackTitle, options =
       url: feedUrl,
       title: title,
       items: itemsWithMetadata,
+      seenKeys: seenKeys.filter(Boolean),
+      movedTo,
+      newestItemDate: getNewestItemDate(parsedFeed.items || []),
+      cache: {
+        etag: response.headers.get('etag') || null,
+        lastModified: response.headers.get('last-modified') || null,
+        title,
+        // Keep the feed's own schedule hints for the 304 responses that follow
+        ttl: parsedFeed.ttl || null,
+        skipHours: parsedFeed.skipHours || null,
+        nextFetchAfter: getNextFetchAfter(response.headers, parsedFeed),
+      },
     };
   } catch (error) {
-    // Update error handling to ignore certificate errors
-    if (error.code === 'ERR_TLS_CERT_ALTNAME_INVALID') {
-      console.log(`Ignoring certificate validation for: ${feedUrl}`);
-      // Retry the request with certificate validation disabled
-      return getFeedItems(feedUrl, sinceDate, fallbackTitle, {
-        ...options,
-        requestOptions: { agent: httpsAgent },
-      });
-    }
-
     // Add redirect-specific error handling
-    if (error.message.includes('Too many redirects')) {
-      console.warn(`Feed redirect limit (${MAX_REDIRECTS}) exceeded: ${feedUrl}`);
+    if (error.type === 'max-redirect') {
+      logger.warn(`Feed redirect limit (${MAX_REDIRECTS}) exceeded`, { feedUrl });
     } else if (error.message.includes('Status code 301') || error.message.includes('Status code 302')) {
-      console.log(`Feed has moved: ${feedUrl}`);
+      logger.warn('Feed has moved without a new location', { feedUrl });
     } else if (error.message.includes('Status code 403') || error.message.includes('Status code 404')) {
-      console.log(`Feed unavailable (${error.message.slice(-3)}): ${feedUrl}`);
+      logger.warn(`Feed unavailable (${error.message.slice(-3)})`, { feedUrl });
+    } else if (error.status === 429 || error.status === 503) {
+      logger.warn(`Feed rate limited (${error.status}), backing off until ${error.retryAfter || 'next run'}`, {
+        feedUrl,
+      });
     }
     // Handle other specific error types with more detail
-    else if (error.message.includes('Feed not recognized')) {
-      console.warn(`Invalid feed format: ${feedUrl}`);
+    else if (error.code === INVALID_FEED_ERROR_CODE) {
+      logger.warn('Invalid feed format', { feedUrl, error });
     } else if (error.code === 'ETIMEDOUT') {
-      console.warn(`Feed request timed out: ${feedUrl}`);
+      logger.warn('Feed request timed out', { feedUrl });
     } else {
-      console.error(`Error getting items from feed ${feedUrl}:`, error);
+      logger.error('Error getting items from feed', { feedUrl, error });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the date of the newest item in a feed
+ * @param {Array} items - The parsed feed items
+ * @returns {string|null} - ISO date of the newest item, or null if no item has a date
+ */
+function getNewestItemDate(items) {
+  const times = items.map((item) => new Date(item.isoDate || 0).getTime()).filter((time) => time > 0);
+  return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+/**
+ * Request a feed document, sending the cached validators as conditional headers.
+ * Redirects are followed up to MAX_REDIRECTS; if every hop was permanent (301 or 308),
+ * the final URL is returned as the feed's new location.
+ * @param {string} feedUrl - URL of the feed
+ * @param {Object|null} cacheEntry - Cached HTTP validators from the previous fetch
+ * @returns {Promise<Object>} - The response (status 200 or 304), its body text (null for 304)
+ *   and the URL the feed moved to, or null
+ */
+async function requestFeed(feedUrl, cacheEntry) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    let url = feedUrl;
+    let movedTo = null;
+    let permanent = true;
+    let response;
+
+    for (let redirects = 0; ; redirects++) {
+      response = await fetch(url, {
+        headers: {
+          'User-Agent': USER_AGENT,
+          Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5',
+          ...buildConditionalHeaders(cacheEntry),
+        },
+        redirect: 'manual',
+        agent: (requestUrl) => (requestUrl.protocol === 'https:' ? httpsAgent : undefined),
+        signal: controller.signal,
+      });
+
+      const location = response.headers.get('location');
+      if (!REDIRECT_STATUSES.has(response.status) || !location) break;
+
+      if (redirects >= MAX_REDIRECTS) {
+        const error = new Error(`Maximum redirect reached at: ${url}`);
+        error.type = 'max-redirect';
+        throw error;
+      }
+
+      url = new URL(location, url).href;
+      permanent = permanent && PERMANENT_REDIRECT_STATUSES.has(response.status);
+      movedTo = permanent ? url : null;
+    }
+
+    if (response.status !== 304 && !response.ok) {
+      const error = new Error(`Status code ${response.status}`);
+      error.status = response.status;
+
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      if (retryAfter !== null) {
+        error.retryAfter = new Date(Date.now() + retryAfter).toISOString();
+      }
+      throw error;
+    }
+
+    // Read the body before clearing the timeout so a stalled download is aborted too
+    const body = response.status === 304 ? null : await response.text();
+    return { response, body, movedTo };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      const timeoutError = new Error(`Request timed out after ${REQUEST_TIMEOUT_MS}ms`);
+      timeoutError.code = 'ETIMEDOUT';
+      throw timeoutError;
     }
     throw error;
+  } finally {
+    clearTimeout(timeout);
   }
 }
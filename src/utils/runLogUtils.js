@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+
+import { extractFeeds } from './feedUtils.js';
+import { escapeHtml } from './htmlUtils.js';
+
+/**
+ * Outcomes of a run
+ */
+export const RUN_STATUSES = {
+  SUCCESS: 'success',
+  PARTIAL: 'partial',
+  FAILED: 'failed',
+};
+
+/**
+ * Start the record of a run
+ * @param {string} mode - What the run does: send, dry-run, update-cursor-only or create-labels
+ * @param {Date} now - The current time
+ * @returns {Object} - The run record
+ */
+export function createRunRecord(mode, now = new Date()) {
+  return {
+    id: crypto.randomUUID().slice(0, 8),
+    mode,
+    status: null,
+    startedAt: now.toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    feeds: { configured: 0, fetched: 0, failed: 0, skipped: 0 },
+    items: { found: 0, filtered: 0, held: 0, released: 0, queued: 0, sent: 0, failed: 0 },
+    emails: { sent: 0, failed: 0, givenUp: 0 },
+    failedFeeds: [],
+    error: null,
+  };
+}
+
+/**
+ * Record the outcome of fetching the feeds
+ * @param {Object} run - The run record, updated in place
+ * @param {Object} feedConfig - The feed configuration
+ * @param {Object} feedResults - The feed results from fetchFeeds
+ * @param {Object} feedHealth - The feed health store, with this run's failures
+ * @returns {void}
+ */
+export function recordFetchResults(run, feedConfig, feedResults, feedHealth) {
+  const feeds = extractFeeds(feedConfig);
+  const results = Object.values(feedResults);
+
+  // Feeds that failed during this run, as opposed to on earlier runs that skipped them this time
+  run.failedFeeds = feeds
+    .map((feed) => ({ url: feed.url, entry: feedHealth.feeds[feed.url] }))
+    .filter(({ entry }) => entry?.consecutiveFailures > 0 && entry.lastCheckedAt >= run.startedAt)
+    .map(({ url, entry }) => ({ url, errorClass: entry.lastError.class, error: entry.lastError.message }));
+
+  run.feeds.configured = feeds.length;
+  run.feeds.fetched = results.length;
+  run.feeds.failed = run.failedFeeds.length;
+  run.feeds.skipped = Math.max(feeds.length - results.length - run.failedFeeds.length, 0);
+
+  run.items.filtered = results.reduce((count, result) => count + (result.filteredItems?.length || 0), 0);
+  run.items.found = results.reduce((count, result) => count + (result.items?.length || 0), run.items.filtered);
+}
+
+/**
+ * Record the items held back for a delivery schedule and those whose delivery time came
+ * @param {Object} run - The run record, updated in place
+ * @param {number} heldCount - New items moved to the pending queue
+ * @param {number} releasedCount - Pending items released for sending
+ * @returns {void}
+ */
+export function recordScheduledItems(run, heldCount, releasedCount) {
+  run.items.held = heldCount;
+  run.items.released = releasedCount;
+}
+
+/**
+ * Record the outcome of sending the emails
+ * @param {Object} run - The run record, updated in place
+ * @param {Object} results - The results from sendEmails
+ * @param {number} queuedCount - New items that were already waiting in the outbox
+ * @returns {void}
+ */
+export function recordSendResults(run, results, queuedCount) {
+  run.items.queued = queuedCount;
+  run.items.sent = results.itemsSent;
+  run.items.failed = results.itemsFailed;
+  run.emails = { sent: results.sent, failed: results.failed, givenUp: results.givenUp };
+}
+
+/**
+ * Finish the record of a run
+ * @param {Object} run - The run record, updated in place
+ * @param {Date} now - The current time
+ * @returns {Object} - The finished run record
+ */
+export function finishRunRecord(run, now = new Date()) {
+  run.finishedAt = now.toISOString();
+  run.durationMs = now - new Date(run.startedAt);
+
+  if (run.error) {
+    run.status = RUN_STATUSES.FAILED;
+  } else {
+    run.status = countRunFailures(run) > 0 ? RUN_STATUSES.PARTIAL : RUN_STATUSES.SUCCESS;
+  }
+
+  return run;
+}
+
+/**
+ * Count the failures of a run: failed feeds and emails that could not be sent
+ * @param {Object} run - The run record
+ * @returns {number} - Number of failures
+ */
+export function countRunFailures(run) {
+  return run.feeds.failed + run.emails.failed;
+}
+
+/**
+ * Format a run record as one line for the run list
+ * @param {Object} run - The run record
+ * @returns {string} - The formatted run
+ */
+export function formatRunRecord(run) {
+  const parts = [
+    run.startedAt.replace('T', ' ').slice(0, 19),
+    run.status.padEnd(7),
+    `${(run.durationMs / 1000).toFixed(1).padStart(6)}s`,
+    `feeds ${run.feeds.fetched}/${run.feeds.configured} (${run.feeds.failed} failed)`,
+    `items ${formatItemCounts(run)}`,
+  ];
+
+  if (run.mode !== 'send') parts.push(`[${run.mode}]`);
+  if (run.error) parts.push(`error: ${run.error}`);
+
+  return parts.join('  ');
+}
+
+/**
+ * Format a run record as the HTML body of a summary email
+ * @param {Object} run - The run record
+ * @returns {string} - The summary HTML
+ */
+export function formatRunSummaryHtml(run) {
+  const rows = [
+    ['Run', `${run.id} (${run.mode})`],
+    ['Started', run.startedAt],
+    ['Duration', `${(run.durationMs / 1000).toFixed(1)}s`],
+    ['Feeds', `${run.feeds.fetched} fetched, ${run.feeds.failed} failed, ${run.feeds.skipped} skipped`],
+    ['Items', formatItemCounts(run)],
+    ['Emails', `${run.emails.sent} sent, ${run.emails.failed} failed, ${run.emails.givenUp} given up`],
+    ...(run.error ? [['Error', run.error]] : []),
+  ]
+    .map(([label, value]) => `<tr><th align="left">${label}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('\n');
+
+  const failedFeeds = run.failedFeeds
+    .map((feed) => `<li>${escapeHtml(feed.url)}<br>${escapeHtml(feed.errorClass)}: ${escapeHtml(feed.error)}</li>`)
+    .join('\n');
+
+  return [
+    '<html><body style="font-family: Arial, sans-serif;">',
+    `<h1>Run ${escapeHtml(run.status)}</h1>`,
+    `<table>\n${rows}\n</table>`,
+    ...(failedFeeds ? [`<h2>Failed feeds (${run.failedFeeds.length})</h2>`, `<ul>\n${failedFeeds}\n</ul>`] : []),
+    '</body></html>',
+  ].join('\n');
+}
+
+/**
+ * Format the item counts of a run. Scheduled items are only mentioned when there were any,
+ * which also keeps records from before delivery schedules readable.
+ * @param {Object} run - The run record
+ * @returns {string} - The formatted counts
+ */
+function formatItemCounts(run) {
+  const { found, filtered, held, released, sent, failed } = run.items;
+  const scheduled = held || released ? `, ${held} held, ${released} released` : '';
+  return `${found} found, ${filtered} filtered${scheduled}, ${sent} sent, ${failed} failed`;
+}
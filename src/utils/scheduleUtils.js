@@ -0,0 +1,218 @@
+import { findFeedContext, resolveEmailFormat, resolveFeedSetting } from './feedUtils.js';
+
+/**
+ * How often the items of a group are delivered
+ */
+export const DELIVERY_SCHEDULES = {
+  IMMEDIATE: 'immediate',
+  HOURLY: 'hourly',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+};
+
+/**
+ * Days a weekly schedule can be delivered on, in the order of Date.getDay()
+ */
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Delivery time of daily and weekly schedules without `at`; hourly schedules only use the minutes
+const DEFAULT_DELIVERY_TIME = '08:00';
+const DEFAULT_DELIVERY_DAY = 'monday';
+
+/**
+ * Create an empty pending queue
+ * @returns {Object} - The empty queue
+ */
+export function createEmptyPendingQueue() {
+  return { entries: [] };
+}
+
+/**
+ * Expand a schedule setting to its full form. A string such as "daily" is short for { every: "daily" }.
+ * @param {string|Object} schedule - The schedule setting
+ * @returns {Object} - { every, at, day, timeZone }
+ */
+export function normalizeSchedule(schedule) {
+  const { every, at, day, timeZone } = typeof schedule === 'string' ? { every: schedule } : schedule;
+
+  return {
+    every: every || DELIVERY_SCHEDULES.IMMEDIATE,
+    at: at || DEFAULT_DELIVERY_TIME,
+    day: day || DEFAULT_DELIVERY_DAY,
+    timeZone,
+  };
+}
+
+/**
+ * Get the first delivery time of a schedule after a given time
+ * @param {string|Object} schedule - The schedule setting
+ * @param {Date} after - The time to start from
+ * @param {string|undefined} defaultTimeZone - Time zone for schedules without their own
+ * @returns {Date|null} - The delivery time, or null for immediate delivery
+ */
+export function getNextDeliveryTime(schedule, after, defaultTimeZone) {
+  const { every, at, day, timeZone } = normalizeSchedule(schedule);
+  if (every === DELIVERY_SCHEDULES.IMMEDIATE) return null;
+
+  const zone = timeZone || defaultTimeZone;
+  const [hour, minute] = at.split(':').map(Number);
+  const local = getZonedParts(after, zone);
+
+  // Step through the following hours or days in local time until a slot is later than `after`
+  for (let offset = 0; offset <= 8; offset++) {
+    const candidate =
+      every === DELIVERY_SCHEDULES.HOURLY
+        ? zonedTimeToDate(local.year, local.month, local.day, local.hour + offset, minute, zone)
+        : zonedTimeToDate(local.year, local.month, local.day + offset, hour, minute, zone);
+    if (candidate <= after) continue;
+
+    const weekday = new Date(Date.UTC(local.year, local.month - 1, local.day + offset)).getUTCDay();
+    if (every === DELIVERY_SCHEDULES.WEEKLY && WEEKDAYS[weekday] !== day) continue;
+
+    return candidate;
+  }
+
+  return null;
+}
+
+/**
+ * Move new items of feeds with a delivery schedule from the feed results into the pending
+ * queue, to be released at the next delivery time of their schedule
+ * @param {Object} feedResults - The feed results, updated in place
+ * @param {Object} feedConfig - The feed configuration
+ * @param {Object} pending - The pending queue, updated in place
+ * @param {string|undefined} defaultTimeZone - Time zone for schedules without their own
+ * @param {Date} now - The current time
+ * @returns {Array} - The items that were held back
+ */
+export function holdScheduledItems(feedResults, feedConfig, pending, defaultTimeZone, now = new Date()) {
+  const held = [];
+
+  for (const [feedUrl, result] of Object.entries(feedResults)) {
+    if (!result.items || result.items.length === 0) continue;
+
+    const context = findFeedContext(feedUrl, feedConfig);
+    const schedule = resolveFeedSetting(context, 'schedule', DELIVERY_SCHEDULES.IMMEDIATE);
+    const releaseAt = getNextDeliveryTime(schedule, now, resolveEmailFormat(context).timeZone || defaultTimeZone);
+    if (!releaseAt) continue;
+
+    addPendingItems(pending, context.groupPath, releaseAt, result.items);
+    held.push(...result.items);
+    result.items = [];
+  }
+
+  return held;
+}
+
+/**
+ * Move the items whose delivery time has come from the pending queue into the feed results,
+ * so they are sent like new items. Feeds that were not fetched this run get a result of their own.
+ * @param {Object} feedResults - The feed results, updated in place
+ * @param {Object} pending - The pending queue, updated in place
+ * @param {Date} now - The current time
+ * @returns {number} - Number of items released
+ */
+export function releaseDueItems(feedResults, pending, now = new Date()) {
+  const due = pending.entries.filter((entry) => new Date(entry.releaseAt) <= now);
+  pending.entries = pending.entries.filter((entry) => !due.includes(entry));
+
+  let released = 0;
+  for (const item of due.flatMap((entry) => entry.items)) {
+    if (!feedResults[item.feedUrl]) {
+      feedResults[item.feedUrl] = { url: item.feedUrl, title: item.feedTitle, items: [], seenKeys: [] };
+    }
+    feedResults[item.feedUrl].items.push(item);
+    released++;
+  }
+
+  return released;
+}
+
+/**
+ * Get the earliest delivery time in the pending queue
+ * @param {Object} pending - The pending queue
+ * @returns {Date|null} - The next delivery time, or null if nothing is pending
+ */
+export function getNextReleaseTime(pending) {
+  const times = pending.entries.map((entry) => new Date(entry.releaseAt).getTime());
+  return times.length > 0 ? new Date(Math.min(...times)) : null;
+}
+
+/**
+ * Add items to the pending entry of a group and delivery time, creating it if needed
+ * @param {Object} pending - The pending queue, updated in place
+ * @param {string} groupPath - The group path of the items' feed
+ * @param {Date} releaseAt - When the items are delivered
+ * @param {Array} items - The items
+ * @returns {void}
+ */
+function addPendingItems(pending, groupPath, releaseAt, items) {
+  const time = releaseAt.toISOString();
+  let entry = pending.entries.find((candidate) => candidate.groupPath === groupPath && candidate.releaseAt === time);
+
+  if (!entry) {
+    entry = { groupPath, releaseAt: time, items: [] };
+    pending.entries.push(entry);
+  }
+
+  entry.items.push(...items);
+}
+
+/**
+ * Get the calendar date and wall-clock time of a moment in a time zone
+ * @param {Date} date - The moment
+ * @param {string|undefined} timeZone - IANA time zone, or undefined for the system time zone
+ * @returns {Object} - { year, month, day, hour, minute, second }, with month from 1 to 12
+ */
+function getZonedParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  });
+
+  const parts = {};
+  for (const part of formatter.formatToParts(date)) {
+    if (part.type !== 'literal') parts[part.type] = Number(part.value);
+  }
+  return parts;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a moment. Out-of-range values roll over,
+ * so day 32 is the first of the next month. A time skipped by a daylight saving change
+ * is moved by the size of the change.
+ * @param {number} year - The year
+ * @param {number} month - The month, from 1 to 12
+ * @param {number} day - The day of the month
+ * @param {number} hour - The hour
+ * @param {number} minute - The minute
+ * @param {string|undefined} timeZone - IANA time zone, or undefined for the system time zone
+ * @returns {Date} - The moment
+ */
+function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offset at the guess is checked once more, for times near a daylight saving change
+  let time = wallTime - getTimeZoneOffset(new Date(wallTime), timeZone);
+  time = wallTime - getTimeZoneOffset(new Date(time), timeZone);
+
+  return new Date(time);
+}
+
+/**
+ * Get the offset of a time zone from UTC at a moment
+ * @param {Date} date - The moment
+ * @param {string|undefined} timeZone - IANA time zone, or undefined for the system time zone
+ * @returns {number} - The offset in milliseconds, positive east of UTC
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Date.UTC(year, month - 1, day, hour, minute, second) - wholeSeconds;
+}
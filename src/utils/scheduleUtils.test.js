@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  createEmptyPendingQueue,
+  getNextDeliveryTime,
+  getNextReleaseTime,
+  holdScheduledItems,
+  releaseDueItems,
+} from './scheduleUtils.js';
+
+const BERLIN = 'Europe/Berlin';
+
+/**
+ * Get the next delivery time as an ISO string
+ * @param {string|Object} schedule - The schedule setting
+ * @param {string} after - ISO time to start from
+ * @param {string} timeZone - Default time zone
+ * @returns {string|null} - The delivery time
+ */
+function nextDelivery(schedule, after, timeZone = BERLIN) {
+  return getNextDeliveryTime(schedule, new Date(after), timeZone)?.toISOString() || null;
+}
+
+describe('getNextDeliveryTime', () => {
+  it('delivers immediate schedules right away', () => {
+    assert.equal(nextDelivery('immediate', '2024-05-01T10:30:00.000Z'), null);
+  });
+
+  it('delivers hourly schedules at the minute of `at`', () => {
+    assert.equal(
+      nextDelivery({ every: 'hourly', at: '00:15' }, '2024-05-01T10:30:00.000Z'),
+      '2024-05-01T11:15:00.000Z'
+    );
+    assert.equal(
+      nextDelivery({ every: 'hourly', at: '00:45' }, '2024-05-01T10:30:00.000Z'),
+      '2024-05-01T10:45:00.000Z'
+    );
+  });
+
+  it('delivers daily schedules at the local time of the time zone', () => {
+    // 12:30 in Berlin, after today's delivery
+    assert.equal(nextDelivery('daily', '2024-05-01T10:30:00.000Z'), '2024-05-02T06:00:00.000Z');
+    // 07:00 in Berlin, before it
+    assert.equal(nextDelivery('daily', '2024-05-01T05:00:00.000Z'), '2024-05-01T06:00:00.000Z');
+  });
+
+  it('prefers the time zone of the schedule', () => {
+    const schedule = { every: 'daily', at: '08:00', timeZone: 'America/New_York' };
+    assert.equal(nextDelivery(schedule, '2024-05-01T10:30:00.000Z'), '2024-05-01T12:00:00.000Z');
+  });
+
+  it('delivers weekly schedules on their day', () => {
+    // 2024-05-01 is a Wednesday
+    assert.equal(nextDelivery('weekly', '2024-05-01T10:30:00.000Z'), '2024-05-06T06:00:00.000Z');
+    const friday = { every: 'weekly', day: 'friday', at: '18:30' };
+    assert.equal(nextDelivery(friday, '2024-05-01T10:30:00.000Z'), '2024-05-03T16:30:00.000Z');
+  });
+
+  it('keeps the local time across daylight saving changes', () => {
+    // Berlin moves from UTC+1 to UTC+2 on 2024-03-31 and back on 2024-10-27
+    assert.equal(nextDelivery('daily', '2024-03-30T12:00:00.000Z'), '2024-03-31T06:00:00.000Z');
+    assert.equal(nextDelivery('daily', '2024-10-26T12:00:00.000Z'), '2024-10-27T07:00:00.000Z');
+    assert.equal(nextDelivery('weekly', '2024-03-27T12:00:00.000Z'), '2024-04-01T06:00:00.000Z');
+  });
+
+  it('moves a time skipped by the daylight saving change by the size of the change', () => {
+    assert.equal(nextDelivery({ every: 'daily', at: '02:30' }, '2024-03-30T12:00:00.000Z'), '2024-03-31T01:30:00.000Z');
+  });
+});
+
+describe('holdScheduledItems and releaseDueItems', () => {
+  const feedUrl = 'https://example.com/feed.xml';
+  const feedConfig = { groups: [{ name: 'News', schedule: 'daily', feeds: [{ url: feedUrl }] }] };
+
+  it('holds the items of scheduled groups until their delivery time', () => {
+    const item = { guid: 'a', feedUrl, feedTitle: 'Feed' };
+    const feedResults = { [feedUrl]: { items: [item] } };
+    const pending = createEmptyPendingQueue();
+
+    const held = holdScheduledItems(feedResults, feedConfig, pending, BERLIN, new Date('2024-05-01T10:30:00.000Z'));
+
+    assert.deepEqual(held, [item]);
+    assert.deepEqual(feedResults[feedUrl].items, []);
+    assert.deepEqual(pending.entries, [{ groupPath: 'News', releaseAt: '2024-05-02T06:00:00.000Z', items: [item] }]);
+    assert.equal(getNextReleaseTime(pending).toISOString(), '2024-05-02T06:00:00.000Z');
+
+    const laterResults = {};
+    assert.equal(releaseDueItems(laterResults, pending, new Date('2024-05-02T05:59:00.000Z')), 0);
+    assert.equal(releaseDueItems(laterResults, pending, new Date('2024-05-02T06:00:00.000Z')), 1);
+    assert.deepEqual(laterResults[feedUrl].items, [item]);
+    assert.deepEqual(pending.entries, []);
+    assert.equal(getNextReleaseTime(pending), null);
+  });
+});
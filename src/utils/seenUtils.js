@@ -0,0 +1,165 @@
+/**
+ * Query parameters that only track where a click came from and never identify an item
+ */
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref|source)$/i;
+
+/**
+ * Normalize a link so the same article is recognized across minor URL variations
+ * @param {string} link - The item link
+ * @returns {string|null} - The normalized link or null if it cannot be parsed
+ */
+export function normalizeLink(link) {
+  if (!link) return null;
+
+  try {
+    const url = new URL(link.trim());
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+
+    for (const param of [...url.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(param)) {
+        url.searchParams.delete(param);
+      }
+    }
+
+    // Treat http and https, and a trailing slash, as the same address
+    const pathname = url.pathname.replace(/\/+$/, '');
+    return `${url.hostname}${pathname}${url.search}`;
+  } catch (error) {
+    return link.trim();
+  }
+}
+
+/**
+ * Get the key that identifies an item in the seen-item store
+ * @param {Object} item - The feed item
+ * @returns {string|null} - The item key, preferring guid, then id, then normalized link
+ */
+export function getItemKey(item) {
+  // xml2js represents a guid with attributes as { _: value, $: attributes }
+  const guid = typeof item.guid === 'object' && item.guid !== null ? item.guid._ : item.guid;
+  if (guid) return `guid:${String(guid).trim()}`;
+  if (item.id) return `id:${String(item.id).trim()}`;
+
+  const link = normalizeLink(item.link);
+  if (link) return `link:${link}`;
+
+  if (item.title) return `title:${item.title.trim()}`;
+  return null;
+}
+
+/**
+ * Check whether an item has already been seen for a feed.
+ * Feeds that only have a migrated timestamp cursor fall back to date comparison
+ * until their first run against the seen-item store.
+ * @param {Object} cursor - The seen-item store
+ * @param {string} feedUrl - The feed URL
+ * @param {Object} item - The feed item
+ * @returns {boolean} - True if the item was seen before
+ */
+export function isItemSeen(cursor, feedUrl, item) {
+  const seenItems = cursor.feeds?.[feedUrl];
+  if (seenItems) {
+    const key = getItemKey(item);
+    return key ? key in seenItems : false;
+  }
+
+  const legacyDate = cursor.legacy?.[feedUrl];
+  if (legacyDate) {
+    // Undated items cannot be compared, so assume the old cursor already covered them
+    return !item.isoDate || new Date(item.isoDate) <= new Date(legacyDate);
+  }
+
+  return false;
+}
+
+/**
+ * Record items as seen for a feed
+ * @param {Object} cursor - The seen-item store
+ * @param {string} feedUrl - The feed URL
+ * @param {Array} items - The feed items to record
+ * @param {string} timestamp - ISO timestamp to store as the last-seen time
+ * @returns {void}
+ */
+export function markItemsSeen(cursor, feedUrl, items, timestamp) {
+  // Nothing to record, e.g. a 304 response; leave any migrated cursor in place
+  if (items.length === 0) return;
+
+  const seenItems = getFeedEntry(cursor, feedUrl);
+
+  for (const item of items) {
+    const key = getItemKey(item);
+    if (key) {
+      seenItems[key] = timestamp;
+    }
+  }
+}
+
+/**
+ * Refresh the last-seen time of already seen items that are still present in a feed.
+ * This also records items that were only covered by a migrated timestamp cursor.
+ * @param {Object} cursor - The seen-item store
+ * @param {string} feedUrl - The feed URL
+ * @param {Array<string>} keys - Keys of the seen items currently in the feed
+ * @param {string} timestamp - ISO timestamp to store as the last-seen time
+ * @returns {void}
+ */
+export function touchSeenItems(cursor, feedUrl, keys, timestamp) {
+  if (keys.length === 0) return;
+
+  const seenItems = getFeedEntry(cursor, feedUrl);
+
+  for (const key of keys) {
+    seenItems[key] = timestamp;
+  }
+}
+
+/**
+ * Drop entries that have not appeared in their feed within the retention window.
+ * Only feeds parsed on this run should be pruned: the entries of a feed that answered 304,
+ * was not due or failed were not refreshed, and dropping them would resend its old items.
+ * @param {Object} cursor - The seen-item store
+ * @param {number} retentionDays - Number of days to keep entries after they were last seen
+ * @param {Date} now - The current time
+ * @param {Array<string>|null} feedUrls - The feeds to prune, all feeds by default
+ * @returns {number} - Number of entries removed
+ */
+export function pruneSeenItems(cursor, retentionDays, now = new Date(), feedUrls = null) {
+  const cutoff = now.getTime() - retentionDays * 24 * 60 * 60 * 1000;
+  let removed = 0;
+
+  for (const [feedUrl, seenItems] of Object.entries(cursor.feeds)) {
+    if (feedUrls && !feedUrls.includes(feedUrl)) continue;
+
+    for (const [key, lastSeen] of Object.entries(seenItems)) {
+      if (new Date(lastSeen).getTime() < cutoff) {
+        delete seenItems[key];
+        removed++;
+      }
+    }
+
+    if (Object.keys(seenItems).length === 0) {
+      delete cursor.feeds[feedUrl];
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Get the seen items for a feed, creating the entry and retiring its legacy cursor
+ * @param {Object} cursor - The seen-item store
+ * @param {string} feedUrl - The feed URL
+ * @returns {Object} - Map of item keys to last-seen timestamps
+ */
+function getFeedEntry(cursor, feedUrl) {
+  if (!cursor.feeds[feedUrl]) {
+    cursor.feeds[feedUrl] = {};
+  }
+
+  if (cursor.legacy) {
+    delete cursor.legacy[feedUrl];
+  }
+
+  return cursor.feeds[feedUrl];
+}
@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { getItemKey, isItemSeen, markItemsSeen, normalizeLink, pruneSeenItems } from './seenUtils.js';
+
+describe('getItemKey', () => {
+  it('prefers the guid, then the id, then the link, then the title', () => {
+    const item = { guid: 'guid-1', id: 'id-1', link: 'https://example.com/post', title: 'Post' };
+
+    assert.equal(getItemKey(item), 'guid:guid-1');
+    assert.equal(getItemKey({ ...item, guid: undefined }), 'id:id-1');
+    assert.equal(getItemKey({ ...item, guid: undefined, id: undefined }), 'link:example.com/post');
+    assert.equal(getItemKey({ title: ' Post ' }), 'title:Post');
+    assert.equal(getItemKey({}), null);
+  });
+
+  it('reads a guid that has attributes', () => {
+    assert.equal(getItemKey({ guid: { _: ' guid-1 ', $: { isPermaLink: 'false' } } }), 'guid:guid-1');
+  });
+});
+
+describe('normalizeLink', () => {
+  it('ignores the scheme, www, a trailing slash, the fragment and tracking parameters', () => {
+    assert.equal(
+      normalizeLink('https://www.Example.com/post/?utm_source=rss&page=2#comments'),
+      'example.com/post?page=2'
+    );
+    assert.equal(normalizeLink('http://example.com/post?page=2'), 'example.com/post?page=2');
+  });
+
+  it('keeps a link it cannot parse as it is', () => {
+    assert.equal(normalizeLink(' /relative/post '), '/relative/post');
+    assert.equal(normalizeLink(''), null);
+  });
+});
+
+describe('isItemSeen', () => {
+  const feedUrl = 'https://example.com/feed.xml';
+
+  it('looks up the item key in the seen items of the feed', () => {
+    const cursor = { feeds: { [feedUrl]: { 'guid:seen': '2024-01-01T00:00:00.000Z' } }, legacy: {} };
+
+    assert.equal(isItemSeen(cursor, feedUrl, { guid: 'seen' }), true);
+    assert.equal(isItemSeen(cursor, feedUrl, { guid: 'new' }), false);
+    assert.equal(isItemSeen(cursor, 'https://example.com/other.xml', { guid: 'seen' }), false);
+  });
+
+  it('compares dates against a migrated cursor until the feed has seen items', () => {
+    const cursor = { feeds: {}, legacy: { [feedUrl]: '2024-01-01T00:00:00.000Z' } };
+
+    assert.equal(isItemSeen(cursor, feedUrl, { guid: 'old', isoDate: '2023-12-31T00:00:00.000Z' }), true);
+    assert.equal(isItemSeen(cursor, feedUrl, { guid: 'new', isoDate: '2024-01-02T00:00:00.000Z' }), false);
+    assert.equal(isItemSeen(cursor, feedUrl, { guid: 'undated' }), true);
+  });
+});
+
+describe('markItemsSeen', () => {
+  it('records the items and retires the migrated cursor of the feed', () => {
+    const feedUrl = 'https://example.com/feed.xml';
+    const cursor = { feeds: {}, legacy: { [feedUrl]: '2024-01-01T00:00:00.000Z', other: '2024-01-01T00:00:00.000Z' } };
+
+    markItemsSeen(cursor, feedUrl, [{ guid: 'a' }, { link: 'https://example.com/b' }], '2024-02-01T00:00:00.000Z');
+
+    assert.deepEqual(cursor.feeds[feedUrl], {
+      'guid:a': '2024-02-01T00:00:00.000Z',
+      'link:example.com/b': '2024-02-01T00:00:00.000Z',
+    });
+    assert.deepEqual(Object.keys(cursor.legacy), ['other']);
+  });
+});
+
+describe('pruneSeenItems', () => {
+  it('removes entries older than the retention window and feeds left empty', () => {
+    const cursor = {
+      feeds: {
+        a: { 'guid:old': '2024-01-01T00:00:00.000Z', 'guid:recent': '2024-03-25T00:00:00.000Z' },
+        b: { 'guid:old': '2024-01-01T00:00:00.000Z' },
+      },
+    };
+
+    assert.equal(pruneSeenItems(cursor, 30, new Date('2024-04-01T00:00:00.000Z')), 2);
+    assert.deepEqual(cursor.feeds, { a: { 'guid:recent': '2024-03-25T00:00:00.000Z' } });
+  });
+});
@@ -0,0 +1,154 @@
+import { escapeHtml } from './htmlUtils.js';
+import { logger } from './logger.js';
+
+// {{{name}}}, or {{name}} with an optional #, ^, / or ! sigil
+const TAG_PATTERN = /\{\{\{\s*([^}]+?)\s*\}\}\}|\{\{\s*([#^/!]?)\s*([^}]*?)\s*\}\}/g;
+
+// Section and comment tags alone on a line do not leave an empty line behind
+const STANDALONE_TAG_PATTERN = /^[ \t]*(\{\{\s*[#^/!][^}]*\}\})[ \t]*\r?\n/gm;
+
+/**
+ * Render a mustache-style template.
+ * Supported tags: {{name}} (escaped), {{{name}}} (raw), {{#name}}...{{/name}} (repeated for
+ * each entry of a list, or shown if the value is truthy), {{^name}}...{{/name}} (shown if
+ * the value is missing, false or an empty list) and {{! comment}}. Names can be dotted
+ * paths such as {{feed.title}}, and {{.}} is the current list entry.
+ * @param {string} template - The template source
+ * @param {Object} data - The template variables
+ * @param {Function} escape - Escapes {{name}} values; HTML escaping by default
+ * @returns {string} - The rendered text
+ */
+export function renderTemplate(template, data, escape = escapeHtml) {
+  return renderNodes(parseTemplate(template), [data], escape);
+}
+
+/**
+ * Render a subject template: values are not escaped and whitespace is collapsed to single spaces
+ * @param {string} template - The subject template
+ * @param {Object} data - The template variables
+ * @returns {string} - The subject line
+ */
+export function renderSubject(template, data) {
+  return renderTemplate(template, data, String).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Format a date for display in a locale and time zone
+ * @param {string|Date|null} value - The date
+ * @param {Object} options - Formatting options
+ * @param {string} [options.locale] - BCP 47 locale such as "de-DE", the server's locale by default
+ * @param {string} [options.timeZone] - IANA time zone such as "Europe/Berlin", the server's zone by default
+ * @param {boolean} [options.dateOnly] - Leave out the time of day
+ * @returns {string|null} - The formatted date, or null if there is no valid date
+ */
+export function formatDate(value, { locale, timeZone, dateOnly = false } = {}) {
+  const date = value ? new Date(value) : null;
+  if (!date || isNaN(date)) return null;
+
+  try {
+    const options = timeZone ? { timeZone } : {};
+    return dateOnly ? date.toLocaleDateString(locale, options) : date.toLocaleString(locale, options);
+  } catch (error) {
+    logger.warn(`Cannot format dates with locale "${locale}" and time zone "${timeZone}": ${error.message}`);
+    return dateOnly ? date.toLocaleDateString() : date.toLocaleString();
+  }
+}
+
+/**
+ * Parse a template into a tree of text, variable and section nodes
+ * @param {string} template - The template source
+ * @returns {Array<Object>} - The parsed nodes
+ */
+function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+  const source = template.replace(STANDALONE_TAG_PATTERN, '$1');
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      current.children.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+
+    const [, rawName, sigil, name] = match;
+    if (rawName) {
+      current.children.push({ type: 'variable', name: rawName, raw: true });
+    } else if (sigil === '#' || sigil === '^') {
+      const section = { type: 'section', name, inverted: sigil === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (sigil === '/') {
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(
+          `Unexpected {{/${name}}} in template${stack.length > 1 ? `, expected {{/${current.name}}}` : ''}`
+        );
+      }
+      stack.pop();
+    } else if (sigil !== '!') {
+      current.children.push({ type: 'variable', name, raw: false });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].name}}} in template`);
+  }
+
+  if (lastIndex < source.length) {
+    root.children.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+/**
+ * Render parsed template nodes
+ * @param {Array<Object>} nodes - The parsed nodes
+ * @param {Array} contexts - Variable lookup contexts, innermost last
+ * @param {Function} escape - Escapes {{name}} values
+ * @returns {string} - The rendered text
+ */
+function renderNodes(nodes, contexts, escape) {
+  return nodes
+    .map((node) => {
+      if (node.type === 'text') return node.value;
+
+      const value = lookup(contexts, node.name);
+
+      if (node.type === 'variable') {
+        if (value === null || value === undefined) return '';
+        return node.raw ? String(value) : escape(String(value));
+      }
+
+      const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+      if (node.inverted) {
+        return truthy ? '' : renderNodes(node.children, contexts, escape);
+      }
+      if (!truthy) return '';
+
+      const entries = Array.isArray(value) ? value : [value];
+      return entries.map((entry) => renderNodes(node.children, [...contexts, entry], escape)).join('');
+    })
+    .join('');
+}
+
+/**
+ * Look up a variable, searching from the innermost context outwards
+ * @param {Array} contexts - Variable lookup contexts, innermost last
+ * @param {string} name - The variable name or dotted path
+ * @returns {any} - The value, or undefined if no context has it
+ */
+function lookup(contexts, name) {
+  if (name === '.') return contexts[contexts.length - 1];
+
+  const [first, ...rest] = name.split('.');
+  const context = [...contexts]
+    .reverse()
+    .find((candidate) => candidate !== null && typeof candidate === 'object' && first in candidate);
+
+  return rest.reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    context?.[first]
+  );
+}
@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { formatDate, renderSubject, renderTemplate } from './templateUtils.js';
+
+describe('renderTemplate', () => {
+  it('escapes {{name}} but not {{{name}}}, and looks up dotted paths', () => {
+    const data = { title: '<b>Hi</b>', feed: { title: 'Tom & Jerry' } };
+
+    assert.equal(
+      renderTemplate('{{title}} {{{title}}} {{feed.title}} {{feed.missing}}', data),
+      '&lt;b&gt;Hi&lt;/b&gt; <b>Hi</b> Tom &amp; Jerry '
+    );
+  });
+
+  it('repeats a section for each list entry and finds outer variables from inside it', () => {
+    const data = { feed: 'News', items: [{ title: 'A' }, { title: 'B' }], tags: ['x', 'y'] };
+
+    assert.equal(
+      renderTemplate('{{#items}}[{{feed}}: {{title}}]{{/items}} {{#tags}}{{.}},{{/tags}}', data),
+      '[News: A][News: B] x,y,'
+    );
+  });
+
+  it('shows a section once for a truthy value and not at all for a falsy one or an empty list', () => {
+    const template = '{{#author}}by {{author.name}}{{/author}}{{#items}}item{{/items}}{{#draft}}draft{{/draft}}';
+
+    assert.equal(renderTemplate(template, { author: { name: 'Ann' }, items: [], draft: false }), 'by Ann');
+  });
+
+  it('shows an inverted section only for a missing, false or empty value', () => {
+    const template = '{{^items}}No new items{{/items}}';
+
+    assert.equal(renderTemplate(template, {}), 'No new items');
+    assert.equal(renderTemplate(template, { items: [] }), 'No new items');
+    assert.equal(renderTemplate(template, { items: false }), 'No new items');
+    assert.equal(renderTemplate(template, { items: [{}] }), '');
+  });
+
+  it('drops comments and leaves no empty lines behind standalone section tags', () => {
+    const template = '<ul>\n  {{#items}}\n  <li>{{.}}</li>\n  {{/items}}\n  {{! the end }}\n</ul>';
+
+    assert.equal(renderTemplate(template, { items: ['a', 'b'] }), '<ul>\n  <li>a</li>\n  <li>b</li>\n</ul>');
+  });
+
+  it('rejects unclosed and mismatched section tags', () => {
+    assert.throws(() => renderTemplate('{{#items}}{{title}}', {}), new Error('Unclosed {{#items}} in template'));
+    assert.throws(
+      () => renderTemplate('{{#items}}{{/item}}', {}),
+      new Error('Unexpected {{/item}} in template, expected {{/items}}')
+    );
+    assert.throws(() => renderTemplate('{{/items}}', {}), new Error('Unexpected {{/items}} in template'));
+  });
+});
+
+describe('renderSubject', () => {
+  it('does not escape values and collapses whitespace', () => {
+    assert.equal(
+      renderSubject('  [{{group}}]:\n {{title}} ', { group: 'Tech', title: 'Q&A <live>' }),
+      '[Tech]: Q&A <live>'
+    );
+  });
+});
+
+describe('formatDate', () => {
+  it('formats in the given locale and time zone', () => {
+    const options = { locale: 'en-US', timeZone: 'Europe/Berlin' };
+
+    assert.equal(formatDate('2024-05-01T22:30:00.000Z', { ...options, dateOnly: true }), '5/2/2024');
+    // ICU versions differ in the space before AM
+    assert.match(formatDate('2024-05-01T22:30:00.000Z', options), /^5\/2\/2024, 12:30:00\sAM$/);
+  });
+
+  it('returns null without a valid date', () => {
+    assert.equal(formatDate(null), null);
+    assert.equal(formatDate('not a date'), null);
+  });
+});
@@ -0,0 +1,296 @@
+import * as cheerio from 'cheerio';
+
+// Elements that start a new block of text
+const BLOCK_TAGS = new Set([
+  'address',
+  'article',
+  'blockquote',
+  'caption',
+  'dd',
+  'details',
+  'div',
+  'dl',
+  'dt',
+  'figcaption',
+  'figure',
+  'footer',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'header',
+  'hr',
+  'li',
+  'main',
+  'ol',
+  'p',
+  'pre',
+  'section',
+  'summary',
+  'table',
+  'tr',
+  'ul',
+]);
+
+// Elements whose content never shows up as text
+const SKIPPED_TAGS = new Set(['head', 'script', 'style', 'noscript', 'template']);
+
+/**
+ * Convert email HTML into a plain-text alternative.
+ * Headings are underlined or prefixed, lists keep their bullets or numbers, quotes
+ * are prefixed with "> " and link targets are collected into a numbered list at the bottom.
+ * @param {string} html - The HTML
+ * @param {number} wrapWidth - Line width to wrap at, 0 to not wrap
+ * @returns {string} - The plain text
+ */
+export function htmlToText(html, wrapWidth = 72) {
+  const $ = cheerio.load(html || '');
+  const state = { blocks: [], inline: '', links: [], lists: [], quoteDepth: 0, marker: null, compact: false };
+
+  renderChildren($, $('body')[0] || $.root()[0], state);
+  flushBlock(state);
+
+  let text = state.blocks
+    .map((block, index) => {
+      const separator = index === 0 ? '' : block.compact && state.blocks[index - 1].compact ? '\n' : '\n\n';
+      return separator + formatBlock(block, wrapWidth);
+    })
+    .join('');
+
+  if (state.links.length > 0) {
+    const references = state.links.map((url, index) => `[${index + 1}] ${url}`).join('\n');
+    text += `\n\nLinks:\n${references}`;
+  }
+
+  return `${text.trim()}\n`;
+}
+
+/**
+ * Render the children of a node into the conversion state
+ * @param {Object} $ - The cheerio document
+ * @param {Object} node - The parent node
+ * @param {Object} state - The conversion state
+ * @returns {void}
+ */
+function renderChildren($, node, state) {
+  for (const child of node.children || []) {
+    renderNode($, child, state);
+  }
+}
+
+/**
+ * Render a single node into the conversion state
+ * @param {Object} $ - The cheerio document
+ * @param {Object} node - The node
+ * @param {Object} state - The conversion state
+ * @returns {void}
+ */
+function renderNode($, node, state) {
+  if (node.type === 'text') {
+    state.inline += node.data.replace(/\s+/g, ' ');
+    return;
+  }
+  if (node.type !== 'tag' || SKIPPED_TAGS.has(node.name)) return;
+
+  const tag = node.name;
+
+  switch (tag) {
+    case 'br':
+      state.inline += '\n';
+      return;
+    case 'img':
+      if ($(node).attr('alt')?.trim()) {
+        state.inline += `[${$(node).attr('alt').trim()}]`;
+      }
+      return;
+    case 'a':
+      renderLink($, node, state);
+      return;
+    case 'hr':
+      flushBlock(state);
+      state.blocks.push({ text: '-'.repeat(20), prefix: getQuotePrefix(state), wrap: false });
+      return;
+    case 'pre':
+      flushBlock(state);
+      state.blocks.push({ text: $(node).text().replace(/\n+$/, ''), prefix: getQuotePrefix(state), wrap: false });
+      return;
+    case 'td':
+    case 'th':
+      if (node.prev) state.inline += ' | ';
+      renderChildren($, node, state);
+      return;
+  }
+
+  if (!BLOCK_TAGS.has(tag)) {
+    renderChildren($, node, state);
+    return;
+  }
+
+  flushBlock(state);
+
+  if (tag === 'ul' || tag === 'ol') {
+    // Nested lists line up with the text of the item they are in
+    const parentList = state.lists[state.lists.length - 1];
+    state.lists.push({
+      ordered: tag === 'ol',
+      counter: Number($(node).attr('start')) || 1,
+      indent: parentList ? parentList.indent + ' '.repeat(parentList.markerWidth) : '',
+      markerWidth: 0,
+    });
+    renderChildren($, node, state);
+    flushBlock(state);
+    state.lists.pop();
+    return;
+  }
+
+  if (tag === 'li') {
+    const list = state.lists[state.lists.length - 1];
+    const parent = { marker: state.marker, compact: state.compact };
+    state.marker = list?.ordered ? `${list.counter++}. ` : '* ';
+    state.compact = true;
+    if (list) list.markerWidth = state.marker.length;
+    renderChildren($, node, state);
+    flushBlock(state);
+    state.marker = parent.marker;
+    state.compact = parent.compact;
+    return;
+  }
+
+  if (tag === 'blockquote') {
+    state.quoteDepth++;
+    renderChildren($, node, state);
+    flushBlock(state);
+    state.quoteDepth--;
+    return;
+  }
+
+  renderChildren($, node, state);
+  flushBlock(state, /^h[1-6]$/.test(tag) ? Number(tag[1]) : 0);
+}
+
+/**
+ * Render a link as its text followed by a reference number
+ * @param {Object} $ - The cheerio document
+ * @param {Object} node - The link element
+ * @param {Object} state - The conversion state
+ * @returns {void}
+ */
+function renderLink($, node, state) {
+  const before = state.inline.length;
+  renderChildren($, node, state);
+
+  const href = $(node).attr('href');
+  const text = state.inline.slice(before).trim();
+
+  // Anchors within the email and links that show their own URL need no reference
+  if (!href || !/^(https?|mailto):/i.test(href) || text === href || text === href.replace(/^mailto:/i, '')) return;
+
+  let number = state.links.indexOf(href) + 1;
+  if (number === 0) {
+    state.links.push(href);
+    number = state.links.length;
+  }
+  state.inline += ` [${number}]`;
+}
+
+/**
+ * Turn the collected inline text into a block
+ * @param {Object} state - The conversion state
+ * @param {number} headingLevel - Heading level of the block, 0 for normal text
+ * @returns {void}
+ */
+function flushBlock(state, headingLevel = 0) {
+  const text = state.inline
+    .split('\n')
+    .map((line) => line.trim())
+    .join('\n')
+    .trim();
+  state.inline = '';
+  if (!text) return;
+
+  const indent = state.lists[state.lists.length - 1]?.indent || '';
+  const marker = state.marker || '';
+  const quote = getQuotePrefix(state);
+
+  state.blocks.push({
+    text,
+    headingLevel,
+    prefix: quote + indent + marker,
+    continuation: quote + indent + ' '.repeat(marker.length),
+    compact: state.compact,
+    wrap: true,
+  });
+
+  // Later paragraphs of the same list item line up with the text after the marker
+  state.marker = state.marker ? ' '.repeat(state.marker.length) : null;
+}
+
+/**
+ * Get the prefix for the current blockquote depth
+ * @param {Object} state - The conversion state
+ * @returns {string} - The quote prefix
+ */
+function getQuotePrefix(state) {
+  return '> '.repeat(state.quoteDepth);
+}
+
+/**
+ * Format a block as lines of text
+ * @param {Object} block - The block
+ * @param {number} wrapWidth - Line width to wrap at, 0 to not wrap
+ * @returns {string} - The formatted block
+ */
+function formatBlock(block, wrapWidth) {
+  if (!block.wrap) {
+    return block.text
+      .split('\n')
+      .map((line) => block.prefix + line)
+      .join('\n');
+  }
+
+  if (block.headingLevel === 1 || block.headingLevel === 2) {
+    const lines = wrapLines(block.text, wrapWidth, block.prefix, block.prefix);
+    const width = Math.max(...lines.map((line) => line.length - block.prefix.length));
+    return [...lines, block.prefix + (block.headingLevel === 1 ? '=' : '-').repeat(width)].join('\n');
+  }
+
+  if (block.headingLevel > 2) {
+    const marker = `${'#'.repeat(block.headingLevel)} `;
+    return wrapLines(block.text, wrapWidth, block.prefix + marker, block.prefix + ' '.repeat(marker.length)).join('\n');
+  }
+
+  return wrapLines(block.text, wrapWidth, block.prefix, block.continuation).join('\n');
+}
+
+/**
+ * Wrap text to a line width, keeping explicit line breaks. Words longer than a line,
+ * such as URLs, get a line of their own rather than being split.
+ * @param {string} text - The text
+ * @param {number} width - Line width, 0 to not wrap
+ * @param {string} firstPrefix - Prefix of the first line
+ * @param {string} restPrefix - Prefix of the following lines
+ * @returns {Array<string>} - The wrapped lines
+ */
+function wrapLines(text, width, firstPrefix, restPrefix) {
+  const lines = [];
+
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+
+    for (const word of paragraph.split(' ').filter(Boolean)) {
+      const prefix = lines.length === 0 ? firstPrefix : restPrefix;
+      if (line && width > 0 && prefix.length + line.length + 1 + word.length > width) {
+        lines.push(prefix + line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+
+    lines.push((lines.length === 0 ? firstPrefix : restPrefix) + line);
+  }
+
+  return lines;
+}
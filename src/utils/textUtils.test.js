@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { htmlToText } from './textUtils.js';
+
+describe('htmlToText', () => {
+  it('numbers the links and lists their targets at the bottom, once each', () => {
+    const html =
+      '<p>Read <a href="https://example.com/a">the post</a> and <a href="https://example.com/a">again</a>, ' +
+      '<a href="#top">top</a>, <a href="https://example.com/b">https://example.com/b</a>.</p>';
+
+    assert.equal(
+      htmlToText(html),
+      'Read the post [1] and again [1], top, https://example.com/b.\n\nLinks:\n[1] https://example.com/a\n'
+    );
+  });
+
+  it('keeps the bullets and numbers of lists and indents nested lists', () => {
+    const html = '<ul><li>One<ol start="3"><li>Three</li><li>Four</li></ol></li><li>Two</li></ul>';
+
+    assert.equal(htmlToText(html), '* One\n  3. Three\n  4. Four\n* Two\n');
+  });
+
+  it('wraps paragraphs at the width, lining up quotes and list items', () => {
+    const html =
+      '<p>one two three four five six</p><blockquote><p>alpha beta gamma delta</p></blockquote>' +
+      '<ul><li>red green blue yellow</li></ul>';
+
+    assert.equal(
+      htmlToText(html, 12),
+      'one two\nthree four\nfive six\n\n> alpha beta\n> gamma\n> delta\n\n* red green\n  blue\n  yellow\n'
+    );
+    assert.equal(htmlToText('<p>one two three four five six</p>', 0), 'one two three four five six\n');
+  });
+
+  it('gives a word longer than the width a line of its own', () => {
+    assert.equal(
+      htmlToText('<p>see https://example.com/a/long/path here</p>', 10),
+      'see\nhttps://example.com/a/long/path\nhere\n'
+    );
+  });
+
+  it('underlines and prefixes headings', () => {
+    assert.equal(
+      htmlToText('<h1>Title</h1><h2>Part</h2><h3>Detail</h3>'),
+      'Title\n=====\n\nPart\n----\n\n### Detail\n'
+    );
+  });
+
+  it('decodes entities', () => {
+    assert.equal(
+      htmlToText('<p>Tom &amp; Jerry &lt;3 caf&eacute; &#8217;s&nbsp;&quot;x&quot;</p>'),
+      'Tom & Jerry <3 café ’s "x"\n'
+    );
+  });
+
+  it('leaves out scripts, styles and the head', () => {
+    const html =
+      '<html><head><title>Email</title><style>p { color: red; }</style></head>' +
+      '<body><script>alert(1)</script><p>Visible</p><noscript>Enable scripts</noscript></body></html>';
+
+    assert.equal(htmlToText(html), 'Visible\n');
+  });
+});
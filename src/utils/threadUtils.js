@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+
+import { getItemKey } from './seenUtils.js';
+
+// Gmail starts a new conversation after 100 messages, so threads are restarted before that
+const MAX_THREAD_MESSAGES = 100;
+
+// Used for Message-IDs when EMAIL_FROM has no domain
+const DEFAULT_MESSAGE_ID_DOMAIN = 'rss-feed-mail.local';
+
+/**
+ * Get the key of the thread a feed's individual emails are added to. Emails to other
+ * recipients than EMAIL_RECIPIENT get a thread per set of recipients, as only they have
+ * the earlier messages.
+ * @param {string} feedUrl - The feed URL
+ * @param {string|null} recipientsKey - Key of the recipients, or null for EMAIL_RECIPIENT
+ * @returns {string} - The thread key
+ */
+export function getFeedThreadKey(feedUrl, recipientsKey = null) {
+  return withRecipientsKey(`feed:${feedUrl}`, recipientsKey);
+}
+
+/**
+ * Get the key of the thread a group's digest emails are added to
+ * @param {string} groupPath - The digest group path
+ * @param {string|null} recipientsKey - Key of the recipients, or null for EMAIL_RECIPIENT
+ * @returns {string} - The thread key
+ */
+export function getDigestThreadKey(groupPath, recipientsKey = null) {
+  return withRecipientsKey(`digest:${groupPath}`, recipientsKey);
+}
+
+/**
+ * Build the threading headers of an email. The Message-ID is derived from the thread
+ * and the items, so an email retried from the outbox keeps its ID.
+ * @param {Object} threads - Threads keyed by thread key
+ * @param {Object} email - The email, with threadKey and items
+ * @param {string} fromAddress - The sender address, whose domain is used in the Message-ID
+ * @returns {Object} - { messageId, inReplyTo, references } for nodemailer, and the Gmail thread ID
+ *   as gmailThreadId if the gmail-api transport added the thread's earlier messages
+ */
+export function getThreadHeaders(threads, email, fromAddress) {
+  const itemKeys = email.items.map((item) => `${item.feedUrl}\n${getItemKey(item)}`).sort();
+  const hash = crypto
+    .createHash('sha1')
+    .update([email.threadKey, ...itemKeys].join('\n'))
+    .digest('hex');
+  const messageId = `<${hash}@${getMessageIdDomain(fromAddress)}>`;
+
+  const thread = threads[email.threadKey];
+  if (!thread || thread.messageCount >= MAX_THREAD_MESSAGES) {
+    return { messageId };
+  }
+
+  const references = [thread.rootMessageId];
+  if (thread.lastMessageId !== thread.rootMessageId) {
+    references.push(thread.lastMessageId);
+  }
+
+  const headers = { messageId, inReplyTo: thread.lastMessageId, references };
+  return thread.gmailThreadId ? { ...headers, gmailThreadId: thread.gmailThreadId } : headers;
+}
+
+/**
+ * Record a sent email in its thread, starting a new thread if needed.
+ * Gmail only adds a message inserted with the API to a thread when it is given the
+ * thread's ID, so the ID the gmail-api transport returns is kept with the thread.
+ * @param {Object} threads - Threads keyed by thread key, updated in place
+ * @param {string} threadKey - The thread key
+ * @param {Object} headers - The threading headers the email was sent with
+ * @param {string|null} gmailThreadId - The Gmail thread ID of the email, if the Gmail API added it
+ * @param {Date} now - The current time
+ * @returns {void}
+ */
+export function recordThreadMessage(threads, threadKey, headers, gmailThreadId = null, now = new Date()) {
+  const timestamp = now.toISOString();
+
+  // An email without In-Reply-To started a new thread
+  if (!headers.inReplyTo) {
+    threads[threadKey] = {
+      rootMessageId: headers.messageId,
+      lastMessageId: headers.messageId,
+      messageCount: 1,
+      startedAt: timestamp,
+      updatedAt: timestamp,
+      ...(gmailThreadId ? { gmailThreadId } : {}),
+    };
+    return;
+  }
+
+  const thread = threads[threadKey];
+  thread.lastMessageId = headers.messageId;
+  thread.messageCount++;
+  thread.updatedAt = timestamp;
+  if (gmailThreadId) {
+    thread.gmailThreadId = gmailThreadId;
+  }
+}
+
+/**
+ * Get the domain for Message-IDs from the sender address
+ * @param {string|undefined} fromAddress - The sender, e.g. "RSS <rss@example.com>"
+ * @returns {string} - The domain
+ */
+function getMessageIdDomain(fromAddress) {
+  const match = fromAddress?.match(/@([\w.-]+)>?\s*$/);
+  return match ? match[1].toLowerCase() : DEFAULT_MESSAGE_ID_DOMAIN;
+}
+
+/**
+ * Add the key of an email's recipients to a thread key
+ * @param {string} threadKey - The thread key
+ * @param {string|null} recipientsKey - Key of the recipients, or null for EMAIL_RECIPIENT
+ * @returns {string} - The thread key for those recipients
+ */
+function withRecipientsKey(threadKey, recipientsKey) {
+  return recipientsKey ? `${threadKey}#${recipientsKey}` : threadKey;
+}